@@ -0,0 +1,45 @@
+/**
+ * Node module hooks that let the CLI import the app's src/ modules as-is
+ *
+ * src/ is written for the Next.js bundler: ES modules in .js files,
+ * extensionless relative imports (of files or a directory's index.js) and
+ * the `@/` alias from jsconfig.json.
+ */
+
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { existsSync, statSync } from 'node:fs'
+
+const srcUrl = new URL('../src/', import.meta.url)
+
+const isInSrc = (url) => url?.startsWith(srcUrl.href)
+
+export async function resolve(specifier, context, nextResolve) {
+  let target = null
+
+  if (specifier.startsWith('@/')) {
+    target = new URL(specifier.slice(2), srcUrl)
+  } else if (specifier.startsWith('.') && isInSrc(context.parentURL)) {
+    target = new URL(specifier, context.parentURL)
+  }
+
+  if (target) {
+    const file = fileURLToPath(target)
+
+    if (!existsSync(file) && existsSync(`${file}.js`)) {
+      return { url: pathToFileURL(`${file}.js`).href, shortCircuit: true }
+    }
+    if (existsSync(file) && statSync(file).isDirectory() && existsSync(`${file}/index.js`)) {
+      return { url: pathToFileURL(`${file}/index.js`).href, shortCircuit: true }
+    }
+  }
+
+  return nextResolve(target ? target.href : specifier, context)
+}
+
+export async function load(url, context, nextLoad) {
+  if (isInSrc(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' })
+  }
+
+  return nextLoad(url, context)
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Shipi18n CLI
+ *
+ * Usage:
+ *   shipi18n sync [--config shipi18n.config.json] [--langs es,fr] [--dry-run] [--check]
+ *   shipi18n build [--config shipi18n.config.json] [--strict]
+ *
+ * --dry-run  Show which keys would be translated or removed and the estimated usage, write nothing
+ * --check    Exit with code 1 if any translation is missing or stale, or breaks the glossary (for CI)
+ * --langs    Only sync these languages (comma-separated)
+ *
+ * `build` runs before `next build` (the prebuild script): it generates every
+ * locale's message files, then warns about keys that are still missing, or
+ * fails with --strict (or "missingKeys": "error" in the config).
+ */
+
+import { register } from 'node:module'
+import { parseArgs } from 'node:util'
+import { relative } from 'node:path'
+import nextEnv from '@next/env'
+
+register('./loader.mjs', import.meta.url)
+
+const USAGE = [
+  'Usage: shipi18n sync [--config <file>] [--langs es,fr] [--dry-run] [--check]',
+  '       shipi18n build [--config <file>] [--strict]',
+].join('\n')
+
+// Keys listed per file before "and N more"
+const MISSING_KEYS_SHOWN = 5
+
+function printReport(report) {
+  for (const row of report) {
+    const output = relative(process.cwd(), row.output)
+
+    if (!row.stale) {
+      console.log(`  ✓ ${output}`)
+      continue
+    }
+
+    const counts = [
+      row.added.length && `${row.added.length} missing`,
+      row.changed.length && `${row.changed.length} changed`,
+      row.removed.length && `${row.removed.length} removed`,
+    ].filter(Boolean)
+    console.log(`  ✗ ${output}: ${counts.join(', ')}`)
+  }
+}
+
+// Estimated usage per language, summed over files
+function printUsage(report) {
+  const languages = {}
+  for (const { lang, usage } of report) {
+    if (!usage) continue
+    languages[lang] ??= { keys: 0, characters: 0, words: 0 }
+    languages[lang].keys += usage.keys
+    languages[lang].characters += usage.characters
+    languages[lang].words += usage.words
+  }
+
+  const rows = Object.entries(languages)
+  if (rows.length === 0) return
+
+  console.log('Estimated usage:')
+  for (const [lang, { keys, characters, words }] of rows) {
+    console.log(`  ${lang}: ${keys} keys, ${characters} characters, ${words} words`)
+  }
+  const characters = rows.reduce((sum, [, usage]) => sum + usage.characters, 0)
+  console.log(`  total: ${characters} characters`)
+}
+
+function printViolations(violations) {
+  if (violations.length === 0) return
+
+  console.log(`Glossary violations (${violations.length}):`)
+  for (const { file, language, key, term, expected } of violations) {
+    console.log(`  ✗ ${language}/${file} ${key}: "${term}" should be "${expected}"`)
+  }
+}
+
+function printMissing(missing) {
+  for (const { output, keys } of missing) {
+    const shown = keys.slice(0, MISSING_KEYS_SHOWN).join(', ')
+    const more = keys.length > MISSING_KEYS_SHOWN ? ` and ${keys.length - MISSING_KEYS_SHOWN} more` : ''
+    console.log(`  ✗ ${relative(process.cwd(), output)}: ${keys.length} missing (${shown}${more})`)
+  }
+}
+
+async function build(config, { strict }) {
+  const { buildMessages } = await import('../src/lib/sync.js')
+  const fail = strict || config.missingKeys === 'error'
+  let result
+
+  // SHIPI18N_API_URL=mock fills the files with pseudo-translations instead
+  if (!process.env.SHIPI18N_API_KEY && process.env.SHIPI18N_API_URL !== 'mock') {
+    console.log('SHIPI18N_API_KEY is not set - checking the existing translations only.')
+    result = await buildMessages(config, { translate: false })
+  } else {
+    try {
+      result = await buildMessages(config)
+    } catch (error) {
+      if (fail) throw error
+      console.log(`Could not translate: ${error.message}`)
+      result = await buildMessages(config, { translate: false })
+    }
+  }
+
+  result.updated.forEach(row => console.log(`  ✓ ${relative(process.cwd(), row.output)}`))
+
+  if (result.missing.length === 0) {
+    console.log('Every locale has every key.')
+    return 0
+  }
+
+  printMissing(result.missing)
+  if (fail) {
+    console.log('Translations are missing - stopping the build. Run `shipi18n sync`.')
+    return 1
+  }
+  console.log('Warning: translations are missing, so pages in those locales will render incomplete.')
+  return 0
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: 'string' },
+      langs: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      check: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  if (values.help || !['sync', 'build'].includes(positionals[0])) {
+    console.log(USAGE)
+    return values.help ? 0 : 1
+  }
+
+  // Same .env / .env.local files Next.js loads, so SHIPI18N_API_KEY just works
+  nextEnv.loadEnvConfig(process.cwd(), false, { info: () => {}, error: console.error })
+
+  const { loadSyncConfig, syncMessages, DEFAULT_CONFIG_FILE } = await import('../src/lib/sync.js')
+  const config = await loadSyncConfig(values.config || DEFAULT_CONFIG_FILE)
+
+  if (positionals[0] === 'build') return build(config, { strict: values.strict })
+
+  const languages = values.langs?.split(',').map(lang => lang.trim()).filter(Boolean)
+  const dryRun = values['dry-run']
+
+  const { stale, report, violations } = await syncMessages(config, { languages, dryRun, check: values.check })
+
+  if (values.check) {
+    printReport(report)
+    printViolations(violations)
+    console.log(stale ? 'Translations are out of date. Run `shipi18n sync`.' : 'Translations are up to date.')
+    return stale || violations.length > 0 ? 1 : 0
+  }
+
+  if (dryRun) {
+    printReport(report)
+    printUsage(report)
+    printViolations(violations)
+    console.log('Dry run - no files were written.')
+    return 0
+  }
+
+  const updated = report.filter(row => row.stale)
+  updated.forEach(row => console.log(`  ✓ ${relative(process.cwd(), row.output)}`))
+  printViolations(violations)
+  console.log(updated.length ? `Updated ${updated.length} file(s).` : 'Translations are up to date.')
+  return 0
+}
+
+main().then(
+  (code) => { process.exitCode = code },
+  (error) => {
+    console.error(`shipi18n: ${error.message}`)
+    process.exitCode = 1
+  }
+)
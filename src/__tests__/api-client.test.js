@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the browser API client helpers
+ */
+
+import { postTranslate, streamTranslate, getUsage, getLanguages } from '../lib/api-client.js';
+import { Shipi18nError } from '../lib/errors.js';
+
+// Response whose body arrives in the given chunks
+const streamed = (chunks) => new Response(new ReadableStream({
+  start(controller) {
+    chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+    controller.close();
+  }
+}), { headers: { 'Content-Type': 'application/x-ndjson' } });
+
+beforeEach(() => {
+  jest.spyOn(global, 'fetch');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('postTranslate', () => {
+  test('sends the same-origin CSRF header', async () => {
+    global.fetch.mockResolvedValue(Response.json({ es: [] }));
+
+    await expect(postTranslate({ text: 'Hi', targetLanguages: ['es'] })).resolves.toEqual({ es: [] });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/translate');
+    expect(init.headers['X-Requested-With']).toBe('fetch');
+    expect(init.credentials).toBe('same-origin');
+  });
+
+  test('throws Shipi18nError with the failing fields', async () => {
+    global.fetch.mockResolvedValue(Response.json({
+      error: 'Invalid request body',
+      code: 'VALIDATION_FAILED',
+      details: { fields: [{ field: 'text', message: 'Text is required' }] }
+    }, { status: 400 }));
+
+    const error = await postTranslate({}).catch(e => e);
+
+    expect(error).toBeInstanceOf(Shipi18nError);
+    expect(error.message).toBe('Invalid request body (text: Text is required)');
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+  });
+});
+
+describe('getUsage', () => {
+  test('reads the running usage with the CSRF header', async () => {
+    global.fetch.mockResolvedValue(Response.json({ translations: 2, characters: 10 }));
+
+    await expect(getUsage()).resolves.toEqual({ translations: 2, characters: 10 });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/translate');
+    expect(init.method).toBeUndefined();
+    expect(init.headers['X-Requested-With']).toBe('fetch');
+  });
+});
+
+describe('getLanguages', () => {
+  test('reads the supported languages', async () => {
+    const languages = [{ code: 'sw', name: 'Swahili', nativeName: 'Kiswahili', region: null }];
+    global.fetch.mockResolvedValue(Response.json({ source: 'snapshot', languages }));
+
+    await expect(getLanguages()).resolves.toEqual({ source: 'snapshot', languages });
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/languages');
+  });
+
+  test('throws the route error', async () => {
+    global.fetch.mockResolvedValue(Response.json({ error: 'Nope', code: 'INTERNAL_ERROR' }, { status: 500 }));
+
+    await expect(getLanguages()).rejects.toBeInstanceOf(Shipi18nError);
+  });
+});
+
+describe('streamTranslate', () => {
+  test('calls back per language, across chunk boundaries', async () => {
+    global.fetch.mockResolvedValue(streamed([
+      '{"type":"result","language":"es","result":"Ho',
+      'la"}\n{"type":"error","language":"fr","error":{"error":"Request timed out","code":"TIMEOUT"}}\n',
+      '{"type":"done","completed":["es"],"failed":["fr"]}'
+    ]));
+    const onResult = jest.fn();
+    const onError = jest.fn();
+
+    const { results, errors } = await streamTranslate({ text: 'Hi', targetLanguages: ['es', 'fr'] }, { onResult, onError });
+
+    expect(global.fetch.mock.calls[0][1].headers.Accept).toBe('application/x-ndjson');
+    expect(onResult).toHaveBeenCalledWith('es', 'Hola', expect.objectContaining({ type: 'result' }));
+    expect(onError).toHaveBeenCalledWith('fr', expect.objectContaining({ code: 'TIMEOUT', message: 'Request timed out' }));
+    expect(results).toEqual({ es: 'Hola' });
+    expect(Object.keys(errors)).toEqual(['fr']);
+  });
+
+  test('rejects when the whole request fails', async () => {
+    global.fetch.mockResolvedValue(Response.json({ error: 'Too many requests', code: 'RATE_LIMITED' }, { status: 429 }));
+
+    await expect(streamTranslate({ text: 'Hi', targetLanguages: ['es'] })).rejects.toMatchObject({ status: 429, code: 'RATE_LIMITED' });
+  });
+});
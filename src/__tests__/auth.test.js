@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for API route authorization verifiers
+ */
+
+import { bearerToken, hmacSignature, sameOrigin, sessionCookie, anyOf, allOf, signRequest } from '../lib/auth.js';
+import { createSessionToken } from '../lib/session.js';
+import { AuthenticationError, ForbiddenError } from '../lib/errors.js';
+
+const request = (headers = {}, body = '{"text":"Hello"}') => new Request('http://localhost/api/translate', {
+  method: 'POST',
+  headers,
+  body
+});
+
+describe('bearerToken', () => {
+  const verify = bearerToken({ token: 'secret-token' });
+
+  test('allows the configured token', async () => {
+    await expect(verify(request({ Authorization: 'Bearer secret-token' }))).resolves.toBeUndefined();
+  });
+
+  test('rejects missing and wrong tokens with 401', async () => {
+    await expect(verify(request())).rejects.toMatchObject({ code: 'MISSING_CREDENTIALS', httpStatus: 401 });
+    await expect(verify(request({ Authorization: 'Bearer nope' }))).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('rejects everything when no token is configured', async () => {
+    await expect(bearerToken({})(request({ Authorization: 'Bearer undefined' }))).rejects.toBeInstanceOf(AuthenticationError);
+  });
+});
+
+describe('hmacSignature', () => {
+  const secret = 'signing-secret';
+  const verify = hmacSignature({ secret });
+  const body = '{"text":"Hello"}';
+
+  const signed = (timestamp = Date.now(), signBody = body) => request({
+    'X-Shipi18n-Timestamp': String(timestamp),
+    'X-Shipi18n-Signature': signRequest({ secret, timestamp, method: 'POST', path: '/api/translate', body: signBody })
+  }, body);
+
+  test('allows a correctly signed request and leaves the body readable', async () => {
+    const req = signed();
+
+    await expect(verify(req)).resolves.toBeUndefined();
+    expect(await req.json()).toEqual({ text: 'Hello' });
+  });
+
+  test('rejects a tampered body', async () => {
+    await expect(verify(signed(Date.now(), '{"text":"Bye"}'))).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('rejects old timestamps', async () => {
+    await expect(verify(signed(Date.now() - 10 * 60 * 1000))).rejects.toMatchObject({ code: 'EXPIRED_SIGNATURE' });
+  });
+
+  test('rejects unsigned requests', async () => {
+    await expect(verify(request())).rejects.toMatchObject({ code: 'MISSING_CREDENTIALS' });
+  });
+});
+
+describe('sameOrigin', () => {
+  const verify = sameOrigin({ allowedOrigins: ['https://admin.example.com'] });
+  const headers = { Origin: 'http://localhost', 'X-Requested-With': 'fetch' };
+
+  test('allows same-origin and allow-listed origins', async () => {
+    await expect(verify(request(headers))).resolves.toBeUndefined();
+    await expect(verify(request({ ...headers, Origin: 'https://admin.example.com' }))).resolves.toBeUndefined();
+  });
+
+  test('uses X-Forwarded-Host only behind a trusted proxy', async () => {
+    const req = () => request({ ...headers, Origin: 'https://app.example.com', 'X-Forwarded-Host': 'app.example.com', 'X-Forwarded-Proto': 'https' });
+
+    await expect(sameOrigin({ trustedProxies: 1 })(req())).resolves.toBeUndefined();
+    await expect(verify(req())).rejects.toMatchObject({ code: 'CROSS_ORIGIN' });
+  });
+
+  test('rejects cross-origin and cross-site requests with 403', async () => {
+    await expect(verify(request({ ...headers, Origin: 'https://evil.example' }))).rejects.toBeInstanceOf(ForbiddenError);
+    await expect(verify(request({ ...headers, 'Sec-Fetch-Site': 'cross-site' }))).rejects.toMatchObject({ httpStatus: 403 });
+  });
+
+  test('requires the CSRF header', async () => {
+    await expect(verify(request({ Origin: 'http://localhost' }))).rejects.toMatchObject({ code: 'CSRF_CHECK_FAILED' });
+    await expect(sameOrigin({ csrfHeader: null })(request({ Origin: 'http://localhost' }))).resolves.toBeUndefined();
+  });
+
+  test('rejects requests without an Origin with 401', async () => {
+    await expect(verify(request())).rejects.toMatchObject({ httpStatus: 401 });
+  });
+
+  test('accepts same-origin GET requests, which carry no Origin', async () => {
+    const get = (headers) => new Request('http://localhost/api/translate', { headers });
+
+    await expect(verify(get({ 'Sec-Fetch-Site': 'same-origin', 'X-Requested-With': 'fetch' }))).resolves.toBeUndefined();
+    await expect(verify(get({ 'X-Requested-With': 'fetch' }))).rejects.toMatchObject({ httpStatus: 401 });
+    await expect(verify(request({ 'Sec-Fetch-Site': 'same-origin', 'X-Requested-With': 'fetch' }))).rejects.toMatchObject({ httpStatus: 401 });
+  });
+});
+
+describe('sessionCookie', () => {
+  const secret = 'session-secret';
+  const verify = sessionCookie({ secret });
+
+  test('allows a session signed with the secret', async () => {
+    const token = await createSessionToken({ secret });
+    await expect(verify(request({ Cookie: `NEXT_LOCALE=en; shipi18n_session=${token}` }))).resolves.toBeUndefined();
+  });
+
+  test('rejects missing, forged and expired sessions with 401', async () => {
+    const forged = await createSessionToken({ secret: 'guess' });
+    const expired = await createSessionToken({ secret, now: Date.now() - 2 * 24 * 60 * 60 * 1000 });
+
+    await expect(verify(request())).rejects.toMatchObject({ code: 'MISSING_CREDENTIALS', httpStatus: 401 });
+    await expect(verify(request({ Cookie: `shipi18n_session=${forged}` }))).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(verify(request({ Cookie: `shipi18n_session=${expired}` }))).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(sessionCookie({ secret: null })(request({ Cookie: `shipi18n_session=${forged}` }))).rejects.toBeInstanceOf(AuthenticationError);
+  });
+});
+
+describe('anyOf / allOf', () => {
+  const allow = async () => {};
+  const deny = (message) => async () => {
+    throw new AuthenticationError(message);
+  };
+
+  test('anyOf allows when one verifier allows, else throws the first error', async () => {
+    await expect(anyOf(deny('a'), allow)(request())).resolves.toBeUndefined();
+    await expect(anyOf(deny('a'), deny('b'))(request())).rejects.toThrow('a');
+  });
+
+  test('allOf requires every verifier', async () => {
+    await expect(allOf(allow, allow)(request())).resolves.toBeUndefined();
+    await expect(allOf(allow, deny('b'))(request())).rejects.toThrow('b');
+  });
+});
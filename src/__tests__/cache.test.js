@@ -0,0 +1,89 @@
+/**
+ * Tests for the translation cache backends
+ */
+
+import { createCacheKey, createMemoryCache, createFileCache } from '../lib/cache.js';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('createCacheKey', () => {
+  test('does not depend on option order', () => {
+    const a = createCacheKey({
+      text: 'Hello',
+      sourceLanguage: 'en',
+      targetLanguage: 'es',
+      preservePlaceholders: true,
+      enablePluralization: false
+    });
+    const b = createCacheKey({
+      enablePluralization: false,
+      preservePlaceholders: true,
+      targetLanguage: 'es',
+      sourceLanguage: 'en',
+      text: 'Hello'
+    });
+
+    expect(a).toBe(b);
+  });
+
+  test('differs by target language and options', () => {
+    const base = { text: 'Hello', sourceLanguage: 'en', targetLanguage: 'es' };
+
+    expect(createCacheKey(base)).not.toBe(createCacheKey({ ...base, targetLanguage: 'fr' }));
+    expect(createCacheKey(base)).not.toBe(createCacheKey({ ...base, outputFormat: 'json' }));
+  });
+});
+
+describe('createMemoryCache', () => {
+  test('returns undefined on a miss', async () => {
+    const cache = createMemoryCache();
+
+    expect(await cache.get('missing')).toBeUndefined();
+  });
+
+  test('stores and returns values', async () => {
+    const cache = createMemoryCache();
+    await cache.set('a', { greeting: 'Hola' });
+
+    expect(await cache.get('a')).toEqual({ greeting: 'Hola' });
+  });
+
+  test('evicts the least recently used entry', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(cache.size).toBe(2);
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe(3);
+  });
+});
+
+describe('createFileCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('persists values across instances', async () => {
+    await createFileCache({ dir }).set('a', [{ original: 'Hello', translated: 'Hola' }]);
+
+    const value = await createFileCache({ dir }).get('a');
+
+    expect(value).toEqual([{ original: 'Hello', translated: 'Hola' }]);
+  });
+
+  test('returns undefined on a miss', async () => {
+    expect(await createFileCache({ dir }).get('missing')).toBeUndefined();
+  });
+});
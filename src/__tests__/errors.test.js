@@ -0,0 +1,89 @@
+/**
+ * Tests for the Shipi18n error classes
+ */
+
+import {
+  Shipi18nError,
+  AuthenticationError,
+  QuotaExceededError,
+  RateLimitError,
+  ValidationError,
+  TimeoutError,
+  errorFromResponse,
+  httpStatusFor
+} from '../lib/errors.js';
+
+const response = (status, headers = {}) => ({
+  status,
+  headers: { get: (name) => headers[name] ?? null }
+});
+
+describe('errorFromResponse', () => {
+  test.each([
+    [400, ValidationError],
+    [401, AuthenticationError],
+    [403, AuthenticationError],
+    [402, QuotaExceededError],
+    [429, RateLimitError],
+    [503, Shipi18nError]
+  ])('maps %i to %p', (status, ErrorClass) => {
+    const error = errorFromResponse(response(status), {});
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(Shipi18nError);
+    expect(error.status).toBe(status);
+  });
+
+  test('keeps the API message, code and request id', () => {
+    const error = errorFromResponse(
+      response(401, { 'X-Request-Id': 'req_123' }),
+      { message: 'Invalid API key', code: 'INVALID_KEY' }
+    );
+
+    expect(error.message).toBe('Invalid API key');
+    expect(error.code).toBe('INVALID_KEY');
+    expect(error.requestId).toBe('req_123');
+    expect(error.name).toBe('AuthenticationError');
+  });
+
+  test('reads rate limit headers', () => {
+    const error = errorFromResponse(response(429, {
+      'Retry-After': '12',
+      'X-RateLimit-Limit': '60',
+      'X-RateLimit-Remaining': '0'
+    }), {});
+
+    expect(error.retryAfter).toBe(12);
+    expect(error.limit).toBe(60);
+    expect(error.remaining).toBe(0);
+    expect(error.code).toBe('RATE_LIMITED');
+  });
+
+  test('falls back to a status message', () => {
+    expect(errorFromResponse(response(500), {}).message).toBe('API error: 500');
+  });
+});
+
+describe('httpStatusFor', () => {
+  test('maps error classes to route status codes', () => {
+    expect(httpStatusFor(new AuthenticationError('x'))).toBe(401);
+    expect(httpStatusFor(new QuotaExceededError('x'))).toBe(402);
+    expect(httpStatusFor(new RateLimitError('x'))).toBe(429);
+    expect(httpStatusFor(new ValidationError('x'))).toBe(400);
+    expect(httpStatusFor(new TimeoutError('x'))).toBe(504);
+    expect(httpStatusFor(new Error('x'))).toBe(500);
+  });
+});
+
+describe('toJSON', () => {
+  test('returns a stable error body', () => {
+    const error = new ValidationError('Bad input', { requestId: 'req_1', details: [{ field: 'text' }] });
+
+    expect(error.toJSON()).toEqual({
+      error: 'Bad input',
+      code: 'VALIDATION_FAILED',
+      requestId: 'req_1',
+      details: [{ field: 'text' }]
+    });
+  });
+});
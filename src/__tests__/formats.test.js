@@ -0,0 +1,448 @@
+/**
+ * Tests for the locale file format parsers and serializers
+ */
+
+import {
+  detectFormat,
+  parseLocaleFile,
+  serializeLocaleFile,
+  serializeTranslations,
+  translatedFileName,
+} from '../lib/formats/index.js';
+import { ValidationError } from '../lib/errors.js';
+
+const roundTrip = (content, format, options) => {
+  const document = parseLocaleFile(content, { format, ...options });
+  return serializeLocaleFile(document, document.messages);
+};
+
+describe('detectFormat', () => {
+  test.each([
+    ['en.json', 'json'],
+    ['config/locales/en.yml', 'yaml'],
+    ['en.YAML', 'yaml'],
+    ['messages.pot', 'po'],
+    ['res/values/strings.xml', 'android'],
+    ['Localizable.strings', 'strings'],
+    ['Localizable.xcstrings', 'xcstrings'],
+    ['messages.xlf', 'xliff'],
+    ['messages.xliff', 'xliff'],
+    ['notes.txt', null]
+  ])('%s -> %s', (fileName, format) => {
+    expect(detectFormat(fileName)).toBe(format);
+  });
+
+  test('names translated files after the language', () => {
+    expect(translatedFileName('messages.pot', 'po', 'es')).toBe('es.po');
+    expect(translatedFileName('en.yml', 'yaml', 'es')).toBe('es.yml');
+    expect(translatedFileName('Localizable.xcstrings', 'xcstrings', 'es')).toBe('Localizable.xcstrings');
+  });
+});
+
+describe('parseLocaleFile', () => {
+  test('rejects unknown formats', () => {
+    expect(() => parseLocaleFile('{}', { format: 'csv' })).toThrow(ValidationError);
+  });
+
+  test('keeps translations in the source file order', () => {
+    const document = parseLocaleFile('{"a":"A","b":"B"}', { format: 'json' });
+
+    expect(serializeLocaleFile(document, { b: 'b', a: 'a' }, { language: 'es' })).toBe('{\n  "a": "a",\n  "b": "b"\n}\n');
+  });
+});
+
+describe('yaml', () => {
+  const source = [
+    '# Generated from the app',
+    'en:',
+    '  home:',
+    '    # Shown on the home page',
+    '    title: "Welcome, %{name}"',
+    "    subtitle: 'It''s free'",
+    '    cta: Get started # button label',
+    '',
+    '    intro: |',
+    '      First line',
+    '      Second line',
+    '  days:',
+    '    - Monday',
+    '    - Tuesday',
+    ''
+  ].join('\n');
+
+  test('unwraps the language root key', () => {
+    const { messages } = parseLocaleFile(source, { format: 'yaml' });
+
+    expect(messages).toEqual({
+      home: {
+        title: 'Welcome, %{name}',
+        subtitle: "It's free",
+        cta: 'Get started',
+        intro: 'First line\nSecond line\n'
+      },
+      days: ['Monday', 'Tuesday']
+    });
+  });
+
+  test('round-trips comments, blank lines and quoting', () => {
+    expect(roundTrip(source, 'yaml')).toBe(source);
+  });
+
+  test('writes the target language as the root key', () => {
+    const document = parseLocaleFile(source, { format: 'yaml' });
+    const output = serializeLocaleFile(document, {
+      home: { title: 'Bienvenido, %{name}', subtitle: 'Es gratis', cta: 'Empezar: ya', intro: 'Una\nDos\n' },
+      days: ['Lunes', 'Martes']
+    }, { language: 'es' });
+
+    expect(output).toContain('es:\n  home:\n    # Shown on the home page\n    title: "Bienvenido, %{name}"');
+    expect(output).toContain('    cta: "Empezar: ya" # button label');
+    expect(output).toContain('    intro: |\n      Una\n      Dos\n');
+    expect(parseLocaleFile(output, { format: 'yaml', language: 'es' }).messages.home.cta).toBe('Empezar: ya');
+  });
+
+  test('reads folded blocks and keeps files without a root key as they are', () => {
+    const { messages } = parseLocaleFile('title: >-\n  One\n  line\n\n  Two\n', { format: 'yaml' });
+
+    expect(messages).toEqual({ title: 'One line\nTwo' });
+  });
+
+  test('passes null, booleans and numbers through as they are', () => {
+    const file = 'en:\n  title: Hello\n  icon: ~\n  beta: TRUE\n  price: 1.50\n  code: "42"\n  sizes:\n    - 10\n    - Large\n';
+    const document = parseLocaleFile(file, { format: 'yaml' });
+
+    expect(document.messages).toEqual({ title: 'Hello', icon: null, beta: true, price: 1.5, code: '42', sizes: [10, 'Large'] });
+    expect(serializeLocaleFile(document, { ...document.messages, title: 'Hola', sizes: [10, 'Grande'] }, { language: 'es' }))
+      .toBe('es:\n  title: Hola\n  icon: ~\n  beta: TRUE\n  price: 1.50\n  code: "42"\n  sizes:\n    - 10\n    - Grande\n');
+    expect(serializeLocaleFile(parseLocaleFile('a: b\n', { format: 'yaml' }), { a: 'true' })).toBe('a: "true"\n');
+  });
+
+  test('reports the line of unsupported syntax', () => {
+    expect(() => parseLocaleFile('a: b\nc: &anchor d\n', { format: 'yaml' })).toThrow('line 2');
+  });
+});
+
+describe('po', () => {
+  const source = [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '',
+    '#. Home page title',
+    '#: src/app/page.js:12',
+    'msgid "Welcome"',
+    'msgstr ""',
+    '',
+    'msgctxt "button"',
+    'msgid "Open"',
+    'msgstr ""',
+    '',
+    '#, c-format',
+    'msgid "%d file"',
+    'msgid_plural "%d files"',
+    'msgstr[0] ""',
+    'msgstr[1] ""',
+    ''
+  ].join('\n');
+
+  test('reads a template as source messages', () => {
+    const { messages } = parseLocaleFile(source, { format: 'po' });
+
+    expect(messages).toEqual({
+      Welcome: 'Welcome',
+      'button\u0004Open': 'Open',
+      '%d file_one': '%d file',
+      '%d file_other': '%d files'
+    });
+  });
+
+  test('round-trips a template', () => {
+    expect(roundTrip(source, 'po')).toBe(source);
+  });
+
+  test('round-trips comments above an entry with msgctxt', () => {
+    const catalog = [
+      '# Translator note',
+      '#. Toolbar button',
+      '#: src/app/toolbar.js:8',
+      '#, fuzzy',
+      'msgctxt "menu"',
+      'msgid "Open"',
+      'msgstr "Abrir"',
+      'msgctxt "door"',
+      'msgid "Open"',
+      'msgstr "Abierto"',
+      ''
+    ].join('\n');
+    const document = parseLocaleFile(catalog, { format: 'po', isSource: false });
+
+    expect(document.meta.entries[0].comments).toEqual(['# Translator note', '#. Toolbar button', '#: src/app/toolbar.js:8', '#, fuzzy']);
+    expect(document.messages).toEqual({ 'menu\u0004Open': 'Abrir', 'door\u0004Open': 'Abierto' });
+    expect(serializeLocaleFile(document, document.messages)).toContain('#, fuzzy\nmsgctxt "menu"\nmsgid "Open"\nmsgstr "Abrir"');
+  });
+
+  test('writes msgstr[n] in the target language plural order', () => {
+    const document = parseLocaleFile(source, { format: 'po' });
+    const output = serializeLocaleFile(document, {
+      Welcome: 'Добро пожаловать',
+      'button\u0004Open': 'Открыть',
+      '%d file_one': '%d файл',
+      '%d file_few': '%d файла',
+      '%d file_many': '%d файлов'
+    }, { language: 'ru' });
+
+    expect(output).toContain('"Language: ru\\n"');
+    expect(output).toContain('"Plural-Forms: nplurals=3;');
+    expect(output).toContain('#. Home page title\n#: src/app/page.js:12\nmsgid "Welcome"\nmsgstr "Добро пожаловать"');
+    expect(output).toContain('msgstr[0] "%d файл"\nmsgstr[1] "%d файла"\nmsgstr[2] "%d файлов"');
+    expect(parseLocaleFile(output, { format: 'po', language: 'ru' }).messages['%d file_few']).toBe('%d файла');
+  });
+
+  test.each([
+    ['es', { '%d file_one': '%d archivo', '%d file_many': '%d de archivos', '%d file_other': '%d archivos' }],
+    ['pl', { '%d file_one': '%d plik', '%d file_few': '%d pliki', '%d file_many': '%d plików', '%d file_other': '%d pliku' }]
+  ])('drops %s plural forms that have no msgstr[n] slot', (language, translations) => {
+    const document = parseLocaleFile(source, { format: 'po' });
+    const output = serializeLocaleFile(document, translations, { language });
+
+    expect(output).not.toContain('msgid "%d file_');
+    expect(output.match(/^msgid /gm)).toHaveLength(4);
+    expect(output).toContain(language === 'es'
+      ? 'msgstr[0] "%d archivo"\nmsgstr[1] "%d archivos"'
+      : 'msgstr[0] "%d plik"\nmsgstr[1] "%d pliki"\nmsgstr[2] "%d plików"');
+  });
+
+  test('splits multi-line strings', () => {
+    const document = parseLocaleFile('msgid "Hi"\nmsgstr ""\n', { format: 'po' });
+
+    expect(serializeLocaleFile(document, { Hi: 'Hola\ncómo "estás"' }, { language: 'es' }))
+      .toContain('msgstr ""\n"Hola\\n"\n"cómo \\"estás\\""');
+  });
+
+  test('rejects malformed catalogs', () => {
+    expect(() => parseLocaleFile('msgid "a"\nnonsense\n', { format: 'po' })).toThrow('line 2');
+  });
+});
+
+describe('android', () => {
+  const source = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    '    <!-- App name -->',
+    '    <string name="app_name" translatable="false">Shipi18n</string>',
+    '    <string name="welcome">Don\\\'t forget, %1$s!</string>',
+    '    <string name="terms">Read the <b>terms</b></string>',
+    '    <plurals name="items">',
+    '        <item quantity="one">%d item</item>',
+    '        <item quantity="other">%d items</item>',
+    '    </plurals>',
+    '    <string-array name="days">',
+    '        <item>Monday</item>',
+    '    </string-array>',
+    '</resources>',
+    ''
+  ].join('\n');
+
+  test('reads strings, plurals and arrays, skipping untranslatable ones', () => {
+    const { messages } = parseLocaleFile(source, { format: 'android' });
+
+    expect(messages).toEqual({
+      welcome: "Don't forget, %1$s!",
+      terms: 'Read the <b>terms</b>',
+      items_one: '%d item',
+      items_other: '%d items',
+      days: ['Monday']
+    });
+  });
+
+  test('round-trips the source file', () => {
+    expect(roundTrip(source, 'android')).toBe(source);
+  });
+
+  test('writes translations without untranslatable strings', () => {
+    const document = parseLocaleFile(source, { format: 'android' });
+    const output = serializeLocaleFile(document, {
+      welcome: "N'oublie pas, %1$s !",
+      terms: 'Lisez les <b>conditions</b>',
+      items_one: '%d article',
+      items_many: '%d d’articles',
+      items_other: '%d articles',
+      days: ['Lundi']
+    }, { language: 'fr' });
+
+    expect(output).not.toContain('app_name');
+    expect(output).toContain('<string name="welcome">N\\\'oublie pas, %1$s !</string>');
+    expect(output).toContain('<string name="terms">Lisez les <b>conditions</b></string>');
+    expect(output).toContain('<item quantity="one">%d article</item>\n        <item quantity="many">');
+  });
+
+  test('escapes text around inline markup', () => {
+    const document = parseLocaleFile(source, { format: 'android' });
+    const output = serializeLocaleFile(document, { terms: 'Lisez les <b>conditions</b> R&D' }, { language: 'fr' });
+
+    expect(output).toContain('<string name="terms">Lisez les <b>conditions</b> R&amp;D</string>');
+  });
+});
+
+describe('strings', () => {
+  const source = [
+    '/* Home screen title */',
+    '"home.title" = "Welcome";',
+    '',
+    '// Greeting',
+    '"greeting" = "Hello, %@!\\nHow are you?";',
+    ''
+  ].join('\n');
+
+  test('reads flat keys and escapes', () => {
+    expect(parseLocaleFile(source, { format: 'strings' }).messages).toEqual({
+      'home.title': 'Welcome',
+      greeting: 'Hello, %@!\nHow are you?'
+    });
+  });
+
+  test('round-trips comments', () => {
+    expect(roundTrip(source, 'strings')).toBe(source);
+  });
+
+  test('reports syntax errors with a line number', () => {
+    expect(() => parseLocaleFile('"a" = "b";\n"c" = "d"\n', { format: 'strings' })).toThrow('line 3');
+  });
+});
+
+describe('xcstrings', () => {
+  const source = JSON.stringify({
+    sourceLanguage: 'en',
+    strings: {
+      Cancel: { comment: 'Button' },
+      files: {
+        localizations: {
+          en: {
+            variations: {
+              plural: {
+                one: { stringUnit: { state: 'translated', value: '%lld file' } },
+                other: { stringUnit: { state: 'translated', value: '%lld files' } }
+              }
+            }
+          }
+        }
+      },
+      internal: { shouldTranslate: false }
+    },
+    version: '1.0'
+  });
+
+  test('reads source strings, plural variations and key-only strings', () => {
+    expect(parseLocaleFile(source, { format: 'xcstrings' }).messages).toEqual({
+      Cancel: 'Cancel',
+      files_one: '%lld file',
+      files_other: '%lld files'
+    });
+  });
+
+  test('merges every language into one catalog', () => {
+    const document = parseLocaleFile(source, { format: 'xcstrings' });
+    const [file] = serializeTranslations(document, {
+      es: { Cancel: 'Cancelar', files_one: '%lld archivo', files_other: '%lld archivos' },
+      de: { Cancel: 'Abbrechen', files_one: '%lld Datei', files_other: '%lld Dateien' }
+    });
+    const catalog = JSON.parse(file.content);
+
+    expect(file.languages).toEqual(['es', 'de']);
+    expect(file.content).toContain('"sourceLanguage" : "en"');
+    expect(catalog.strings.Cancel).toEqual({
+      comment: 'Button',
+      localizations: {
+        de: { stringUnit: { state: 'translated', value: 'Abbrechen' } },
+        es: { stringUnit: { state: 'translated', value: 'Cancelar' } }
+      }
+    });
+    expect(Object.keys(catalog.strings.files.localizations)).toEqual(['de', 'en', 'es']);
+    expect(catalog.strings.internal).toEqual({ shouldTranslate: false });
+    expect(parseLocaleFile(file.content, { format: 'xcstrings', language: 'de' }).messages.files_other).toBe('%lld Dateien');
+  });
+});
+
+describe('xliff', () => {
+  const xliff12 = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    '  <file source-language="en" datatype="plaintext" original="app">',
+    '    <body>',
+    '      <trans-unit id="1" resname="home.title">',
+    '        <source>Welcome &amp; hello</source>',
+    '        <note>Home page</note>',
+    '      </trans-unit>',
+    '      <trans-unit id="terms">',
+    '        <source>Read the <g id="1">terms</g></source>',
+    '        <target/>',
+    '      </trans-unit>',
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+
+  test('reads 1.2 units by resname or id', () => {
+    expect(parseLocaleFile(xliff12, { format: 'xliff' }).messages).toEqual({
+      'home.title': 'Welcome & hello',
+      terms: 'Read the <g id="1">terms</g>'
+    });
+  });
+
+  test('round-trips the source file', () => {
+    expect(roundTrip(xliff12, 'xliff')).toBe(xliff12);
+  });
+
+  test('adds targets and the target language in place', () => {
+    const document = parseLocaleFile(xliff12, { format: 'xliff' });
+    const output = serializeLocaleFile(document, {
+      'home.title': 'Bienvenido & hola',
+      terms: 'Lee los <g id="1">términos</g>'
+    }, { language: 'es' });
+
+    expect(output).toContain('<file source-language="en" datatype="plaintext" original="app" target-language="es">');
+    expect(output).toContain('<source>Welcome &amp; hello</source>\n        <target>Bienvenido &amp; hola</target>\n        <note>Home page</note>');
+    expect(output).toContain('<target>Lee los <g id="1">términos</g></target>');
+    expect(parseLocaleFile(output, { format: 'xliff', language: 'es' }).messages).toEqual({
+      'home.title': 'Bienvenido & hola',
+      terms: 'Lee los <g id="1">términos</g>'
+    });
+  });
+
+  test('escapes text around the inline markup of a unit', () => {
+    const document = parseLocaleFile(xliff12, { format: 'xliff' });
+    const output = serializeLocaleFile(document, {
+      'home.title': 'Hi',
+      terms: 'Lee los <g id="1">términos</g> de I&D &amp; <x'
+    }, { language: 'es' });
+
+    expect(output).toContain('<target>Lee los <g id="1">términos</g> de I&amp;D &amp; &lt;x</target>');
+    expect(parseLocaleFile(output, { format: 'xliff', language: 'es' }).messages.terms)
+      .toBe('Lee los <g id="1">términos</g> de I&amp;D &amp; &lt;x');
+  });
+
+  test('reads and writes 2.0 segments', () => {
+    const xliff20 = [
+      '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en">',
+      '  <file id="f1">',
+      '    <unit id="greeting">',
+      '      <segment>',
+      '        <source>Hello</source>',
+      '      </segment>',
+      '    </unit>',
+      '  </file>',
+      '</xliff>'
+    ].join('\n');
+    const document = parseLocaleFile(xliff20, { format: 'xliff' });
+    const output = serializeLocaleFile(document, { greeting: 'Hallo' }, { language: 'de' });
+
+    expect(document.messages).toEqual({ greeting: 'Hello' });
+    expect(output).toContain('srcLang="en" trgLang="de">');
+    expect(output).toContain('<source>Hello</source>\n        <target>Hallo</target>');
+  });
+
+  test('reports malformed XML with a line number', () => {
+    expect(() => parseLocaleFile('<xliff>\n<file>\n</xliff>', { format: 'xliff' })).toThrow('line 3');
+  });
+});
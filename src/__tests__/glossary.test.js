@@ -0,0 +1,74 @@
+/**
+ * Tests for glossary protection and checks
+ */
+
+import { createGlossary, glossaryReport } from '../lib/glossary.js';
+import { ValidationError } from '../lib/errors.js';
+
+const glossary = createGlossary({
+  doNotTranslate: ['Ship', 'Ship Pro'],
+  terms: {
+    Workspace: { es: 'Espacio de trabajo', fr: 'Espace de travail' }
+  }
+});
+
+describe('createGlossary', () => {
+  test('validates the definition', () => {
+    expect(() => createGlossary({ doNotTranslate: 'Ship' })).toThrow(ValidationError);
+    expect(() => createGlossary({ terms: ['Workspace'] })).toThrow(ValidationError);
+  });
+
+  test('protects whole-word terms, longest first', () => {
+    expect(glossary.protect('Ship Pro ships your Workspace. Shipping is free.', ['es']))
+      .toBe('{{__term_1}} ships your {{__term_0}}. Shipping is free.');
+  });
+
+  test('only protects forced terms that have every target language', () => {
+    expect(glossary.protect('Open Workspace', ['es', 'de'])).toBe('Open Workspace');
+  });
+
+  test('restores terms per language', () => {
+    const translated = 'Abre tu {{__term_0}} con {{__term_2}}';
+
+    expect(glossary.restore(translated, 'es')).toBe('Abre tu Espacio de trabajo con Ship');
+    expect(glossary.restore(translated, 'fr')).toBe('Abre tu Espace de travail con Ship');
+  });
+
+  test('matches case-insensitively when configured', () => {
+    const loose = createGlossary({ doNotTranslate: ['Ship'], caseSensitive: false });
+
+    expect(loose.protect('ship it', ['es'])).toBe('{{__term_0}} it');
+    expect(loose.check('ship it', 'SHIP lo', 'es')).toEqual([]);
+  });
+});
+
+describe('check', () => {
+  test('reports terms missing from the translation', () => {
+    expect(glossary.check('Open your Workspace in Ship', 'Abre tu espacio en Barco', 'es')).toEqual([
+      { term: 'Workspace', expected: 'Espacio de trabajo', language: 'es' },
+      { term: 'Ship', expected: 'Ship', language: 'es' }
+    ]);
+  });
+
+  test('does not double count overlapping terms', () => {
+    expect(glossary.check('Try Ship Pro', 'Prueba Ship Pro', 'es')).toEqual([]);
+  });
+
+  test('ignores terms without a rule for the language', () => {
+    expect(glossary.check('Workspace', 'Arbeitsbereich', 'de')).toEqual([]);
+  });
+});
+
+describe('glossaryReport', () => {
+  test('lists violations by language and key', () => {
+    const source = { nav: { workspace: 'Workspace', home: 'Home' } };
+    const report = glossaryReport(glossary, source, {
+      es: { nav: { workspace: 'Espacio de trabajo', home: 'Inicio' } },
+      fr: { nav: { workspace: 'Bureau', home: 'Accueil' } }
+    });
+
+    expect(report).toEqual([
+      { language: 'fr', key: 'nav.workspace', term: 'Workspace', expected: 'Espace de travail' }
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for the I18nProvider and its hooks
+ */
+
+import { render, screen } from '@testing-library/react';
+import { I18nProvider, useLocale, useTranslations } from '../lib/i18n-provider.js';
+
+const messages = {
+  common: { nav: { back: 'Volver' }, welcome: 'Hola, {name}' }
+};
+
+function Greeting() {
+  const locale = useLocale();
+  const t = useTranslations('common');
+
+  return <p>{locale}: {t('welcome', { name: 'Ada' })} / {t('nav.back')}</p>;
+}
+
+describe('I18nProvider', () => {
+  test('provides the locale and messages to client components', () => {
+    render(
+      <I18nProvider locale="es" messages={messages}>
+        <Greeting />
+      </I18nProvider>
+    );
+
+    expect(screen.getByText('es: Hola, Ada / Volver')).toBeInTheDocument();
+  });
+
+  test('hooks throw outside the provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<Greeting />)).toThrow('useLocale must be used inside <I18nProvider>');
+
+    console.error.mockRestore();
+  });
+});
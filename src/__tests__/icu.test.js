@@ -0,0 +1,150 @@
+/**
+ * Tests for the ICU MessageFormat formatter
+ */
+
+import { formatMessage, parseMessage } from '../lib/icu.js';
+
+describe('formatMessage', () => {
+  describe('arguments', () => {
+    test('replaces simple arguments', () => {
+      expect(formatMessage('Hello, {name}!', { name: 'Ada' })).toBe('Hello, Ada!');
+    });
+
+    test('leaves arguments without values intact', () => {
+      expect(formatMessage('Hello, {name}!')).toBe('Hello, {name}!');
+    });
+
+    test('formats numbers per locale', () => {
+      expect(formatMessage('{n, number}', { n: 1234.5 }, 'de')).toBe('1.234,5');
+      expect(formatMessage('{n, number, integer}', { n: 1234.5 }, 'en')).toBe('1,235');
+      expect(formatMessage('{n, number, percent}', { n: 0.25 }, 'fr')).toBe('25 %');
+      expect(formatMessage('{n, number, ::currency/EUR}', { n: 5 }, 'en')).toBe('€5.00');
+    });
+
+    test('formats dates and times per locale', () => {
+      const date = new Date(Date.UTC(2024, 0, 15, 12));
+
+      expect(formatMessage('{d, date, long}', { d: date }, 'en')).toMatch(/^January 1[45], 2024$/);
+      expect(formatMessage('{d, date, short}', { d: date }, 'de')).toMatch(/^1[45]\.01\.24$/);
+      expect(formatMessage('{d, time, short}', { d: date }, 'en')).toMatch(/\d{1,2}:\d{2}/);
+    });
+  });
+
+  describe('plural', () => {
+    const polish = '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+    const arabic = '{count, plural, zero {لا ملفات} one {ملف واحد} two {ملفان} few {# ملفات} many {# ملفًا} other {# ملف}}';
+    const russian = '{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}';
+
+    test.each([
+      [1, '1 plik'],
+      [2, '2 pliki'],
+      [4, '4 pliki'],
+      [5, '5 plików'],
+      [12, '12 plików'],
+      [22, '22 pliki'],
+      [25, '25 plików'],
+      [1.5, '1,5 pliku']
+    ])('Polish %p -> %p', (count, expected) => {
+      expect(formatMessage(polish, { count }, 'pl')).toBe(expected);
+    });
+
+    // Digits depend on the runtime's CLDR data for 'ar'
+    const ar = (n) => new Intl.NumberFormat('ar').format(n);
+
+    test.each([
+      [0, 'لا ملفات'],
+      [1, 'ملف واحد'],
+      [2, 'ملفان'],
+      [3, `${ar(3)} ملفات`],
+      [11, `${ar(11)} ملفًا`],
+      [100, `${ar(100)} ملف`]
+    ])('Arabic %p -> %p', (count, expected) => {
+      expect(formatMessage(arabic, { count }, 'ar')).toBe(expected);
+    });
+
+    test.each([
+      [1, '1 файл'],
+      [21, '21 файл'],
+      [3, '3 файла'],
+      [11, '11 файлов']
+    ])('Russian %p -> %p', (count, expected) => {
+      expect(formatMessage(russian, { count }, 'ru')).toBe(expected);
+    });
+
+    test('prefers exact matches', () => {
+      const message = '{count, plural, =0 {No items} one {# item} other {# items}}';
+
+      expect(formatMessage(message, { count: 0 })).toBe('No items');
+      expect(formatMessage(message, { count: 1 })).toBe('1 item');
+    });
+
+    test('supports offset', () => {
+      const message = '{guests, plural, offset:1 =0 {Nobody} =1 {{host}} one {{host} and # other} other {{host} and # others}}';
+
+      expect(formatMessage(message, { guests: 1, host: 'Ada' })).toBe('Ada');
+      expect(formatMessage(message, { guests: 2, host: 'Ada' })).toBe('Ada and 1 other');
+      expect(formatMessage(message, { guests: 4, host: 'Ada' })).toBe('Ada and 3 others');
+    });
+  });
+
+  describe('selectordinal', () => {
+    const ordinal = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+
+    test.each([[1, '1st'], [2, '2nd'], [3, '3rd'], [4, '4th'], [11, '11th'], [22, '22nd'], [103, '103rd']])(
+      'English %p -> %p',
+      (n, expected) => {
+        expect(formatMessage(ordinal, { n }, 'en')).toBe(expected);
+      }
+    );
+  });
+
+  describe('select', () => {
+    const message = '{gender, select, female {She} male {He} other {They}} replied';
+
+    test('picks the matching option or other', () => {
+      expect(formatMessage(message, { gender: 'female' })).toBe('She replied');
+      expect(formatMessage(message, { gender: 'unknown' })).toBe('They replied');
+    });
+
+    test('nests plural inside select', () => {
+      const nested = '{gender, select, female {{count, plural, one {She has # cat} other {She has # cats}}} other {{count, plural, one {They have # cat} other {They have # cats}}}}';
+
+      expect(formatMessage(nested, { gender: 'female', count: 2 })).toBe('She has 2 cats');
+    });
+  });
+
+  describe('quoting', () => {
+    test('handles apostrophes and quoted braces', () => {
+      expect(formatMessage("It''s {name}''s turn", { name: 'Ada' })).toBe("It's Ada's turn");
+      expect(formatMessage("Use '{name}' literally")).toBe('Use {name} literally');
+      expect(formatMessage("Don't worry")).toBe("Don't worry");
+    });
+
+    test('quotes # inside plural', () => {
+      expect(formatMessage("{n, plural, other {'#'# items}}", { n: 3 })).toBe('#3 items');
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['{name'],
+      ['{count, plural, one {# item}}'],
+      ['{count, bogus}'],
+      ['unmatched }']
+    ])('rejects %p', (message) => {
+      expect(() => formatMessage(message, { count: 1, name: 'x' })).toThrow(SyntaxError);
+    });
+  });
+});
+
+describe('parseMessage', () => {
+  test('reuses recent parses but keeps the cache bounded', () => {
+    const first = parseMessage('Hello {name}');
+    expect(parseMessage('Hello {name}')).toBe(first);
+
+    for (let i = 0; i < 1000; i++) parseMessage(`Message ${i}`);
+
+    expect(parseMessage('Hello {name}')).not.toBe(first);
+    expect(parseMessage('Hello {name}')).toEqual(first);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for placeholder and markup integrity checks
+ */
+
+import { findIntegrityIssues, repairTranslation, validateMessages, translatableText } from '../lib/integrity.js';
+
+describe('findIntegrityIssues', () => {
+  test('accepts translations that keep every token', () => {
+    expect(findIntegrityIssues('Hello {name}, you have {{count}} new <b>messages</b>', 'Hola {name}, tienes {{ count }} <b>mensajes</b> nuevos')).toEqual([]);
+    expect(findIntegrityIssues('%1$s of %2$d (100%%)', '%2$d de %1$s (100%%)')).toEqual([]);
+    expect(findIntegrityIssues('Open <Link href="/docs">the docs</Link>', 'Abre <Link href="/es/docs">la documentación</Link>')).toEqual([]);
+  });
+
+  test('reports missing and unexpected placeholders', () => {
+    expect(findIntegrityIssues('Hi {{name}}, %s', 'Hola {{nombre}}')).toEqual([
+      { type: 'placeholder', missing: ['{{name}}', '%s'], unexpected: ['{{nombre}}'] }
+    ]);
+  });
+
+  test('reports renamed ICU arguments', () => {
+    expect(findIntegrityIssues(
+      '{count, plural, one {# item} other {# items}} for {name}',
+      '{cuenta, plural, one {# artículo} other {# artículos}} para {name}'
+    )).toEqual([{ type: 'icu', missing: ['{count, plural}'], unexpected: ['{cuenta, plural}'] }]);
+  });
+
+  test('reports broken ICU syntax', () => {
+    expect(findIntegrityIssues('{count, plural, one {# item} other {# items}}', '{count, plural, one {# artículo} other {# artículos}')).toEqual([
+      { type: 'icu', error: 'Translation is not a valid ICU message' }
+    ]);
+  });
+
+  test('reports mismatched tags', () => {
+    expect(findIntegrityIssues('<b>Save</b> now', '<strong>Guardar</b> ahora')).toEqual([
+      { type: 'tag', missing: ['<b>'], unexpected: ['<strong>'] }
+    ]);
+    expect(findIntegrityIssues('Line<br/>break', 'Línea salto')).toEqual([
+      { type: 'tag', missing: ['<br/>'], unexpected: [] }
+    ]);
+  });
+
+  test('ignores non-string values', () => {
+    expect(findIntegrityIssues(['a'], ['b'])).toEqual([]);
+  });
+});
+
+describe('repairTranslation', () => {
+  test('maps renamed tokens back to the source', () => {
+    expect(repairTranslation('Hi {{name}}', 'Hola {{nombre}}')).toBe('Hola {{name}}');
+    expect(repairTranslation('Hello {name}', 'Hola {nombre}')).toBe('Hola {name}');
+    expect(repairTranslation('<b>Save</b>', '<strong>Guardar</strong>')).toBe('<b>Guardar</b>');
+    expect(repairTranslation(
+      '{count, plural, one {# item} other {# items}}',
+      '{cuenta, plural, one {# artículo} other {# artículos}}'
+    )).toBe('{count, plural, one {# artículo} other {# artículos}}');
+  });
+
+  test('gives up when tokens were dropped', () => {
+    expect(repairTranslation('Hi {{name}}, %s', 'Hola')).toBeNull();
+    expect(repairTranslation('{n, plural, one {#} other {#}}', '{n, plural, one {#} other {#}')).toBeNull();
+  });
+});
+
+describe('validateMessages', () => {
+  const source = {
+    greeting: 'Hello {{name}}',
+    note: 'Read <b>this</b>',
+    items_one: '{{count}} item',
+    items_other: '{{count}} items'
+  };
+  const translated = {
+    greeting: 'Hola {{nombre}}',
+    note: 'Lee esto',
+    items_one: '{{count}} artículo',
+    items_many: '{{count}} artículos'
+  };
+
+  test('flags broken entries and keeps them', () => {
+    const { messages, report } = validateMessages(source, translated, { language: 'es' });
+
+    expect(messages).toEqual(translated);
+    expect(report.map(row => [row.key, row.action])).toEqual([['greeting', 'flagged'], ['note', 'flagged']]);
+    expect(report[0].language).toBe('es');
+  });
+
+  test('repairs what it can', () => {
+    const { messages, report } = validateMessages(source, translated, { mode: 'repair' });
+
+    expect(messages.greeting).toBe('Hola {{name}}');
+    expect(messages.note).toBe('Lee esto');
+    expect(report.map(row => row.action)).toEqual(['repaired', 'flagged']);
+  });
+
+  test('rejects broken entries', () => {
+    const { messages } = validateMessages(source, translated, { mode: 'reject' });
+
+    expect(messages).toEqual({ items_one: '{{count}} artículo', items_many: '{{count}} artículos' });
+  });
+
+  test('checks generated plural forms against their group', () => {
+    const { report } = validateMessages(source, { items_many: '{{n}} artículos' });
+
+    expect(report).toEqual([expect.objectContaining({ key: 'items_many', action: 'flagged' })]);
+  });
+});
+
+describe('translatableText', () => {
+  test('drops placeholders, arguments and tags', () => {
+    expect(translatableText('Hi <b>{name}</b>, you have {{count}} messages (%s, 100%%)')).toBe('Hi , you have messages (, 100%)');
+  });
+
+  test('keeps the text of plural and select options', () => {
+    expect(translatableText('{count, plural, one {# file} other {# files}}')).toBe('file files');
+  });
+
+  test('is empty for non-strings', () => {
+    expect(translatableText(42)).toBe('');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the locale registry
+ */
+
+import { createLocaleRegistry, localeRegistry } from '../lib/locale-registry.js';
+
+const API_LANGUAGES = [
+  { code: 'sw', name: 'Swahili', nativeName: 'Kiswahili' },
+  { code: 'fr-CA', name: 'French (Canada)', nativeName: 'Français (Canada)' },
+];
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('localeRegistry', () => {
+  test('starts from the bundled snapshot', () => {
+    expect(localeRegistry.source).toBe('snapshot');
+    expect(localeRegistry.list().length).toBeGreaterThan(100);
+    expect(localeRegistry.get('ja')).toEqual({ code: 'ja', name: 'Japanese', nativeName: '日本語', region: null });
+    expect(localeRegistry.get('zh-TW')).toMatchObject({ region: 'TW' });
+    expect(localeRegistry.has('xx')).toBe(false);
+  });
+
+  test('sorts entries by English name', () => {
+    const names = localeRegistry.list().map(entry => entry.name);
+    expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b, 'en')));
+  });
+});
+
+describe('search', () => {
+  const registry = createLocaleRegistry();
+
+  test('ranks exact codes, then name and code prefixes, then contains', () => {
+    expect(registry.search('de')[0].code).toBe('de');
+    expect(registry.search('portu').map(entry => entry.code).slice(0, 2)).toEqual(['pt', 'pt-BR']);
+    expect(registry.search('zh').map(entry => entry.code)).toEqual(expect.arrayContaining(['zh', 'zh-CN', 'zh-TW']));
+  });
+
+  test('matches native names without accents or case', () => {
+    expect(registry.search('FRANCAIS').map(entry => entry.code)).toContain('fr');
+    expect(registry.search('日本')[0].code).toBe('ja');
+  });
+
+  test('returns everything for an empty query', () => {
+    expect(registry.search('  ')).toBe(registry.list());
+    expect(registry.search('qqqq')).toEqual([]);
+  });
+});
+
+describe('load', () => {
+  test('replaces the snapshot with the API list', async () => {
+    const registry = createLocaleRegistry();
+
+    await expect(registry.load(async () => API_LANGUAGES)).resolves.toBe('api');
+    expect(registry.codes()).toEqual(['fr-CA', 'sw']);
+    expect(registry.get('fr-CA').region).toBe('CA');
+  });
+
+  test('keeps the current list when the API fails', async () => {
+    const registry = createLocaleRegistry([['es', 'Spanish', 'Español']]);
+
+    await expect(registry.load(async () => { throw new Error('offline'); })).resolves.toBe('snapshot');
+    await expect(createLocaleRegistry().load(async () => [])).resolves.toBe('snapshot');
+    expect(registry.codes()).toEqual(['es']);
+  });
+
+  test('asks again only after maxAgeMs, once for concurrent callers', async () => {
+    jest.useFakeTimers();
+    const registry = createLocaleRegistry(undefined, { maxAgeMs: 1000 });
+    const fetchLanguages = jest.fn(async () => API_LANGUAGES);
+
+    await Promise.all([registry.load(fetchLanguages), registry.load(fetchLanguages)]);
+    await registry.load(fetchLanguages);
+    expect(fetchLanguages).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await registry.load(fetchLanguages);
+    expect(fetchLanguages).toHaveBeenCalledTimes(2);
+  });
+});
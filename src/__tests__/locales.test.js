@@ -0,0 +1,55 @@
+/**
+ * Tests for the supported locale helpers
+ */
+
+import { SUPPORTED_LOCALES, getDirection, getLocaleInfo, localeStaticParams } from '../lib/locales.js';
+
+describe('localeStaticParams', () => {
+  test('lists every supported locale', async () => {
+    expect(await localeStaticParams()()).toEqual(SUPPORTED_LOCALES.map(locale => ({ locale })));
+  });
+
+  test('adds a nested segment per locale', async () => {
+    const generate = localeStaticParams(async (locale) => [{ slug: `${locale}-post` }]);
+
+    expect(await generate()).toContainEqual({ locale: 'fr', slug: 'fr-post' });
+    expect(await generate({ params: { locale: 'de' } })).toEqual([{ locale: 'de', slug: 'de-post' }]);
+  });
+});
+
+describe('getDirection', () => {
+  test('is rtl for right-to-left languages', () => {
+    expect(getDirection('ar-EG')).toBe('rtl');
+    expect(getDirection('en')).toBe('ltr');
+  });
+
+  test('is rtl for the mirrored pseudo language', () => {
+    expect(getDirection('pseudo-x-rtl')).toBe('rtl');
+    expect(getDirection('pseudo')).toBe('ltr');
+  });
+});
+
+describe('getLocaleInfo', () => {
+  test('describes names, direction and plural categories', () => {
+    expect(getLocaleInfo('he')).toEqual({
+      code: 'he',
+      name: 'Hebrew',
+      nativeName: 'עברית',
+      region: null,
+      direction: 'rtl',
+      pluralCategories: ['one', 'two', 'other'],
+    });
+    expect(getLocaleInfo('pt-BR')).toMatchObject({ name: 'Portuguese (Brazil)', region: 'BR', direction: 'ltr' });
+    expect(getLocaleInfo('es-AR')).toMatchObject({ name: 'Spanish', region: null });
+  });
+
+  test('names every supported locale', () => {
+    for (const code of SUPPORTED_LOCALES) {
+      expect(getLocaleInfo(code).name).not.toBe(code);
+    }
+  });
+
+  test('falls back to the code for unknown locales', () => {
+    expect(getLocaleInfo('xx')).toMatchObject({ name: 'xx', nativeName: 'xx', direction: 'ltr' });
+  });
+});
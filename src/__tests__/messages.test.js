@@ -0,0 +1,111 @@
+/**
+ * Tests for the nested message helpers
+ */
+
+import {
+  flattenMessages,
+  unflattenMessages,
+  mergeMessages,
+  chunkMessages,
+  hashMessages,
+  diffMessages,
+  pathToKey
+} from '../lib/messages.js';
+
+const sample = {
+  app: { title: 'My App', welcome: 'Welcome, {name}!' },
+  cart: { item_one: '{{count}} item', item_other: '{{count}} items' },
+  tags: ['a', 'b']
+};
+
+describe('flattenMessages / unflattenMessages', () => {
+  test('flattens to leaf paths in file order', () => {
+    const keys = flattenMessages(sample).map(entry => pathToKey(entry.path));
+
+    expect(keys).toEqual(['app.title', 'app.welcome', 'cart.item_one', 'cart.item_other', 'tags']);
+  });
+
+  test('round-trips nested messages', () => {
+    expect(unflattenMessages(flattenMessages(sample))).toEqual(sample);
+  });
+
+  test('keeps keys that contain dots', () => {
+    const messages = { 'errors.404': 'Not found' };
+
+    expect(unflattenMessages(flattenMessages(messages))).toEqual(messages);
+  });
+});
+
+describe('mergeMessages', () => {
+  test('deep merges nested objects', () => {
+    const merged = mergeMessages({ app: { title: 'A' } }, { app: { welcome: 'B' }, nav: { home: 'C' } });
+
+    expect(merged).toEqual({ app: { title: 'A', welcome: 'B' }, nav: { home: 'C' } });
+  });
+});
+
+describe('chunkMessages', () => {
+  test('returns a single chunk when everything fits', () => {
+    expect(chunkMessages(sample, { maxChars: 10000 })).toEqual([sample]);
+  });
+
+  test('splits into chunks that merge back to the original', () => {
+    const messages = {};
+    for (let i = 0; i < 50; i++) messages[`key${i}`] = `Value number ${i}`;
+
+    const chunks = chunkMessages(messages, { maxChars: 200 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(JSON.stringify(chunk).length).toBeLessThanOrEqual(200));
+    expect(chunks.reduce((all, chunk) => mergeMessages(all, chunk), {})).toEqual(messages);
+  });
+
+  test('keeps plural forms in the same chunk', () => {
+    const chunks = chunkMessages(sample, { maxChars: 1 });
+    const pluralChunk = chunks.find(chunk => chunk.cart);
+
+    expect(pluralChunk.cart).toEqual(sample.cart);
+  });
+});
+
+describe('hashMessages', () => {
+  test('hashes every leaf by key path', () => {
+    const hashes = hashMessages(sample);
+
+    expect(Object.keys(hashes)).toEqual(['app.title', 'app.welcome', 'cart.item_one', 'cart.item_other', 'tags']);
+    expect(hashes['app.title']).toMatch(/^[0-9a-f]{14}$/);
+  });
+
+  test('changes only for changed strings', () => {
+    const before = hashMessages(sample);
+    const after = hashMessages({ ...sample, app: { ...sample.app, title: 'My New App' } });
+
+    expect(after['app.title']).not.toBe(before['app.title']);
+    expect(after['app.welcome']).toBe(before['app.welcome']);
+  });
+});
+
+describe('diffMessages', () => {
+  test('treats every key as added without a translation', () => {
+    const diff = diffMessages(sample, null);
+
+    expect(diff.added).toHaveLength(5);
+    expect(diff.stale.size).toBe(4);
+  });
+
+  test('reports changed keys against the lockfile', () => {
+    const lockfile = hashMessages(sample);
+    const source = { ...sample, app: { ...sample.app, title: 'Renamed' } };
+
+    const diff = diffMessages(source, sample, lockfile);
+
+    expect(diff.added).toEqual([]);
+    expect(diff.changed).toEqual(['app.title']);
+  });
+
+  test('reports removed keys but not generated plural forms', () => {
+    const translation = { ...sample, cart: { ...sample.cart, item_few: 'x' }, old: 'Old' };
+
+    expect(diffMessages(sample, translation).removed).toEqual(['old']);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the locale routing middleware
+ */
+
+import { NextRequest } from 'next/server';
+import {
+  createI18nMiddleware,
+  parseAcceptLanguage,
+  negotiateLocale,
+  getPathLocale
+} from '../lib/middleware.js';
+import { getDirection } from '../lib/locales.js';
+
+const locales = ['en', 'es', 'fr', 'pt-BR', 'ar'];
+const middleware = createI18nMiddleware({ locales, defaultLocale: 'en' });
+
+const request = (path, headers = {}) => new NextRequest(`http://localhost${path}`, { headers });
+
+describe('parseAcceptLanguage', () => {
+  test('sorts tags by q-weight, keeping header order for ties', () => {
+    expect(parseAcceptLanguage('de;q=0.5, fr-CH, fr;q=0.9, en;q=0.9'))
+      .toEqual(['fr-CH', 'fr', 'en', 'de']);
+  });
+
+  test('drops tags with q=0', () => {
+    expect(parseAcceptLanguage('es;q=0, fr')).toEqual(['fr']);
+  });
+
+  test('handles a missing header', () => {
+    expect(parseAcceptLanguage(null)).toEqual([]);
+  });
+});
+
+describe('negotiateLocale', () => {
+  test('prefers exact matches, case-insensitively', () => {
+    expect(negotiateLocale(['PT-br'], locales)).toBe('pt-BR');
+  });
+
+  test('falls back to the same language in another region', () => {
+    expect(negotiateLocale(['fr-CA'], locales)).toBe('fr');
+    expect(negotiateLocale(['pt'], locales)).toBe('pt-BR');
+  });
+
+  test('returns null without a match', () => {
+    expect(negotiateLocale(['ja', '*'], locales)).toBeNull();
+  });
+});
+
+describe('getPathLocale', () => {
+  test('reads the first path segment', () => {
+    expect(getPathLocale('/es/examples', locales)).toBe('es');
+    expect(getPathLocale('/examples', locales)).toBeNull();
+  });
+});
+
+describe('createI18nMiddleware', () => {
+  test('redirects to the Accept-Language locale', () => {
+    const response = middleware(request('/examples/client-side?x=1', {
+      'accept-language': 'ja, fr;q=0.8, en;q=0.5'
+    }));
+
+    expect(response.status).toBe(307);
+    expect(response.headers.get('location')).toBe('http://localhost/fr/examples/client-side?x=1');
+  });
+
+  test('prefers the locale cookie', () => {
+    const response = middleware(request('/', {
+      'accept-language': 'fr',
+      cookie: 'NEXT_LOCALE=es'
+    }));
+
+    expect(response.headers.get('location')).toBe('http://localhost/es');
+  });
+
+  test('falls back to the default locale', () => {
+    const response = middleware(request('/examples', { 'accept-language': 'ja' }));
+
+    expect(response.headers.get('location')).toBe('http://localhost/en/examples');
+  });
+
+  test('passes prefixed paths through and remembers the locale', () => {
+    const response = middleware(request('/ar/examples'));
+
+    expect(response.headers.get('location')).toBeNull();
+    expect(response.cookies.get('NEXT_LOCALE').value).toBe('ar');
+  });
+
+  test('can rewrite instead of redirecting', () => {
+    const rewrite = createI18nMiddleware({ locales, defaultLocale: 'en', strategy: 'rewrite' });
+
+    const response = rewrite(request('/examples'));
+
+    expect(response.headers.get('x-middleware-rewrite')).toBe('http://localhost/en/examples');
+  });
+
+  test('requires the default locale to be supported', () => {
+    expect(() => createI18nMiddleware({ locales: ['es'], defaultLocale: 'en' }))
+      .toThrow('defaultLocale "en" must be one of the supported locales');
+  });
+});
+
+describe('getDirection', () => {
+  test('detects right-to-left languages', () => {
+    expect(getDirection('ar')).toBe('rtl');
+    expect(getDirection('he-IL')).toBe('rtl');
+    expect(getDirection('en')).toBe('ltr');
+  });
+});
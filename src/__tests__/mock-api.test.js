@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the offline mock API, on its own and behind SHIPI18N_API_URL=mock
+ */
+
+import { createMockFetch, mockOptionsFromEnv, getMockFetch } from '../lib/mock-api.js';
+import { translate, translateJSON, healthCheck, setConfig, resetConfig } from '../lib/shipi18n.js';
+import { RateLimitError, Shipi18nError } from '../lib/errors.js';
+
+const post = (body) => ({ method: 'POST', body: JSON.stringify(body) });
+
+afterEach(() => {
+  resetConfig();
+  jest.useRealTimers();
+});
+
+describe('createMockFetch', () => {
+  test('pseudo-translates text per language', async () => {
+    const mockFetch = createMockFetch();
+    const response = await mockFetch('mock/api/translate', post({ text: 'Hello {name}', targetLanguages: ['es', 'fr'] }));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-Request-Id')).toBe('mock-1');
+    expect(await response.json()).toEqual({
+      es: [{ original: 'Hello {name}', translated: '[es] Hello {name}' }],
+      fr: [{ original: 'Hello {name}', translated: '[fr] Hello {name}' }],
+    });
+  });
+
+  test('keeps JSON structure and adds the target plural forms', async () => {
+    const mockFetch = createMockFetch();
+    const text = JSON.stringify({ nav: { home: 'Home' }, days: ['Mon'], items_one: '{{count}} item', items_other: '{{count}} items' });
+    const response = await mockFetch('mock/api/translate', post({ text, targetLanguages: ['ru'], outputFormat: 'json' }));
+
+    expect((await response.json()).ru).toEqual({
+      nav: { home: '[ru] Home' },
+      days: ['[ru] Mon'],
+      items_one: '[ru] {{count}} item',
+      items_few: '[ru] {{count}} items',
+      items_many: '[ru] {{count}} items',
+      items_other: '[ru] {{count}} items',
+    });
+  });
+
+  test('leaves plural keys alone without pluralization', async () => {
+    const mockFetch = createMockFetch();
+    const text = JSON.stringify({ items_one: 'item', items_other: 'items' });
+    const response = await mockFetch('mock/api/translate', post({ text, targetLanguages: ['ru'], outputFormat: 'json', enablePluralization: false }));
+
+    expect(Object.keys((await response.json()).ru)).toEqual(['items_one', 'items_other']);
+  });
+
+  test('answers the health check', async () => {
+    const response = await createMockFetch()('mock/api/health');
+    expect(await response.json()).toEqual({ status: 'ok', mock: true });
+  });
+
+  test('lists the snapshot languages', async () => {
+    const { languages } = await (await createMockFetch()('mock/api/languages')).json();
+    expect(languages).toContainEqual({ code: 'pt-BR', name: 'Portuguese (Brazil)', nativeName: 'Português (Brasil)' });
+  });
+
+  test('rejects invalid requests like the API', async () => {
+    const mockFetch = createMockFetch();
+
+    const missing = await mockFetch('mock/api/translate', post({ text: 'Hi', targetLanguages: [] }));
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).code).toBe('VALIDATION_FAILED');
+
+    const unknown = await mockFetch('mock/api/glossary', post({}));
+    expect(unknown.status).toBe(404);
+  });
+
+  test('injects failures by rate and by language', async () => {
+    const flaky = createMockFetch({ errorRate: 0.5, errorStatus: 429, random: () => 0.1 });
+    const limited = await flaky('mock/api/translate', post({ text: 'Hi', targetLanguages: ['es'] }));
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe('1');
+
+    const partial = createMockFetch({ failLanguages: ['ja'] });
+    const failed = await partial('mock/api/translate', post({ text: 'Hi', targetLanguages: ['es', 'ja'] }));
+    expect(failed.status).toBe(503);
+    expect((await failed.json()).message).toBe('Mock failure for "ja"');
+  });
+
+  test('waits for the configured latency and honors aborts', async () => {
+    jest.useFakeTimers();
+    const mockFetch = createMockFetch({ latencyMs: [100, 300], random: () => 0.5 });
+
+    let settled = false;
+    const pending = mockFetch('mock/api/health').then(() => { settled = true; });
+    await jest.advanceTimersByTimeAsync(199);
+    expect(settled).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(settled).toBe(true);
+
+    const controller = new AbortController();
+    const aborted = mockFetch('mock/api/health', { signal: controller.signal });
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('mockOptionsFromEnv', () => {
+  test('reads the SHIPI18N_MOCK_* variables', () => {
+    expect(mockOptionsFromEnv({
+      SHIPI18N_MOCK_LATENCY_MS: '100-500',
+      SHIPI18N_MOCK_ERROR_RATE: '0.2',
+      SHIPI18N_MOCK_ERROR_STATUS: '500',
+      SHIPI18N_MOCK_FAIL_LANGUAGES: 'ja, ko',
+    })).toEqual({ latencyMs: [100, 500], errorRate: 0.2, errorStatus: 500, failLanguages: ['ja', 'ko'] });
+
+    expect(mockOptionsFromEnv({ SHIPI18N_MOCK_LATENCY_MS: '50' })).toEqual({ latencyMs: 50 });
+    expect(mockOptionsFromEnv({})).toEqual({});
+  });
+
+  test('getMockFetch reuses one mock per options object', () => {
+    const options = {};
+    expect(getMockFetch(options)).toBe(getMockFetch(options));
+    expect(getMockFetch()).toBe(getMockFetch());
+  });
+});
+
+describe('SHIPI18N_API_URL=mock', () => {
+  test('translates without an API key or network', async () => {
+    setConfig({ apiUrl: 'mock' });
+
+    expect(await translate({ text: 'Hello', targetLanguages: ['es'] })).toEqual({
+      es: [{ original: 'Hello', translated: '[es] Hello' }],
+    });
+    expect(await translateJSON({ json: { title: 'Hello' }, targetLanguages: ['de'] })).toEqual({
+      de: { title: '[de] Hello' },
+    });
+    expect(await healthCheck()).toEqual({ status: 'ok', mock: true });
+  });
+
+  test('surfaces injected errors as the usual error classes', async () => {
+    setConfig({ apiUrl: 'mock', retry: { retries: 0 }, mock: { failLanguages: ['ja'] } });
+    const failed = await translate({ text: 'Hello', targetLanguages: ['ja'] }).catch(error => error);
+    expect(failed).toBeInstanceOf(Shipi18nError);
+    expect(failed).toMatchObject({ status: 503, code: 'MOCK_FAILURE', requestId: 'mock-1' });
+
+    setConfig({ apiUrl: 'mock', retry: { retries: 0 }, mock: { errorRate: 1, errorStatus: 429 } });
+    const limited = await translate({ text: 'Hello', targetLanguages: ['es'] }).catch(error => error);
+    expect(limited).toBeInstanceOf(RateLimitError);
+    expect(limited.retryAfter).toBe(1);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for pseudo-localization
+ */
+
+import { pseudoLocalize, pseudoLocalizeMessages, pseudoOptions, isPseudoLanguage } from '../lib/pseudo.js';
+import { findIntegrityIssues } from '../lib/integrity.js';
+import { formatMessage } from '../lib/icu.js';
+
+const strip = (message) => message.replace(/[\u202E\u202C]/g, '');
+
+describe('pseudoLocalize', () => {
+  test('accents, pads and brackets the text', () => {
+    expect(pseudoLocalize('Save changes')).toBe('[Šåṽé çĥåñĝéš ļöŕ]');
+  });
+
+  test('expands the text by about a third', () => {
+    const source = 'Your subscription renews automatically every month';
+    const ratio = pseudoLocalize(source, { brackets: false }).length / source.length;
+
+    expect(ratio).toBeGreaterThanOrEqual(1.3);
+    expect(ratio).toBeLessThanOrEqual(1.4);
+  });
+
+  test('keeps placeholders, tags and entities intact', () => {
+    const messages = [
+      'Hello <b>{name}</b>, you have {{count}} new messages',
+      'Page %1$d of %2$s &amp; 100%%',
+      '<a href="/terms">Terms</a> & <br/> conditions',
+    ];
+
+    for (const message of messages) {
+      expect(findIntegrityIssues(message, pseudoLocalize(message))).toEqual([]);
+    }
+    expect(pseudoLocalize('Page %1$d of %2$s &amp; 100%%')).toBe('[Þåĝé %1$d öƒ %2$s &amp; 100%% ļöŕ]');
+  });
+
+  test('localizes ICU options but not their keywords', () => {
+    const message = '{count, plural, =0 {No files} one {# file} other {# files}} in {folder}';
+    const localized = pseudoLocalize(message);
+
+    expect(localized).toBe('[{count, plural, =0 {Ñö ƒîļéš} one {# ƒîļé} other {# ƒîļéš}} îñ {folder} ļöŕéɱ]');
+    expect(formatMessage(localized, { count: 2, folder: 'Docs' }, 'en')).toBe('[2 ƒîļéš îñ Docs ļöŕéɱ]');
+  });
+
+  test('mirrors the text for RTL and can drop the brackets', () => {
+    expect(pseudoLocalize('Home', { rtl: true })).toBe('[\u202EĤöɱé ļ\u202C]');
+    expect(pseudoLocalize('Home', { brackets: false, expansion: 0 })).toBe('Ĥöɱé');
+    expect(strip(pseudoLocalize('Home', pseudoOptions('pseudo-x-rtl')))).toBe('[Ĥöɱé ļ]');
+  });
+
+  test('leaves empty strings and other values alone', () => {
+    expect(pseudoLocalize('')).toBe('');
+    expect(pseudoLocalize(null)).toBeNull();
+  });
+});
+
+describe('pseudoLocalizeMessages', () => {
+  test('keeps the structure of nested messages', () => {
+    expect(pseudoLocalizeMessages({ nav: { home: 'Home' }, days: ['Mon'], enabled: true })).toEqual({
+      nav: { home: '[Ĥöɱé ļ]' },
+      days: ['[Ṁöñ ļ]'],
+      enabled: true,
+    });
+  });
+
+  test('recognizes the pseudo languages', () => {
+    expect(isPseudoLanguage('pseudo')).toBe(true);
+    expect(isPseudoLanguage('pseudo-x-rtl')).toBe(true);
+    expect(isPseudoLanguage('es')).toBe(false);
+  });
+});
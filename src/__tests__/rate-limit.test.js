@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for per-client rate limiting and quotas
+ */
+
+import { NextRequest } from 'next/server';
+import { createRateLimiter, createMemoryStore, rateLimitHeaders, getClientIp } from '../lib/rate-limit.js';
+import { SESSION_COOKIE } from '../lib/session.js';
+import { middleware } from '../middleware.js';
+
+const request = (headers = {}) => new Request('http://localhost/api/translate', { method: 'POST', headers });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getClientIp', () => {
+  test('ignores forwarding headers without trusted proxies', () => {
+    expect(getClientIp(request({ 'x-forwarded-for': '1.2.3.4' }))).toBe('unknown');
+    expect(getClientIp(request({ 'x-real-ip': '5.6.7.8' }))).toBe('unknown');
+    expect(getClientIp(Object.assign(request({ 'x-forwarded-for': '1.2.3.4' }), { ip: '9.9.9.9' }))).toBe('9.9.9.9');
+  });
+
+  test('counts X-Forwarded-For hops from the right', () => {
+    const spoofed = request({ 'x-forwarded-for': 'spoofed, 1.2.3.4, 10.0.0.1' });
+
+    expect(getClientIp(spoofed, { trustedProxies: 1 })).toBe('10.0.0.1');
+    expect(getClientIp(spoofed, { trustedProxies: 2 })).toBe('1.2.3.4');
+    expect(getClientIp(request({ 'x-forwarded-for': '1.2.3.4' }), { trustedProxies: 2 })).toBe('1.2.3.4');
+    expect(getClientIp(request({ 'x-real-ip': '5.6.7.8' }), { trustedProxies: 1 })).toBe('5.6.7.8');
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows a burst up to the limit, then blocks', async () => {
+    const limiter = createRateLimiter({ limit: 3, windowMs: 60000 });
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await limiter.check(request()));
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].reason).toBe('rate');
+    expect(results[3].retryAfter).toBe(20);
+  });
+
+  test('refills tokens over time', async () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000 });
+    await limiter.check(request());
+    await limiter.check(request());
+
+    expect((await limiter.check(request())).allowed).toBe(false);
+    jest.advanceTimersByTime(30000);
+    expect((await limiter.check(request())).allowed).toBe(true);
+  });
+
+  test('tracks clients separately', async () => {
+    const limiter = createRateLimiter({ limit: 1, trustedProxies: 1 });
+
+    expect((await limiter.check(request({ 'x-forwarded-for': '1.1.1.1' }))).allowed).toBe(true);
+    expect((await limiter.check(request({ 'x-forwarded-for': '2.2.2.2' }))).allowed).toBe(true);
+    expect((await limiter.check(request({ 'x-forwarded-for': '1.1.1.1' }))).allowed).toBe(false);
+  });
+
+  test('keys by session cookie or bearer token', async () => {
+    const bySession = createRateLimiter({ limit: 1, keyBy: 'session', sessionCookie: 'session' });
+    const byToken = createRateLimiter({ limit: 1, keyBy: 'token' });
+
+    await bySession.check(request({ cookie: 'session=abc' }));
+    expect((await bySession.check(request({ cookie: 'session=def' }))).allowed).toBe(true);
+    expect((await bySession.check(request({ cookie: 'theme=dark; session=abc' }))).allowed).toBe(false);
+
+    await byToken.check(request({ authorization: 'Bearer one' }));
+    expect((await byToken.check(request({ authorization: 'Bearer two' }))).allowed).toBe(true);
+  });
+
+  test('keys by the session cookie the middleware issues', async () => {
+    const visit = async () => {
+      const response = await middleware(new NextRequest('http://localhost/en'));
+      return `${SESSION_COOKIE}=${response.cookies.get(SESSION_COOKIE).value}`;
+    };
+    const limiter = createRateLimiter({ limit: 1, keyBy: 'session' });
+    const [first, second] = [await visit(), await visit()];
+
+    expect((await limiter.check(request({ cookie: first }))).allowed).toBe(true);
+    expect((await limiter.check(request({ cookie: second }))).allowed).toBe(true);
+    expect((await limiter.check(request({ cookie: `theme=dark; ${first}` }))).allowed).toBe(false);
+  });
+
+  test('enforces the daily character quota until UTC midnight', async () => {
+    const limiter = createRateLimiter({ limit: 100, dailyCharacters: 1000 });
+
+    const first = await limiter.check(request(), { characters: 800 });
+    const second = await limiter.check(request(), { characters: 300 });
+
+    expect(first.charactersRemaining).toBe(200);
+    expect(second.allowed).toBe(false);
+    expect(second.reason).toBe('quota');
+    expect(second.retryAfter).toBe(12 * 60 * 60);
+
+    jest.advanceTimersByTime(12 * 60 * 60 * 1000);
+    expect((await limiter.check(request(), { characters: 300 })).allowed).toBe(true);
+  });
+
+  test('uses a pluggable store', async () => {
+    const data = new Map();
+    const store = {
+      get: jest.fn(async (key) => data.get(key)),
+      set: jest.fn(async (key, value) => { data.set(key, value); }),
+      update: jest.fn(async (key, fn) => { data.set(key, fn(data.get(key))); return data.get(key); })
+    };
+    const limiter = createRateLimiter({ limit: 5, store, prefix: 'custom' });
+
+    await limiter.check(request());
+
+    expect(store.update).toHaveBeenCalledWith('custom:ip:unknown', expect.any(Function), 60000);
+  });
+
+  test('counts parallel requests one after the other', async () => {
+    const limiter = createRateLimiter({ limit: 5, dailyCharacters: 250 });
+    const results = await Promise.all(Array.from({ length: 30 }, () => limiter.check(request(), { characters: 100 })));
+
+    expect(results.filter(r => r.allowed)).toHaveLength(2);
+    expect(results.filter(r => r.reason === 'quota')).toHaveLength(28);
+
+    const burst = createRateLimiter({ limit: 5 });
+    const burstResults = await Promise.all(Array.from({ length: 30 }, () => burst.check(request())));
+    expect(burstResults.filter(r => r.allowed)).toHaveLength(5);
+  });
+
+  test('tells clients apart only by trusted hops', async () => {
+    const limiter = createRateLimiter({ limit: 1, trustedProxies: 1 });
+    const viaProxy = (spoofed) => request({ 'x-forwarded-for': `${spoofed}, 1.2.3.4` });
+
+    expect((await limiter.check(viaProxy('a'))).allowed).toBe(true);
+    expect((await limiter.check(viaProxy('b'))).allowed).toBe(false);
+    expect((await limiter.check(request({ 'x-forwarded-for': '5.6.7.8' }))).allowed).toBe(true);
+  });
+});
+
+describe('createMemoryStore', () => {
+  test('expires entries after their TTL', async () => {
+    const store = createMemoryStore();
+    await store.set('a', 1, 1000);
+
+    expect(await store.get('a')).toBe(1);
+    jest.advanceTimersByTime(1000);
+    expect(await store.get('a')).toBeUndefined();
+  });
+});
+
+describe('createMemoryStore update', () => {
+  test('applies concurrent updates in turn', async () => {
+    const store = createMemoryStore();
+    await Promise.all(Array.from({ length: 10 }, () => store.update('n', (n = 0) => n + 1, 1000)));
+
+    expect(await store.get('n')).toBe(10);
+  });
+});
+
+describe('rateLimitHeaders', () => {
+  test('adds Retry-After only when blocked', () => {
+    const allowed = rateLimitHeaders({ allowed: true, limit: 10, remaining: 9, reset: 6 });
+    const blocked = rateLimitHeaders({ allowed: false, limit: 10, remaining: 0, reset: 60, retryAfter: 6 });
+
+    expect(allowed).toEqual({ 'X-RateLimit-Limit': '10', 'X-RateLimit-Remaining': '9', 'X-RateLimit-Reset': '6' });
+    expect(blocked['Retry-After']).toBe('6');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the translation review helpers
+ */
+
+import { reviewRows, isFlagged, describeIssue, setMessage, approvedTranslations } from '../lib/review.js';
+
+const source = {
+  greeting: 'Hello {name}',
+  cart: { item_one: '{{count}} item', item_other: '{{count}} items' },
+  bye: 'Bye'
+};
+
+const translations = {
+  es: { greeting: 'Hola {nombre}', cart: { item_one: '{{count}} artículo', item_other: '{{count}} artículos' } },
+  ru: {
+    greeting: 'Привет {name}',
+    cart: { item_one: '{{count}} товар', item_few: '{{count}} товара', item_many: '{{count}} товаров', item_other: '{{count}} товара' },
+    bye: 'Пока'
+  }
+};
+
+describe('reviewRows', () => {
+  const rows = reviewRows(source, translations);
+
+  test('lists source keys in order with generated plural forms in their group', () => {
+    expect(rows.map(row => row.key)).toEqual([
+      'greeting', 'cart.item_one', 'cart.item_other', 'cart.item_few', 'cart.item_many', 'bye'
+    ]);
+    expect(rows[3]).not.toHaveProperty('source');
+  });
+
+  test('flags integrity issues and missing translations', () => {
+    const [greeting] = rows;
+    const bye = rows.find(row => row.key === 'bye');
+
+    expect(isFlagged(greeting.translations.es)).toBe(true);
+    expect(describeIssue(greeting.translations.es.issues[0])).toBe('Missing {name}; Unexpected {nombre}');
+    expect(isFlagged(greeting.translations.ru)).toBe(false);
+    expect(bye.translations.es).toEqual({ issues: [], missing: true });
+    expect(rows[3].translations.es).toEqual({ issues: [], missing: false });
+  });
+});
+
+describe('setMessage', () => {
+  test('replaces a nested value in place', () => {
+    const edited = setMessage(translations.es, ['cart', 'item_one'], '{{count}} producto');
+
+    expect(edited.cart).toEqual({ item_one: '{{count}} producto', item_other: '{{count}} artículos' });
+    expect(translations.es.cart.item_one).toBe('{{count}} artículo');
+  });
+
+  test('adds missing keys', () => {
+    expect(setMessage(translations.es, ['bye'], 'Adiós').bye).toBe('Adiós');
+  });
+});
+
+describe('approvedTranslations', () => {
+  test('builds translation memory entries from approved rows with a source', () => {
+    const rows = reviewRows(source, translations);
+    const approved = {
+      ru: { [rows[0].id]: true, [rows[3].id]: true },
+      es: { [rows[5].id]: true }
+    };
+
+    expect(approvedTranslations(rows, approved)).toEqual({ en: { ru: { 'Hello {name}': 'Привет {name}' } } });
+  });
+});
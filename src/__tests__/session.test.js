@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for signed session cookies
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { createSessionToken, verifySessionToken, issueSession, sessionSecret, SESSION_COOKIE } from '../lib/session.js';
+
+const secret = 'session-secret';
+const HOUR = 60 * 60 * 1000;
+
+describe('session tokens', () => {
+  test('verify with the secret they were signed with', async () => {
+    const token = await createSessionToken({ secret });
+
+    expect(await verifySessionToken(token, { secret })).toBe(true);
+    expect(await verifySessionToken(token, { secret: 'other' })).toBe(false);
+    expect(await verifySessionToken(`${token.slice(0, -1)}${token.endsWith('0') ? '1' : '0'}`, { secret })).toBe(false);
+  });
+
+  test('expire after maxAgeMs', async () => {
+    const token = await createSessionToken({ secret, now: Date.now() - 2 * HOUR });
+
+    expect(await verifySessionToken(token, { secret, maxAgeMs: 3 * HOUR })).toBe(true);
+    expect(await verifySessionToken(token, { secret, maxAgeMs: HOUR })).toBe(false);
+  });
+
+  test('reject malformed tokens and a missing secret', async () => {
+    expect(await verifySessionToken(undefined, { secret })).toBe(false);
+    expect(await verifySessionToken('a.b.c', { secret })).toBe(false);
+    expect(await verifySessionToken(await createSessionToken({ secret }), { secret: null })).toBe(false);
+  });
+});
+
+describe('issueSession', () => {
+  const request = (cookie) => new NextRequest('http://localhost/en', { headers: cookie ? { Cookie: cookie } : {} });
+
+  test('sets an HttpOnly cookie when the request has no valid session', async () => {
+    const response = await issueSession(request(), NextResponse.next(), { secret });
+    const cookie = response.cookies.get(SESSION_COOKIE);
+
+    expect(cookie.httpOnly).toBe(true);
+    expect(await verifySessionToken(cookie.value, { secret })).toBe(true);
+  });
+
+  test('keeps a fresh session and renews an aging one', async () => {
+    const fresh = await createSessionToken({ secret });
+    const aging = await createSessionToken({ secret, now: Date.now() - 13 * HOUR });
+
+    expect((await issueSession(request(`${SESSION_COOKIE}=${fresh}`), NextResponse.next(), { secret })).cookies.get(SESSION_COOKIE)).toBeUndefined();
+    expect((await issueSession(request(`${SESSION_COOKIE}=${aging}`), NextResponse.next(), { secret })).cookies.get(SESSION_COOKIE)).toBeDefined();
+  });
+
+  test('issues nothing without a secret', async () => {
+    expect(sessionSecret({ NODE_ENV: 'production' })).toBeNull();
+    expect(sessionSecret({ NODE_ENV: 'production', SESSION_SECRET: 's' })).toBe('s');
+    expect((await issueSession(request(), NextResponse.next(), { secret: null })).cookies.get(SESSION_COOKIE)).toBeUndefined();
+  });
+});
@@ -8,6 +8,8 @@ import {
   translate,
   translateJSON,
   translateLocaleFile,
+  estimateUsage,
+  getSupportedLanguages,
   healthCheck,
   getTranslations,
   getConfig,
@@ -15,13 +17,18 @@ import {
   resetConfig,
   apiRequest
 } from '../lib/shipi18n.js';
+import { createMemoryCache } from '../lib/cache.js';
+import { hashMessages } from '../lib/messages.js';
+import { AuthenticationError, TimeoutError, ValidationError } from '../lib/errors.js';
+import { createGlossary } from '../lib/glossary.js';
+import { createTranslationMemory } from '../lib/translation-memory.js';
 
 // Mock fetch globally
 let mockFetchResponse = {};
 let mockFetchOk = true;
 let lastFetchCall = null;
 
-global.fetch = jest.fn(async (url, options) => {
+const mockFetch = async (url, options) => {
   lastFetchCall = { url, options };
 
   return {
@@ -29,7 +36,9 @@ global.fetch = jest.fn(async (url, options) => {
     status: mockFetchOk ? 200 : 401,
     json: async () => mockFetchResponse
   };
-});
+};
+
+global.fetch = jest.fn(mockFetch);
 
 // Reset before each test
 beforeEach(() => {
@@ -37,7 +46,8 @@ beforeEach(() => {
   mockFetchOk = true;
   lastFetchCall = null;
   resetConfig();
-  global.fetch.mockClear();
+  global.fetch.mockReset();
+  global.fetch.mockImplementation(mockFetch);
 });
 
 describe('Shipi18n API Client', () => {
@@ -110,6 +120,8 @@ describe('Shipi18n API Client', () => {
 
       await expect(apiRequest('/translate', { method: 'POST' }))
         .rejects.toThrow('Invalid API key');
+      await expect(apiRequest('/translate', { method: 'POST' }))
+        .rejects.toBeInstanceOf(AuthenticationError);
     });
 
     test('provides fallback error message', async () => {
@@ -122,6 +134,136 @@ describe('Shipi18n API Client', () => {
     });
   });
 
+  describe('apiRequest retry policy', () => {
+    const respond = (status, body = {}, headers = {}) => async () => ({
+      ok: status < 400,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      json: async () => body
+    });
+
+    beforeEach(() => {
+      setConfig({
+        apiKey: 'sk_test_123',
+        apiUrl: 'https://api.test.com',
+        retry: { baseDelayMs: 0 }
+      });
+    });
+
+    test('retries 5xx responses and returns the eventual result', async () => {
+      global.fetch
+        .mockImplementationOnce(respond(503))
+        .mockImplementationOnce(respond(502))
+        .mockImplementationOnce(respond(200, { es: 'Hola' }));
+
+      const result = await apiRequest('/languages', { method: 'GET' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({ es: 'Hola' });
+    });
+
+    test('gives up after the configured number of retries', async () => {
+      global.fetch
+        .mockImplementationOnce(respond(500))
+        .mockImplementationOnce(respond(500, { message: 'Internal error' }));
+
+      await expect(apiRequest('/languages', { method: 'GET', retry: { retries: 1 } }))
+        .rejects.toThrow('Internal error');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors', async () => {
+      global.fetch.mockImplementationOnce(respond(400, { message: 'Bad request' }));
+
+      await expect(apiRequest('/translate', { method: 'POST' })).rejects.toThrow('Bad request');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits for Retry-After on 429', async () => {
+      jest.useFakeTimers();
+      global.fetch
+        .mockImplementationOnce(respond(429, {}, { 'Retry-After': '2' }))
+        .mockImplementationOnce(respond(200, { ok: true }));
+
+      const pending = apiRequest('/translate', { method: 'POST' });
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+
+      await expect(pending).resolves.toEqual({ ok: true });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
+
+    test('does not wait longer than maxRetryAfterMs', async () => {
+      global.fetch.mockImplementationOnce(respond(429, { message: 'Slow down' }, { 'Retry-After': '3600' }));
+
+      await expect(apiRequest('/translate', { method: 'POST' })).rejects.toThrow('Slow down');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('times out slow requests', async () => {
+      global.fetch.mockImplementationOnce((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      await expect(apiRequest('/translate', { method: 'POST', retry: { retries: 0, timeoutMs: 10 } }))
+        .rejects.toThrow(TimeoutError);
+    });
+
+    test('retries network errors unless disabled', async () => {
+      global.fetch
+        .mockImplementationOnce(async () => { throw new TypeError('fetch failed'); })
+        .mockImplementationOnce(respond(200, { ok: true }));
+
+      await expect(apiRequest('/languages', { method: 'GET' })).resolves.toEqual({ ok: true });
+
+      global.fetch.mockImplementationOnce(async () => { throw new TypeError('fetch failed'); });
+      await expect(apiRequest('/languages', { method: 'GET', retry: false }))
+        .rejects.toThrow('fetch failed');
+    });
+
+    test('retries POST only when the API did not run it, unless retryUnsafe is set', async () => {
+      global.fetch
+        .mockImplementationOnce(async () => { throw new TypeError('fetch failed'); })
+        .mockImplementationOnce(respond(500))
+        .mockImplementationOnce(respond(503, {}, { 'Retry-After': '0' }))
+        .mockImplementationOnce(respond(200, { ok: true }));
+
+      await expect(apiRequest('/translate', { method: 'POST' })).rejects.toThrow('fetch failed');
+      await expect(apiRequest('/translate', { method: 'POST' })).rejects.toThrow('API error: 500');
+      await expect(apiRequest('/translate', { method: 'POST' })).resolves.toEqual({ ok: true });
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+
+      global.fetch
+        .mockImplementationOnce(respond(500))
+        .mockImplementationOnce(respond(200, { ok: true }));
+      await expect(apiRequest('/translate', { method: 'POST', retry: { retryUnsafe: true } })).resolves.toEqual({ ok: true });
+    });
+
+    test('times out a stalled response body', async () => {
+      global.fetch.mockImplementationOnce(async (url, options) => ({
+        ok: true,
+        status: 200,
+        json: () => new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+      }));
+
+      await expect(apiRequest('/languages', { method: 'GET', retry: { retries: 0, timeoutMs: 10 } }))
+        .rejects.toThrow(TimeoutError);
+    });
+
+    test('does not send a request when the caller already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(apiRequest('/languages', { method: 'GET', signal: controller.signal }))
+        .rejects.toThrow();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('translate', () => {
     test('throws error when text is empty', async () => {
       setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
@@ -237,6 +379,88 @@ describe('Shipi18n API Client', () => {
     });
   });
 
+  describe('translateJSON chunking', () => {
+    const largeJSON = {};
+    for (let i = 0; i < 40; i++) {
+      largeJSON[`section${i}`] = { title: `Section ${i} title`, body: `Section ${i} body text` };
+    }
+
+    // Echo each chunk back as its "translation"
+    const echoFetch = async (url, options) => {
+      const body = JSON.parse(options.body);
+      const chunk = JSON.parse(body.text);
+      const result = {};
+      body.targetLanguages.forEach(lang => { result[lang] = chunk; });
+      return { ok: true, status: 200, json: async () => result };
+    };
+
+    beforeEach(() => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', retry: { retries: 0 } });
+    });
+
+    test('sends small JSON in a single request', async () => {
+      mockFetchResponse = { es: { greeting: 'Hola' } };
+
+      await translateJSON({ json: { greeting: 'Hello' }, targetLanguages: ['es'] });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('splits large JSON and merges the results per language', async () => {
+      global.fetch.mockImplementation(echoFetch);
+
+      const result = await translateJSON({
+        json: largeJSON,
+        targetLanguages: ['es', 'fr'],
+        chunkSize: 500
+      });
+
+      expect(global.fetch.mock.calls.length).toBeGreaterThan(1);
+      global.fetch.mock.calls.forEach(([, options]) => {
+        expect(JSON.parse(options.body).text.length).toBeLessThanOrEqual(500);
+      });
+      expect(result.es).toEqual(largeJSON);
+      expect(result.fr).toEqual(largeJSON);
+    });
+
+    test('limits the number of chunks in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      global.fetch.mockImplementation(async (url, options) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return echoFetch(url, options);
+      });
+
+      await translateJSON({ json: largeJSON, targetLanguages: ['es'], chunkSize: 300, chunkConcurrency: 2 });
+
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('reports which chunk failed', async () => {
+      let calls = 0;
+      global.fetch.mockImplementation(async (url, options) => {
+        calls++;
+        if (calls === 2) return { ok: false, status: 400, json: async () => ({ message: 'Too large' }) };
+        return echoFetch(url, options);
+      });
+
+      const error = await translateJSON({
+        json: largeJSON,
+        targetLanguages: ['es'],
+        chunkSize: 500,
+        chunkConcurrency: 1
+      }).catch(err => err);
+
+      expect(error.message).toMatch(/^Chunk 2 of \d+ failed: Too large$/);
+      expect(error.chunk.index).toBe(1);
+      expect(error.chunk.keys.length).toBeGreaterThan(0);
+      expect(error.chunk.keys[0]).toMatch(/^section\d+\.title$/);
+    });
+  });
+
   describe('translateLocaleFile', () => {
     test('translates content and returns by language', async () => {
       setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
@@ -271,6 +495,345 @@ describe('Shipi18n API Client', () => {
     });
   });
 
+  describe('translateLocaleFile delta translation', () => {
+    const source = {
+      app: { title: 'My App', welcome: 'Welcome!' },
+      cart: { item_one: '{{count}} item', item_other: '{{count}} items' }
+    };
+
+    // Prefix every string in the request with the language code
+    const prefixFetch = async (url, options) => {
+      lastFetchCall = { url, options };
+      const body = JSON.parse(options.body);
+      const prefix = (lang, value) => typeof value === 'string'
+        ? `${lang}:${value}`
+        : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, prefix(lang, v)]));
+      const result = {};
+      body.targetLanguages.forEach(lang => { result[lang] = prefix(lang, JSON.parse(body.text)); });
+      return { ok: true, status: 200, json: async () => result };
+    };
+
+    beforeEach(() => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+      global.fetch.mockImplementation(prefixFetch);
+    });
+
+    test('only sends keys missing from the existing translation', async () => {
+      const existing = {
+        es: {
+          app: { title: 'Mi App', welcome: '¡Bienvenido!' },
+          cart: { item_one: '{{count}} artículo', item_other: '{{count}} artículos' }
+        }
+      };
+      const content = { ...source, app: { ...source.app, logout: 'Log out' } };
+
+      const result = await translateLocaleFile({ content, targetLanguages: ['es'], existing });
+
+      expect(JSON.parse(JSON.parse(lastFetchCall.options.body).text)).toEqual({ app: { logout: 'Log out' } });
+      expect(result.es).toEqual({
+        app: { title: 'Mi App', welcome: '¡Bienvenido!', logout: 'es:Log out' },
+        cart: existing.es.cart
+      });
+    });
+
+    test('re-translates strings that changed since the lockfile', async () => {
+      const lockfile = hashMessages(source);
+      const existing = {
+        fr: {
+          app: { title: 'Mon App', welcome: 'Bienvenue !' },
+          cart: { item_one: '{{count}} article', item_other: '{{count}} articles' }
+        }
+      };
+      const content = { ...source, app: { title: 'My Great App', welcome: 'Welcome!' } };
+
+      const result = await translateLocaleFile({ content, targetLanguages: ['fr'], existing, lockfile });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.fr.app).toEqual({ title: 'fr:My Great App', welcome: 'Bienvenue !' });
+    });
+
+    test('drops keys removed from the source and keeps generated plural forms', async () => {
+      const existing = {
+        ru: {
+          app: { title: 'Моё приложение', welcome: 'Добро пожаловать!', removed: 'Удалено' },
+          cart: {
+            item_one: '{{count}} элемент',
+            item_few: '{{count}} элемента',
+            item_many: '{{count}} элементов',
+            item_other: '{{count}} элементов'
+          }
+        }
+      };
+
+      const result = await translateLocaleFile({ content: source, targetLanguages: ['ru'], existing });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result.ru.app.removed).toBeUndefined();
+      expect(Object.keys(result.ru.cart)).toEqual(['item_one', 'item_few', 'item_many', 'item_other']);
+    });
+
+    test('translates everything for languages without existing files', async () => {
+      const existing = { es: { app: { title: 'Mi App', welcome: '¡Bienvenido!' }, cart: source.cart } };
+
+      const result = await translateLocaleFile({ content: source, targetLanguages: ['es', 'de'], existing });
+
+      const body = JSON.parse(lastFetchCall.options.body);
+      expect(body.targetLanguages).toEqual(['de']);
+      expect(result.de.app.title).toBe('de:My App');
+      expect(result.es).toEqual(existing.es);
+    });
+
+    test('rejects invalid JSON content with a ValidationError', async () => {
+      await expect(translateLocaleFile({ content: '{"app":', targetLanguages: ['es'], existing: {} }))
+        .rejects.toBeInstanceOf(ValidationError);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('translation cache', () => {
+    beforeEach(() => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+    });
+
+    test('only sends uncached languages upstream', async () => {
+      const cache = createMemoryCache();
+      mockFetchResponse = { es: [{ original: 'Hello', translated: 'Hola' }] };
+      await translate({ text: 'Hello', targetLanguages: ['es'], cache });
+
+      mockFetchResponse = { fr: [{ original: 'Hello', translated: 'Bonjour' }] };
+      const result = await translate({ text: 'Hello', targetLanguages: ['es', 'fr'], cache });
+
+      expect(JSON.parse(lastFetchCall.options.body).targetLanguages).toEqual(['fr']);
+      expect(result.es[0].translated).toBe('Hola');
+      expect(result.fr[0].translated).toBe('Bonjour');
+    });
+
+    test('skips the API when every language is cached', async () => {
+      const cache = createMemoryCache();
+      mockFetchResponse = { es: { title: 'Mi App' } };
+      await translateLocaleFile({ content: { title: 'My App' }, targetLanguages: ['es'], cache });
+      global.fetch.mockClear();
+
+      const result = await translateLocaleFile({
+        content: { title: 'My App' },
+        targetLanguages: ['es'],
+        cache
+      });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result).toEqual({ es: { title: 'Mi App' } });
+    });
+
+    test('keys entries by options', async () => {
+      const cache = createMemoryCache();
+      mockFetchResponse = { es: [{ original: 'Hello', translated: 'Hola' }] };
+      await translate({ text: 'Hello', targetLanguages: ['es'], cache });
+      global.fetch.mockClear();
+
+      await translate({ text: 'Hello', targetLanguages: ['es'], enablePluralization: false, cache });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('uses the cache from setConfig', async () => {
+      const cache = createMemoryCache();
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', cache });
+      mockFetchResponse = { es: [{ original: 'Hello', translated: 'Hola' }] };
+
+      await translate({ text: 'Hello', targetLanguages: ['es'] });
+
+      expect(cache.size).toBe(1);
+    });
+  });
+
+  describe('glossary and translation memory', () => {
+    const glossary = createGlossary({
+      doNotTranslate: ['Ship'],
+      terms: { Workspace: { es: 'Espacio de trabajo', fr: 'Espace de travail' } }
+    });
+
+    beforeEach(() => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+    });
+
+    test('translate protects glossary terms and restores them per language', async () => {
+      mockFetchResponse = {
+        es: [{ original: 'Open {{__term_0}} in {{__term_1}}', translated: 'Abre {{__term_0}} en {{__term_1}}' }],
+        fr: [{ original: 'Open {{__term_0}} in {{__term_1}}', translated: 'Ouvrez {{__term_0}} dans {{__term_1}}' }]
+      };
+
+      const result = await translate({ text: 'Open Workspace in Ship', targetLanguages: ['es', 'fr'], glossary });
+
+      expect(JSON.parse(lastFetchCall.options.body).text).toBe('Open {{__term_0}} in {{__term_1}}');
+      expect(result.es[0]).toEqual({ original: 'Open Workspace in Ship', translated: 'Abre Espacio de trabajo en Ship' });
+      expect(result.fr[0].translated).toBe('Ouvrez Espace de travail dans Ship');
+    });
+
+    test('translate reuses approved translations and only sends the rest', async () => {
+      const memory = createTranslationMemory({ en: { es: { Hello: '¡Hola!' } } });
+      mockFetchResponse = { fr: [{ original: 'Hello', translated: 'Bonjour' }] };
+
+      const result = await translate({ text: 'Hello', targetLanguages: ['es', 'fr'], memory });
+
+      expect(JSON.parse(lastFetchCall.options.body).targetLanguages).toEqual(['fr']);
+      expect(result.es).toEqual([{ original: 'Hello', translated: '¡Hola!' }]);
+      expect(result.fr[0].translated).toBe('Bonjour');
+    });
+
+    test('translateLocaleFile skips strings approved in every language', async () => {
+      const memory = createTranslationMemory({
+        en: { es: { Save: 'Guardar' }, fr: { Save: 'Enregistrer', Cancel: 'Annuler' } }
+      });
+      mockFetchResponse = {
+        es: { cancel: 'Cancelar (API)', title: '{{__term_0}}' },
+        fr: { cancel: 'Annuler (API)', title: '{{__term_0}}' }
+      };
+
+      const result = await translateLocaleFile({
+        content: { save: 'Save', title: 'Workspace', cancel: 'Cancel' },
+        targetLanguages: ['es', 'fr'],
+        glossary,
+        memory
+      });
+
+      expect(JSON.parse(JSON.parse(lastFetchCall.options.body).text)).toEqual({
+        title: '{{__term_0}}',
+        cancel: 'Cancel'
+      });
+      expect(result.es).toEqual({ save: 'Guardar', title: 'Espacio de trabajo', cancel: 'Cancelar (API)' });
+      expect(result.fr).toEqual({ save: 'Enregistrer', title: 'Espace de travail', cancel: 'Annuler' });
+      expect(Object.keys(result.es)).toEqual(['save', 'title', 'cancel']);
+    });
+
+    test('skips the API when the memory covers everything', async () => {
+      const memory = createTranslationMemory({ en: { es: { Save: 'Guardar' } } });
+
+      const result = await translateJSON({ json: { save: 'Save' }, targetLanguages: ['es'], memory });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result).toEqual({ es: { save: 'Guardar' } });
+    });
+  });
+
+  describe('estimateUsage', () => {
+    const content = { title: 'My App', welcome: 'Welcome, {name}!', save: 'Save' };
+
+    test('counts translatable characters and words per language without calling the API', async () => {
+      const { languages, total } = await estimateUsage({ content, targetLanguages: ['es', 'fr'] });
+
+      expect(languages.es).toEqual({ keys: 3, characters: 20, words: 4, skipped: { upToDate: 0, memory: 0, cache: 0 } });
+      expect(total).toEqual({ keys: 6, characters: 40, words: 8 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('skips up-to-date keys and strings approved in every language', async () => {
+      const memory = createTranslationMemory({ en: { es: { Save: 'Guardar' } } });
+
+      const { languages } = await estimateUsage({
+        content,
+        targetLanguages: ['es'],
+        existing: { es: { title: 'Mi App' } },
+        lockfile: hashMessages(content),
+        memory
+      });
+
+      expect(languages.es).toEqual({ keys: 1, characters: 10, words: 1, skipped: { upToDate: 1, memory: 1, cache: 0 } });
+    });
+
+    test('skips languages already in the cache', async () => {
+      const cache = createMemoryCache();
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+      mockFetchResponse = { es: { title: 'Mi App' } };
+      await translateLocaleFile({ content: { title: 'My App' }, targetLanguages: ['es'], cache });
+
+      const { languages } = await estimateUsage({ content: { title: 'My App' }, targetLanguages: ['es', 'fr'], cache });
+
+      expect(languages.es).toMatchObject({ keys: 0, characters: 0, skipped: { cache: 1 } });
+      expect(languages.fr).toMatchObject({ keys: 1, characters: 6 });
+    });
+  });
+
+  describe('pseudo-localization', () => {
+    test('generates pseudo languages locally and sends the rest', async () => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+      mockFetchResponse = { es: [{ original: 'Hello {name}', translated: 'Hola {name}' }] };
+
+      const result = await translate({ text: 'Hello {name}', targetLanguages: ['es', 'pseudo'] });
+
+      expect(JSON.parse(lastFetchCall.options.body).targetLanguages).toEqual(['es']);
+      expect(result.es[0].translated).toBe('Hola {name}');
+      expect(result.pseudo).toEqual([{ original: 'Hello {name}', translated: '[Ĥéļļö {name} ļ]' }]);
+    });
+
+    test('pseudo-localizes locale files without an API key', async () => {
+      const translations = await translateLocaleFile({
+        content: { nav: { home: 'Home' }, items_one: '{{count}} item', items_other: '{{count}} items' },
+        targetLanguages: ['pseudo', 'pseudo-x-rtl']
+      });
+
+      expect(translations.pseudo).toEqual({ nav: { home: '[Ĥöɱé ļ]' }, items_one: '[{{count}} îţéɱ ļ]', items_other: '[{{count}} îţéɱš ļ]' });
+      expect(translations['pseudo-x-rtl'].nav.home).toBe('[\u202EĤöɱé ļ\u202C]');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('costs nothing in usage estimates', async () => {
+      const { languages } = await estimateUsage({ content: { title: 'My App' }, targetLanguages: ['pseudo'] });
+
+      expect(languages.pseudo).toMatchObject({ keys: 0, characters: 0 });
+    });
+  });
+
+  describe('integrity checks', () => {
+    beforeEach(() => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+      mockFetchResponse = {
+        es: { greeting: 'Hola {{nombre}}', note: 'Lee esto', bye: 'Adiós' }
+      };
+    });
+
+    const content = { greeting: 'Hello {{name}}', note: 'Read <b>this</b>', bye: 'Bye' };
+
+    test('translateJSON repairs broken entries and reports them', async () => {
+      const onIntegrityReport = jest.fn();
+
+      const result = await translateJSON({ json: content, targetLanguages: ['es'], integrity: 'repair', onIntegrityReport });
+
+      expect(result.es).toEqual({ greeting: 'Hola {{name}}', note: 'Lee esto', bye: 'Adiós' });
+      expect(onIntegrityReport).toHaveBeenCalledWith([
+        expect.objectContaining({ key: 'greeting', language: 'es', action: 'repaired' }),
+        expect.objectContaining({ key: 'note', language: 'es', action: 'flagged' })
+      ]);
+    });
+
+    test('translateLocaleFile rejects broken entries', async () => {
+      const onIntegrityReport = jest.fn();
+
+      const result = await translateLocaleFile({ content, targetLanguages: ['es'], integrity: 'reject', onIntegrityReport });
+
+      expect(result.es).toEqual({ bye: 'Adiós' });
+      expect(onIntegrityReport).toHaveBeenCalledTimes(1);
+      expect(onIntegrityReport.mock.calls[0][0].map(row => row.action)).toEqual(['rejected', 'rejected']);
+    });
+
+    test('rejects unknown modes', async () => {
+      await expect(translateJSON({ json: content, targetLanguages: ['es'], integrity: 'ignore' }))
+        .rejects.toThrow('integrity must be one of');
+    });
+  });
+
+  describe('getSupportedLanguages', () => {
+    test('reads the languages endpoint', async () => {
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
+      mockFetchResponse = { languages: [{ code: 'sw', name: 'Swahili', nativeName: 'Kiswahili' }] };
+
+      const result = await getSupportedLanguages();
+
+      expect(lastFetchCall.url).toBe('https://api.test.com/api/languages');
+      expect(lastFetchCall.options.method).toBe('GET');
+      expect(result).toEqual([{ code: 'sw', name: 'Swahili', nativeName: 'Kiswahili' }]);
+    });
+  });
+
   describe('healthCheck', () => {
     test('calls the health endpoint', async () => {
       setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com' });
@@ -284,10 +847,101 @@ describe('Shipi18n API Client', () => {
   });
 
   describe('getTranslations', () => {
-    test('returns empty object (placeholder implementation)', async () => {
-      const result = await getTranslations('es', 'common');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let messagesDir;
+
+    beforeEach(() => {
+      messagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-messages-'));
+      fs.mkdirSync(path.join(messagesDir, 'en'));
+      fs.mkdirSync(path.join(messagesDir, 'es'));
+      fs.writeFileSync(
+        path.join(messagesDir, 'en', 'checkout.json'),
+        JSON.stringify({ title: 'Checkout' })
+      );
+      fs.writeFileSync(
+        path.join(messagesDir, 'es', 'checkout.json'),
+        JSON.stringify({ title: 'Pago' })
+      );
+      setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', messagesDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(messagesDir, { recursive: true, force: true });
+    });
+
+    test('loads messages from disk without calling the API', async () => {
+      const result = await getTranslations('es', 'checkout');
+
+      expect(result).toEqual({ title: 'Pago' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('returns source messages for the source locale', async () => {
+      const result = await getTranslations('en', 'checkout');
+
+      expect(result).toEqual({ title: 'Checkout' });
+    });
+
+    test('translates the source locale file on a miss', async () => {
+      mockFetchResponse = { fr: { title: 'Paiement' } };
+
+      const result = await getTranslations('fr', 'checkout');
+
+      const body = JSON.parse(lastFetchCall.options.body);
+      expect(body.text).toBe('{"title":"Checkout"}');
+      expect(body.sourceLanguage).toBe('en');
+      expect(body.targetLanguages).toEqual(['fr']);
+      expect(result).toEqual({ title: 'Paiement' });
+    });
+
+    test('pseudo-localizes the source locale file', async () => {
+      const result = await getTranslations('pseudo', 'checkout');
+
+      expect(result).toEqual({ title: '[Çĥéçķöûţ ļö]' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('returns empty object when the namespace does not exist', async () => {
+      const result = await getTranslations('fr', 'missing');
 
       expect(result).toEqual({});
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('rejects locales that are not a single path segment', async () => {
+      await expect(getTranslations('../en', 'checkout'))
+        .rejects.toThrow('Invalid locale');
+    });
+
+    test('shares one memoized load between the default and explicit namespace', async () => {
+      // React.cache keys on the arguments as passed
+      const cache = (fn) => {
+        const results = new Map();
+        return (...args) => {
+          const key = JSON.stringify(args);
+          if (!results.has(key)) results.set(key, fn(...args));
+          return results.get(key);
+        };
+      };
+      let cachedLib;
+      jest.isolateModules(() => {
+        jest.doMock('react', () => ({ ...jest.requireActual('react'), cache }));
+        cachedLib = require('../lib/shipi18n.js');
+      });
+      fs.writeFileSync(path.join(messagesDir, 'en', 'common.json'), JSON.stringify({ title: 'Home' }));
+      cachedLib.setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', messagesDir });
+      mockFetchResponse = { fr: { title: 'Accueil' } };
+
+      const [implicit, explicit] = await Promise.all([
+        cachedLib.getTranslations('fr'),
+        cachedLib.getTranslations('fr', 'common'),
+      ]);
+
+      expect(implicit).toBe(explicit);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      jest.dontMock('react');
     });
   });
 });
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for per-language NDJSON streaming
+ */
+
+import { createTranslationStream, acceptsNDJSON } from '../lib/stream.js';
+import { TimeoutError } from '../lib/errors.js';
+
+const readLines = async (stream) => (await new Response(stream).text())
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+describe('acceptsNDJSON', () => {
+  test('checks the Accept header', () => {
+    const request = (accept) => new Request('http://localhost', { headers: accept ? { Accept: accept } : {} });
+
+    expect(acceptsNDJSON(request('application/x-ndjson'))).toBe(true);
+    expect(acceptsNDJSON(request('application/json'))).toBe(false);
+    expect(acceptsNDJSON(request())).toBe(false);
+  });
+});
+
+describe('createTranslationStream', () => {
+  test('emits languages in completion order, then done', async () => {
+    const delays = { es: 30, fr: 0, de: 10 };
+    const stream = createTranslationStream(['es', 'fr', 'de'], (lang) => new Promise(resolve => {
+      setTimeout(() => resolve({ result: `${lang}!` }), delays[lang]);
+    }));
+
+    const events = await readLines(stream);
+
+    expect(events.map(e => e.language || e.type)).toEqual(['fr', 'de', 'es', 'done']);
+    expect(events[0]).toEqual({ type: 'result', language: 'fr', result: 'fr!' });
+    expect(events[3]).toEqual({ type: 'done', completed: ['fr', 'de', 'es'], failed: [] });
+  });
+
+  test('reports failed languages without stopping the others', async () => {
+    const onError = jest.fn();
+    const stream = createTranslationStream(['es', 'fr'], async (lang) => {
+      if (lang === 'fr') throw new TimeoutError('Request timed out');
+      return { result: 'Hola' };
+    }, { onError });
+
+    const events = await readLines(stream);
+
+    expect(events).toContainEqual({ type: 'error', language: 'fr', error: { error: 'Request timed out', code: 'TIMEOUT' } });
+    expect(events.at(-1)).toEqual({ type: 'done', completed: ['es'], failed: ['fr'] });
+    expect(onError).toHaveBeenCalledWith(expect.any(TimeoutError), 'fr');
+  });
+
+  test('hides unexpected error messages', async () => {
+    const stream = createTranslationStream(['es'], async () => {
+      throw new Error('database password is hunter2');
+    });
+
+    expect((await readLines(stream))[0].error).toEqual({ error: 'Translation failed', code: 'INTERNAL_ERROR' });
+  });
+
+  test('limits concurrency', async () => {
+    let active = 0;
+    let peak = 0;
+    const stream = createTranslationStream(['a', 'b', 'c', 'd', 'e'], async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { result: null };
+    }, { concurrency: 2 });
+
+    await readLines(stream);
+
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the messages sync behind `shipi18n sync`
+ */
+
+import { loadSyncConfig, syncMessages, buildMessages } from '../lib/sync.js';
+import { setConfig, resetConfig } from '../lib/shipi18n.js';
+import { hashMessages } from '../lib/messages.js';
+import { ValidationError } from '../lib/errors.js';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let root;
+let requests;
+
+const writeJSON = (file, data) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), JSON.stringify(data));
+};
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-sync-'));
+  requests = [];
+  setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', retry: { retries: 0 } });
+
+  // Translate by prefixing every string with the language code
+  jest.spyOn(global, 'fetch').mockImplementation(async (url, options) => {
+    const body = JSON.parse(options.body);
+    const source = JSON.parse(body.text);
+    requests.push(body);
+    const result = {};
+    body.targetLanguages.forEach(lang => {
+      result[lang] = Object.fromEntries(Object.entries(source).map(([key, value]) => [key, `${lang}:${value}`]));
+    });
+    return new Response(JSON.stringify(result));
+  });
+
+  writeJSON('messages/en/common.json', { hello: 'Hello', bye: 'Goodbye' });
+  writeJSON('messages/en/checkout.json', { pay: 'Pay' });
+  writeJSON('shipi18n.config.json', { targetLanguages: ['es', 'fr'], source: 'messages/en' });
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  resetConfig();
+  jest.restoreAllMocks();
+});
+
+describe('loadSyncConfig', () => {
+  test('resolves paths next to the source', async () => {
+    const config = await loadSyncConfig(path.join(root, 'shipi18n.config.json'));
+
+    expect(config.isDirectory).toBe(true);
+    expect(config.output).toBe(path.join(root, 'messages', '{lang}'));
+    expect(config.lockfile).toBe(path.join(root, 'messages', '.shipi18n-lock.json'));
+  });
+
+  test('requires target languages', async () => {
+    writeJSON('shipi18n.config.json', { source: 'messages/en' });
+
+    await expect(loadSyncConfig(path.join(root, 'shipi18n.config.json')))
+      .rejects.toThrow('"targetLanguages" must list at least one language');
+  });
+
+  test('checks missingKeys', async () => {
+    writeJSON('shipi18n.config.json', { targetLanguages: ['es'], source: 'messages/en', missingKeys: 'fail' });
+
+    await expect(loadSyncConfig(path.join(root, 'shipi18n.config.json')))
+      .rejects.toThrow('"missingKeys" must be one of: warn, error');
+  });
+});
+
+describe('syncMessages', () => {
+  const load = () => loadSyncConfig(path.join(root, 'shipi18n.config.json'));
+
+  test('writes one file per namespace and language', async () => {
+    const { stale } = await syncMessages(await load());
+
+    expect(stale).toBe(true);
+    expect(readJSON('messages/es/common.json')).toEqual({ hello: 'es:Hello', bye: 'es:Goodbye' });
+    expect(readJSON('messages/fr/checkout.json')).toEqual({ pay: 'fr:Pay' });
+    expect(readJSON('messages/.shipi18n-lock.json')).toEqual({
+      'checkout.json': { es: hashMessages({ pay: 'Pay' }), fr: hashMessages({ pay: 'Pay' }) },
+      'common.json': { es: hashMessages({ hello: 'Hello', bye: 'Goodbye' }), fr: hashMessages({ hello: 'Hello', bye: 'Goodbye' }) },
+    });
+  });
+
+  test('is up to date after a sync', async () => {
+    await syncMessages(await load());
+    requests = [];
+
+    const { stale } = await syncMessages(await load(), { check: true });
+
+    expect(stale).toBe(false);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('only translates changed keys on the next run', async () => {
+    await syncMessages(await load());
+    writeJSON('messages/en/common.json', { hello: 'Hi there', bye: 'Goodbye' });
+    requests = [];
+
+    await syncMessages(await load());
+
+    expect(requests).toHaveLength(1);
+    expect(JSON.parse(requests[0].text)).toEqual({ hello: 'Hi there' });
+    expect(readJSON('messages/es/common.json')).toEqual({ hello: 'es:Hi there', bye: 'es:Goodbye' });
+  });
+
+  test('check and dry run report without writing', async () => {
+    const checked = await syncMessages(await load(), { check: true });
+    const dryRun = await syncMessages(await load(), { dryRun: true });
+
+    expect(checked.stale).toBe(true);
+    expect(dryRun.report.find(row => row.file === 'common.json' && row.lang === 'es').added)
+      .toEqual(['hello', 'bye']);
+    expect(dryRun.report.find(row => row.file === 'common.json' && row.lang === 'es').usage)
+      .toEqual({ keys: 2, characters: 12, words: 2 });
+    expect(requests).toHaveLength(0);
+    expect(fs.existsSync(path.join(root, 'messages/es'))).toBe(false);
+  });
+
+  test('limits a run to the given languages and locks only those', async () => {
+    await syncMessages(await load(), { languages: ['fr'] });
+
+    expect(fs.existsSync(path.join(root, 'messages/fr/common.json'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'messages/es'))).toBe(false);
+    expect(Object.keys(readJSON('messages/.shipi18n-lock.json')['common.json'])).toEqual(['fr']);
+  });
+
+  test('rejects languages that are not configured', async () => {
+    const run = syncMessages(await load(), { languages: ['fr', 'frr'] });
+
+    await expect(run).rejects.toThrow(ValidationError);
+    await expect(run).rejects.toThrow('Not in targetLanguages: frr (configured: es, fr)');
+    expect(requests).toHaveLength(0);
+    expect(fs.existsSync(path.join(root, 'messages/frr'))).toBe(false);
+  });
+
+  test('does not translate a language again after a partial run', async () => {
+    await syncMessages(await load());
+    writeJSON('messages/en/common.json', { hello: 'Hi there', bye: 'Goodbye' });
+    await syncMessages(await load(), { languages: ['fr'] });
+    requests = [];
+
+    const { report } = await syncMessages(await load(), { check: true });
+    expect(report.filter(row => row.stale).map(row => `${row.file}:${row.lang}`)).toEqual(['common.json:es']);
+
+    await syncMessages(await load());
+    expect(requests).toHaveLength(1);
+    expect(requests[0].targetLanguages).toEqual(['es']);
+    expect(JSON.parse(requests[0].text)).toEqual({ hello: 'Hi there' });
+  });
+
+  test('syncs a single source file to <lang>.json', async () => {
+    writeJSON('locales/en.json', { hello: 'Hello' });
+    writeJSON('shipi18n.config.json', { targetLanguages: ['de'], source: 'locales/en.json' });
+
+    await syncMessages(await load());
+
+    expect(readJSON('locales/de.json')).toEqual({ hello: 'de:Hello' });
+  });
+
+  test('writes other formats in the source file layout', async () => {
+    const writeText = (file, content) => fs.writeFileSync(path.join(root, file), content);
+    fs.mkdirSync(path.join(root, 'config/locales'), { recursive: true });
+    writeText('config/locales/en.yml', 'en:\n  # Greeting\n  hello: Hello\n');
+    writeJSON('shipi18n.config.json', { targetLanguages: ['de'], source: 'config/locales/en.yml' });
+
+    await syncMessages(await load());
+    requests = [];
+    const { stale } = await syncMessages(await load(), { check: true });
+
+    expect(fs.readFileSync(path.join(root, 'config/locales/de.yml'), 'utf8')).toBe('de:\n  # Greeting\n  hello: de:Hello\n');
+    expect(stale).toBe(false);
+  });
+
+  test('keeps every language of an .xcstrings catalog in the source file', async () => {
+    const catalog = { sourceLanguage: 'en', strings: { Cancel: {} }, version: '1.0' };
+    writeJSON('ios/Localizable.xcstrings', catalog);
+    writeJSON('shipi18n.config.json', { targetLanguages: ['es', 'fr'], source: 'ios/Localizable.xcstrings' });
+
+    await syncMessages(await load());
+
+    expect(readJSON('ios/Localizable.xcstrings').strings.Cancel.localizations).toEqual({
+      es: { stringUnit: { state: 'translated', value: 'es:Cancel' } },
+      fr: { stringUnit: { state: 'translated', value: 'fr:Cancel' } }
+    });
+    expect(fs.readdirSync(path.join(root, 'ios')).filter(name => !name.startsWith('.'))).toEqual(['Localizable.xcstrings']);
+  });
+
+  test('applies the glossary and reports violations', async () => {
+    writeJSON('glossary.json', { doNotTranslate: ['Ship'], terms: { Workspace: { es: 'Espacio', fr: 'Espace' } } });
+    writeJSON('messages/en/common.json', { hello: 'Hello Workspace', bye: 'Goodbye from Ship' });
+    writeJSON('messages/fr/common.json', { hello: 'Bonjour Bureau', bye: 'Au revoir de Ship' });
+    writeJSON('messages/.shipi18n-lock.json', { 'common.json': hashMessages({ hello: 'Hello Workspace', bye: 'Goodbye from Ship' }) });
+    writeJSON('shipi18n.config.json', { targetLanguages: ['es', 'fr'], source: 'messages/en', glossary: 'glossary.json' });
+
+    const { violations } = await syncMessages(await load());
+
+    expect(readJSON('messages/es/common.json')).toEqual({ hello: 'es:Hello Espacio', bye: 'es:Goodbye from Ship' });
+    expect(violations).toEqual([
+      { file: 'common.json', language: 'fr', key: 'hello', term: 'Workspace', expected: 'Espace' }
+    ]);
+  });
+});
+
+describe('buildMessages', () => {
+  const load = () => loadSyncConfig(path.join(root, 'shipi18n.config.json'));
+
+  test('generates every locale and reports nothing missing', async () => {
+    const { updated, missing } = await buildMessages(await load());
+
+    expect(updated).toHaveLength(4);
+    expect(missing).toEqual([]);
+    expect(readJSON('messages/fr/common.json')).toEqual({ hello: 'fr:Hello', bye: 'fr:Goodbye' });
+  });
+
+  test('lists missing keys per file without translating', async () => {
+    writeJSON('messages/es/common.json', { hello: 'Hola' });
+
+    const { updated, missing } = await buildMessages(await load(), { translate: false });
+
+    expect(updated).toEqual([]);
+    expect(requests).toHaveLength(0);
+    expect(missing).toContainEqual({
+      file: 'common.json',
+      lang: 'es',
+      output: path.join(root, 'messages/es/common.json'),
+      keys: ['bye']
+    });
+    expect(missing).toHaveLength(4);
+  });
+});
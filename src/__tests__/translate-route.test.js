@@ -0,0 +1,282 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the /api/translate route handler
+ */
+
+import { setConfig, resetConfig } from '../lib/shipi18n.js';
+import { createSessionToken } from '../lib/session.js';
+
+// One proxy in front of the app: its X-Forwarded-For hop is the client IP.
+// Set before the route module reads them
+process.env.TRUSTED_PROXIES = '1';
+process.env.SESSION_SECRET = 'test-session-secret';
+const { POST, GET } = require('../app/api/translate/route.js');
+
+beforeAll(async () => {
+  SAME_ORIGIN.Cookie = `shipi18n_session=${await createSessionToken({ secret: 'test-session-secret' })}`;
+});
+
+let upstream = { status: 200, body: {}, headers: {} };
+
+beforeEach(() => {
+  upstream = { status: 200, body: {}, headers: {} };
+  setConfig({ apiKey: 'sk_test_123', apiUrl: 'https://api.test.com', retry: { retries: 0 } });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(
+    JSON.stringify(upstream.body),
+    { status: upstream.status, headers: upstream.headers }
+  ));
+});
+
+afterEach(() => {
+  resetConfig();
+  jest.restoreAllMocks();
+});
+
+// Requests look like they come from the app's own pages (see api-client.js),
+// with the session cookie the middleware hands out.
+// Each comes from a new client IP unless one is given, so the route's rate
+// limiter only kicks in for the rate limiting tests
+let clientCount = 0;
+const SAME_ORIGIN = { Origin: 'http://localhost', 'X-Requested-With': 'fetch' };
+const post = (body, ip = `10.0.0.${++clientCount}`, headers = SAME_ORIGIN) => POST(new Request('http://localhost/api/translate', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip, ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+}));
+
+describe('POST /api/translate', () => {
+  test('returns the translation result', async () => {
+    upstream.body = { es: [{ original: 'Hello', translated: 'Hola' }] };
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(upstream.body);
+  });
+
+  test('returns 400 for missing text', async () => {
+    const response = await post({ targetLanguages: ['es'] });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Invalid request body',
+      code: 'VALIDATION_FAILED',
+      details: { fields: [{ field: 'text', message: 'Text is required' }] }
+    });
+  });
+
+  test('lists every failing field and never calls upstream', async () => {
+    const response = await post({
+      text: 'x'.repeat(50001),
+      targetLanguages: ['es', 'xx-!!', 'tlh'],
+      outputFormat: 'xml',
+      extra: true
+    });
+    const { details } = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(details.fields.map(f => f.field).sort()).toEqual([
+      'extra', 'outputFormat', 'targetLanguages[1]', 'targetLanguages[2]', 'text'
+    ]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('passes the canonical languages and sourceLanguage upstream', async () => {
+    upstream.body = { 'pt-BR': [] };
+
+    await post({ text: 'Hallo', sourceLanguage: 'de', targetLanguages: ['pt-br'] });
+    const sent = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(sent).toMatchObject({ sourceLanguage: 'de', targetLanguages: ['pt-BR'] });
+  });
+
+  test('returns 400 for a malformed body', async () => {
+    const response = await post('{not json');
+
+    expect(response.status).toBe(400);
+  });
+
+  test.each([
+    [401, 401, 'AUTHENTICATION_FAILED'],
+    [403, 401, 'AUTHENTICATION_FAILED'],
+    [402, 402, 'QUOTA_EXCEEDED'],
+    [422, 400, 'VALIDATION_FAILED'],
+    [500, 502, 'API_ERROR']
+  ])('maps upstream %i to %i', async (upstreamStatus, status, code) => {
+    upstream = { status: upstreamStatus, body: { message: 'Nope' }, headers: { 'X-Request-Id': 'req_1' } };
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] });
+
+    expect(response.status).toBe(status);
+    expect(await response.json()).toEqual({ error: 'Nope', code, requestId: 'req_1' });
+  });
+
+  test('passes Retry-After through on 429', async () => {
+    upstream = { status: 429, body: { message: 'Too many requests' }, headers: { 'Retry-After': '30' } };
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('30');
+    expect((await response.json()).code).toBe('RATE_LIMITED');
+  });
+
+  test('returns 500 with a generic body for unexpected errors', async () => {
+    global.fetch.mockImplementation(async () => ({ ok: true, json: async () => { throw new Error('boom'); } }));
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] });
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'Translation failed', code: 'INTERNAL_ERROR' });
+  });
+
+  test('adds rate limit headers to responses', async () => {
+    upstream.body = { es: [] };
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] });
+
+    expect(response.headers.get('X-RateLimit-Limit')).toBe('20');
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe('19');
+  });
+
+  test('returns 429 with Retry-After once a client exceeds the limit', async () => {
+    upstream.body = { es: [] };
+    for (let i = 0; i < 20; i++) {
+      await post({ text: 'Hello', targetLanguages: ['es'] }, '192.168.1.1');
+    }
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] }, '192.168.1.1');
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe('0');
+    expect((await response.json()).code).toBe('RATE_LIMITED');
+  });
+
+  test('ignores X-Forwarded-For hops written by the client', async () => {
+    upstream.body = { es: [] };
+    const statuses = [];
+    for (let i = 0; i < 21; i++) {
+      const response = await post({ text: 'Hello', targetLanguages: ['es'] }, `203.0.113.${i}, 192.168.1.2`);
+      statuses.push(response.status);
+    }
+
+    expect(statuses.at(-1)).toBe(429);
+  });
+
+  test('enforces the daily character quota', async () => {
+    const response = await post({ text: 'x'.repeat(40000), targetLanguages: ['es', 'fr', 'de'] });
+
+    expect(response.status).toBe(429);
+    expect((await response.json()).code).toBe('DAILY_QUOTA_EXCEEDED');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('returns 401 for requests without credentials', async () => {
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] }, undefined, {});
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('MISSING_CREDENTIALS');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('returns 401 for same-origin headers without a session', async () => {
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] }, undefined, {
+      Origin: 'http://localhost',
+      'X-Requested-With': 'x'
+    });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('MISSING_CREDENTIALS');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('returns 403 for cross-origin requests', async () => {
+    const response = await post({ text: 'Hello', targetLanguages: ['es'] }, undefined, {
+      ...SAME_ORIGIN,
+      Origin: 'https://evil.example'
+    });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).code).toBe('CROSS_ORIGIN');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('streams one NDJSON line per language when asked to', async () => {
+    global.fetch.mockImplementation(async (url, init) => {
+      const [lang] = JSON.parse(init.body).targetLanguages;
+      if (lang === 'fr') return Response.json({ message: 'Bad gateway' }, { status: 502 });
+      return Response.json({ [lang]: [{ original: 'Hello', translated: `${lang} Hello` }] });
+    });
+
+    const response = await post({ text: 'Hello', targetLanguages: ['es', 'fr'] }, undefined, {
+      ...SAME_ORIGIN,
+      Accept: 'application/x-ndjson'
+    });
+    const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/x-ndjson');
+    expect(events).toContainEqual({ type: 'result', language: 'es', result: [{ original: 'Hello', translated: 'es Hello' }] });
+    expect(events).toContainEqual(expect.objectContaining({ type: 'error', language: 'fr' }));
+    expect(events.at(-1)).toEqual({ type: 'done', completed: ['es'], failed: ['fr'] });
+  });
+
+  test('returns an integrity report when asked to', async () => {
+    upstream.body = { es: { greeting: 'Hola {{nombre}}', bye: 'Adiós' } };
+
+    const response = await post({
+      text: JSON.stringify({ greeting: 'Hello {{name}}', bye: 'Bye' }),
+      targetLanguages: ['es'],
+      outputFormat: 'json',
+      integrity: 'repair'
+    });
+    const body = await response.json();
+
+    expect(body.translations).toEqual({ es: { greeting: 'Hola {{name}}', bye: 'Adiós' } });
+    expect(body.integrity).toEqual([expect.objectContaining({ key: 'greeting', language: 'es', action: 'repaired' })]);
+  });
+
+  test('checks plain text results too', async () => {
+    upstream.body = { es: [{ original: 'Hi <b>{name}</b>', translated: 'Hola {name}' }] };
+
+    const response = await post({ text: 'Hi <b>{name}</b>', targetLanguages: ['es'], integrity: 'reject' });
+    const body = await response.json();
+
+    expect(body.translations).toEqual({ es: [] });
+    expect(body.integrity[0]).toMatchObject({ key: '0', action: 'rejected' });
+  });
+});
+
+describe('GET /api/translate', () => {
+  const get = (ip, headers = SAME_ORIGIN) => GET(new Request('http://localhost/api/translate', {
+    headers: { 'X-Forwarded-For': ip, ...headers }
+  }));
+
+  test("returns the caller's running usage per language", async () => {
+    // Two visitors behind the same address, told apart by their sessions
+    const visitor = { ...SAME_ORIGIN, Cookie: `shipi18n_session=${await createSessionToken({ secret: 'test-session-secret' })}` };
+    const other = { ...SAME_ORIGIN, Cookie: `shipi18n_session=${await createSessionToken({ secret: 'test-session-secret' })}` };
+    upstream.body = { es: { greeting: 'Hola {{name}}' }, fr: { greeting: 'Bonjour {{name}}' } };
+    await post({ text: JSON.stringify({ greeting: 'Hello {{name}}' }), targetLanguages: ['es', 'fr'], outputFormat: 'json' }, '10.1.0.1', visitor);
+
+    const response = await get('10.1.0.1', visitor);
+    const usage = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(usage).toMatchObject({ translations: 2, characters: 10, words: 2 });
+    expect(usage.languages.es).toEqual({ translations: 1, characters: 5, words: 1 });
+    expect(usage.entries).toHaveLength(2);
+    expect(await (await get('10.1.0.1', other)).json()).toMatchObject({ translations: 0, entries: [] });
+  });
+
+  test('is authorized like POST', async () => {
+    const response = await get('10.1.0.3', {});
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the translation memory
+ */
+
+import { createTranslationMemory, loadTranslationMemory, saveTranslationMemory } from '../lib/translation-memory.js';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('createTranslationMemory', () => {
+  test('looks up exact matches per language pair', async () => {
+    const memory = createTranslationMemory({ en: { es: { 'Save changes': 'Guardar cambios' } } });
+
+    expect(await memory.lookup('Save changes', { targetLanguage: 'es' })).toBe('Guardar cambios');
+    expect(await memory.lookup('Save changes ', { targetLanguage: 'es' })).toBeUndefined();
+    expect(await memory.lookup('Save changes', { targetLanguage: 'fr' })).toBeUndefined();
+    expect(await memory.lookup('Save changes', { sourceLanguage: 'de', targetLanguage: 'es' })).toBeUndefined();
+    expect(await memory.lookup('constructor', { targetLanguage: 'es' })).toBeUndefined();
+  });
+
+  test('records approved translations without touching the seed', async () => {
+    const seed = {};
+    const memory = createTranslationMemory(seed);
+
+    await memory.approve('Cancel', 'Annuler', { targetLanguage: 'fr' });
+
+    expect(await memory.lookup('Cancel', { targetLanguage: 'fr' })).toBe('Annuler');
+    expect(memory.toJSON()).toEqual({ en: { fr: { Cancel: 'Annuler' } } });
+    expect(seed).toEqual({});
+  });
+});
+
+describe('loadTranslationMemory / saveTranslationMemory', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-tm-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips through a file', async () => {
+    const file = path.join(dir, 'tm', 'translation-memory.json');
+    const memory = await loadTranslationMemory(file);
+    await memory.approve('Cancel', 'Cancelar', { targetLanguage: 'es' });
+
+    await saveTranslationMemory(memory, file);
+
+    expect(await (await loadTranslationMemory(file)).lookup('Cancel', { targetLanguage: 'es' })).toBe('Cancelar');
+  });
+
+  test('rejects invalid JSON', async () => {
+    const file = path.join(dir, 'translation-memory.json');
+    fs.writeFileSync(file, '{oops');
+
+    await expect(loadTranslationMemory(file)).rejects.toThrow('is not valid JSON');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for message lookup and interpolation
+ */
+
+import { createTranslator, interpolate } from '../lib/translator.js';
+
+const messages = {
+  common: {
+    app: { welcome: 'Welcome, {name}!' },
+    cart: 'You have {{ count }} items'
+  },
+  checkout: { title: 'Checkout' }
+};
+
+describe('interpolate', () => {
+  test('replaces single and double brace placeholders', () => {
+    expect(interpolate('{greeting}, {{name}}!', { greeting: 'Hi', name: 'Ada' })).toBe('Hi, Ada!');
+  });
+
+  test('leaves placeholders without values intact', () => {
+    expect(interpolate('Hello {name}')).toBe('Hello {name}');
+  });
+
+  test('renders zero and false values', () => {
+    expect(interpolate('{count} items', { count: 0 })).toBe('0 items');
+  });
+});
+
+describe('createTranslator', () => {
+  test('looks up keys within a namespace', () => {
+    const t = createTranslator(messages, { namespace: 'common' });
+
+    expect(t('app.welcome', { name: 'Ada' })).toBe('Welcome, Ada!');
+    expect(t('cart', { count: 3 })).toBe('You have 3 items');
+  });
+
+  test('looks up full key paths without a namespace', () => {
+    expect(createTranslator(messages)('checkout.title')).toBe('Checkout');
+  });
+
+  test('returns the key path for missing messages', () => {
+    const t = createTranslator(messages, { namespace: 'common' });
+
+    expect(t('app.missing')).toBe('common.app.missing');
+    expect(t('app')).toBe('common.app');
+  });
+});
+
+describe('createTranslator formatting', () => {
+  const plurals = {
+    cart: {
+      icu: '{count, plural, one {# produkt} few {# produkty} many {# produktów} other {# produktu}}',
+      item_one: '{{count}} produkt',
+      item_few: '{{count}} produkty',
+      item_many: '{{count}} produktów',
+      item_other: '{{count}} produktu'
+    },
+    zero: { item_zero: 'Nothing', item_one: 'One', item_other: 'Many' }
+  };
+
+  test('formats ICU plurals for the locale', () => {
+    const t = createTranslator(plurals, { namespace: 'cart', locale: 'pl' });
+
+    expect(t('icu', { count: 3 })).toBe('3 produkty');
+    expect(t('icu', { count: 5 })).toBe('5 produktów');
+  });
+
+  test('resolves i18next plural keys from count', () => {
+    const t = createTranslator(plurals, { namespace: 'cart', locale: 'pl' });
+
+    expect(t('item', { count: 1 })).toBe('1 produkt');
+    expect(t('item', { count: 22 })).toBe('22 produkty');
+    expect(t('item', { count: 12 })).toBe('12 produktów');
+  });
+
+  test('uses _zero for a count of 0 when present', () => {
+    const t = createTranslator(plurals, { namespace: 'zero' });
+
+    expect(t('item', { count: 0 })).toBe('Nothing');
+    expect(t('item', { count: 2 })).toBe('Many');
+  });
+
+  test('falls back to interpolation for malformed ICU messages', () => {
+    const t = createTranslator({ broken: 'Hello {name' });
+
+    expect(t('broken', { name: 'Ada' })).toBe('Hello {name');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for usage counting and the per-client usage log
+ */
+
+import { countUsage, countMessagesUsage, createUsageLog } from '../lib/usage.js';
+import { SESSION_COOKIE } from '../lib/session.js';
+
+const request = (headers = {}) => new Request('http://localhost/api/translate', { method: 'POST', headers });
+
+describe('countUsage', () => {
+  test('counts the translatable text only', () => {
+    expect(countUsage('Welcome back, {{name}}!')).toEqual({ characters: 15, words: 2 });
+    expect(countUsage('<b>{count, plural, one {# file} other {# files}}</b>')).toEqual({ characters: 10, words: 2 });
+  });
+
+  test('sums arrays and ignores other values', () => {
+    expect(countUsage(['Mon', 'Tue'])).toEqual({ characters: 6, words: 2 });
+    expect(countUsage(null)).toEqual({ characters: 0, words: 0 });
+  });
+
+  test('adds up nested messages', () => {
+    expect(countMessagesUsage({ app: { title: 'My App' }, days: ['Mon'] })).toEqual({ characters: 9, words: 3 });
+  });
+});
+
+describe('createUsageLog', () => {
+  test('keeps running totals per API token', async () => {
+    const usageLog = createUsageLog({ maxEntries: 2 });
+    const client = request({ Authorization: 'Bearer key-1' });
+
+    await usageLog.record(client, { language: 'es', characters: 10, words: 2 });
+    await usageLog.record(client, { language: 'fr', characters: 10, words: 2 });
+    await usageLog.record(client, { language: 'es', characters: 5, words: 1 });
+
+    const usage = await usageLog.read(request({ Authorization: 'Bearer key-1' }));
+    expect(usage).toMatchObject({ translations: 3, characters: 25, words: 5 });
+    expect(usage.languages.es).toEqual({ translations: 2, characters: 15, words: 3 });
+    expect(usage.entries.map(entry => entry.language)).toEqual(['fr', 'es']);
+    expect(await usageLog.read(request({ Authorization: 'Bearer key-2' }))).toMatchObject({ translations: 0, characters: 0 });
+  });
+
+  test('keeps callers without a token apart by session cookie', async () => {
+    const usageLog = createUsageLog();
+
+    await usageLog.record(request({ Cookie: `${SESSION_COOKIE}=visitor-1` }), { language: 'es', characters: 10, words: 2 });
+
+    expect(await usageLog.read(request({ Cookie: `${SESSION_COOKIE}=visitor-1` }))).toMatchObject({ translations: 1 });
+    expect(await usageLog.read(request({ Cookie: `${SESSION_COOKIE}=visitor-2` }))).toMatchObject({ translations: 0 });
+    expect(await usageLog.read(request())).toMatchObject({ translations: 0 });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for request body validation
+ */
+
+import { validateTranslateRequest, canonicalLanguageTag } from '../lib/validation.js';
+import { ValidationError } from '../lib/errors.js';
+
+const failingFields = (body, options) => {
+  try {
+    validateTranslateRequest(body, options);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error.details.fields.map(f => f.field);
+  }
+  throw new Error('Expected a ValidationError');
+};
+
+describe('canonicalLanguageTag', () => {
+  test('canonicalizes well-formed tags', () => {
+    expect(canonicalLanguageTag('zh-tw')).toBe('zh-TW');
+    expect(canonicalLanguageTag('EN')).toBe('en');
+    expect(canonicalLanguageTag('zh-hant-tw')).toBe('zh-Hant-TW');
+  });
+
+  test('rejects malformed tags', () => {
+    expect(canonicalLanguageTag('english')).toBeNull();
+    expect(canonicalLanguageTag('en_US')).toBeNull();
+    expect(canonicalLanguageTag(42)).toBeNull();
+  });
+});
+
+describe('validateTranslateRequest', () => {
+  test('returns normalized params with defaults', () => {
+    expect(validateTranslateRequest({ text: 'Hello', targetLanguages: ['es', 'PT-br', 'es'] })).toEqual({
+      text: 'Hello',
+      targetLanguages: ['es', 'pt-BR'],
+      sourceLanguage: 'en',
+      outputFormat: 'text',
+      preservePlaceholders: true
+    });
+  });
+
+  test('rejects non-object bodies', () => {
+    expect(() => validateTranslateRequest(['Hello'])).toThrow('Request body must be a JSON object');
+    expect(() => validateTranslateRequest(null)).toThrow(ValidationError);
+  });
+
+  test('requires an array of target languages', () => {
+    expect(failingFields({ text: 'Hi', targetLanguages: 'es' })).toEqual(['targetLanguages']);
+    expect(failingFields({ text: 'Hi', targetLanguages: [] })).toEqual(['targetLanguages']);
+  });
+
+  test('checks language codes against the supported list', () => {
+    expect(failingFields({ text: 'Hi', targetLanguages: ['es', 'xx'] })).toEqual(['targetLanguages[1]']);
+    expect(validateTranslateRequest({ text: 'Hi', targetLanguages: ['xx'] }, { languages: ['en', 'xx'] }).targetLanguages).toEqual(['xx']);
+  });
+
+  test('accepts any language in the locale registry by default', () => {
+    expect(validateTranslateRequest({ text: 'Hi', targetLanguages: ['sw', 'pt-BR', 'zh-TW'] }).targetLanguages).toEqual(['sw', 'pt-BR', 'zh-TW']);
+  });
+
+  test('rejects the source language as a target', () => {
+    expect(failingFields({ text: 'Hallo', sourceLanguage: 'de', targetLanguages: ['de'] })).toEqual(['targetLanguages[0]']);
+    expect(failingFields({ text: 'Hi', sourceLanguage: 'klingon', targetLanguages: ['es'] })).toEqual(['sourceLanguage']);
+  });
+
+  test('enforces text and language count limits', () => {
+    expect(failingFields({ text: 'abcdef', targetLanguages: ['es'] }, { maxTextLength: 5 })).toEqual(['text']);
+    expect(failingFields({ text: 'Hi', targetLanguages: ['es', 'fr', 'de'] }, { maxLanguages: 2 })).toEqual(['targetLanguages']);
+  });
+
+  test('validates outputFormat and JSON text', () => {
+    expect(failingFields({ text: 'Hi', targetLanguages: ['es'], outputFormat: 'xml' })).toEqual(['outputFormat']);
+    expect(failingFields({ text: '[1, 2]', targetLanguages: ['es'], outputFormat: 'json' })).toEqual(['text']);
+    expect(validateTranslateRequest({ text: '{"a":"Hi"}', targetLanguages: ['es'], outputFormat: 'json' }).outputFormat).toBe('json');
+  });
+
+  test('accepts an integrity mode', () => {
+    expect(validateTranslateRequest({ text: 'Hi', targetLanguages: ['es'], integrity: 'repair' }).integrity).toBe('repair');
+    expect(failingFields({ text: 'Hi', targetLanguages: ['es'], integrity: 'fix' })).toEqual(['integrity']);
+  });
+
+  test('rejects unknown fields and non-boolean flags', () => {
+    expect(failingFields({ text: 'Hi', targetLanguages: ['es'], model: 'gpt', preservePlaceholders: 'yes' }))
+      .toEqual(['model', 'preservePlaceholders']);
+  });
+});
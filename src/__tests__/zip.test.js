@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the ZIP writer
+ */
+
+import { createZip, crc32 } from '../lib/zip.js';
+
+// Read the entries back through the central directory
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const entries = [];
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const size = view.getUint32(at + 24, true);
+    const offset = view.getUint32(at + 42, true);
+    const data = zip.slice(offset + 30 + nameLength, offset + 30 + nameLength + size);
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    expect(crc32(data)).toBe(view.getUint32(at + 16, true));
+    entries.push({ path: decoder.decode(zip.slice(at + 46, at + 46 + nameLength)), content: decoder.decode(data) });
+    at += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('crc32', () => {
+  test('matches the standard checksum', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('stores every file under its path', () => {
+    const files = [
+      { path: 'locales/es/common.json', content: '{"hello":"Hola"}' },
+      { path: 'locales/ja/common.json', content: '{"hello":"こんにちは"}' }
+    ];
+
+    expect(readZip(createZip(files))).toEqual(files);
+  });
+
+  test('accepts bytes and strips leading slashes', () => {
+    const zip = createZip([{ path: '/a.txt', content: new Uint8Array([104, 105]) }]);
+
+    expect(readZip(zip)).toEqual([{ path: 'a.txt', content: 'hi' }]);
+  });
+
+  test('writes an empty archive', () => {
+    expect(createZip([])).toHaveLength(22);
+  });
+});
@@ -2,10 +2,17 @@
 
 import { useState } from 'react'
 import Link from 'next/link'
+import { useLocale, useTranslations } from '@/lib/i18n-provider'
+import { postTranslate } from '@/lib/api-client'
+import { getDirection } from '@/lib/locales'
+import LanguageSelect from '../language-select'
 
 export default function ApiRouteExample() {
+  const locale = useLocale()
+  const t = useTranslations('common')
   const [text, setText] = useState('Hello! This translation goes through our API route.')
-  const [targetLanguage, setTargetLanguage] = useState('es')
+  const [targetLanguages, setTargetLanguages] = useState(['es'])
+  const [requested, setRequested] = useState([])
   const [translation, setTranslation] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -18,21 +25,11 @@ export default function ApiRouteExample() {
 
     try {
       // Call our own API route instead of Shipi18n directly
-      const response = await fetch('/api/translate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text,
-          targetLanguages: [targetLanguage],
-        }),
+      const result = await postTranslate({
+        text,
+        targetLanguages,
       })
-
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Translation failed')
-      }
-
-      const result = await response.json()
+      setRequested(targetLanguages)
       setTranslation(result)
     } catch (err) {
       setError(err.message)
@@ -43,7 +40,7 @@ export default function ApiRouteExample() {
 
   return (
     <div className="space-y-6">
-      <Link href="/" className="text-blue-600 hover:underline">&larr; Back to examples</Link>
+      <Link href={`/${locale}`} className="text-blue-600 hover:underline">&larr; {t('nav.back')}</Link>
 
       <div className="bg-white rounded-xl shadow-lg p-8">
         <h1 className="text-2xl font-bold text-gray-900 mb-2">
@@ -80,26 +77,13 @@ export default function ApiRouteExample() {
 
         {/* Language Selection */}
         <div className="mb-6">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Target language
-          </label>
-          <select
-            value={targetLanguage}
-            onChange={(e) => setTargetLanguage(e.target.value)}
-            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-          >
-            <option value="es">Spanish</option>
-            <option value="fr">French</option>
-            <option value="de">German</option>
-            <option value="ja">Japanese</option>
-            <option value="zh">Chinese</option>
-          </select>
+          <LanguageSelect value={targetLanguages} onChange={setTargetLanguages} exclude={['en']} />
         </div>
 
         {/* Translate Button */}
         <button
           onClick={handleTranslate}
-          disabled={loading || !text.trim()}
+          disabled={loading || !text.trim() || targetLanguages.length === 0}
           className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
         >
           {loading ? 'Translating via API route...' : 'Translate'}
@@ -114,11 +98,15 @@ export default function ApiRouteExample() {
 
         {/* Result */}
         {translation && (
-          <div className="mt-6 bg-gray-50 rounded-lg p-4">
-            <div className="font-medium text-gray-700 mb-2 uppercase">{targetLanguage}</div>
-            <p className="text-gray-900">
-              {translation[targetLanguage]?.[0]?.translated || JSON.stringify(translation)}
-            </p>
+          <div className="mt-6 space-y-4">
+            {requested.map(lang => (
+              <div key={lang} className="bg-gray-50 rounded-lg p-4">
+                <div className="font-medium text-gray-700 mb-2 uppercase">{lang}</div>
+                <p lang={lang} dir={getDirection(lang)} className="text-gray-900">
+                  {translation[lang]?.[0]?.translated || JSON.stringify(translation[lang] ?? null)}
+                </p>
+              </div>
+            ))}
           </div>
         )}
       </div>
@@ -130,17 +118,28 @@ export default function ApiRouteExample() {
           <code className="bg-gray-100 px-2 py-1 rounded">src/app/api/translate/route.js</code>
         </p>
         <pre className="text-sm">{`import { translate } from '@/lib/shipi18n'
+import { anyOf, allOf, sameOrigin, sessionCookie, bearerToken, hmacSignature } from '@/lib/auth'
+import { sessionSecret } from '@/lib/session'
+import { httpStatusFor } from '@/lib/errors'
+
+// The app's pages (session cookie from the middleware, checked for CSRF),
+// or other servers with a bearer token or an HMAC signature
+const authorize = anyOf(
+  allOf(sameOrigin(), sessionCookie({ secret: sessionSecret() })),
+  bearerToken({ token: process.env.TRANSLATE_API_TOKEN }),
+  hmacSignature({ secret: process.env.TRANSLATE_API_SECRET }),
+)
 
 export async function POST(request) {
-  const { text, targetLanguages } = await request.json()
-
   // Add your own logic here:
   // - Rate limiting
-  // - Authentication
   // - Logging
   // - Caching
 
   try {
+    await authorize(request) // throws 401/403 errors
+    const { text, targetLanguages } = await request.json()
+
     const result = await translate({
       text,
       targetLanguages,
@@ -151,7 +150,7 @@ export async function POST(request) {
   } catch (error) {
     return Response.json(
       { error: error.message },
-      { status: 500 }
+      { status: httpStatusFor(error) }
     )
   }
 }`}</pre>
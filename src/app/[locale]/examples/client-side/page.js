@@ -2,37 +2,19 @@
 
 import { useState } from 'react'
 import Link from 'next/link'
-
-// Use our API route instead of calling Shipi18n directly
-// This keeps the API key secure on the server!
-async function translate({ text, targetLanguages }) {
-  const response = await fetch('/api/translate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ text, targetLanguages, preservePlaceholders: true }),
-  })
-  if (!response.ok) {
-    const error = await response.json()
-    throw new Error(error.error || 'Translation failed')
-  }
-  return response.json()
-}
-
-const LANGUAGES = [
-  { code: 'es', name: 'Spanish' },
-  { code: 'fr', name: 'French' },
-  { code: 'de', name: 'German' },
-  { code: 'ja', name: 'Japanese' },
-  { code: 'zh', name: 'Chinese' },
-  { code: 'ko', name: 'Korean' },
-  { code: 'pt', name: 'Portuguese' },
-  { code: 'it', name: 'Italian' },
-]
+import { useLocale, useTranslations } from '@/lib/i18n-provider'
+import { streamTranslate } from '@/lib/api-client'
+import { getDirection } from '@/lib/locales'
+import LanguageSelect from '../language-select'
 
 export default function ClientSideExample() {
+  const locale = useLocale()
+  const t = useTranslations('common')
   const [text, setText] = useState('Hello! Welcome to our application.')
   const [selectedLanguages, setSelectedLanguages] = useState(['es', 'fr'])
-  const [translations, setTranslations] = useState(null)
+  const [requested, setRequested] = useState([])
+  const [translations, setTranslations] = useState({})
+  const [languageErrors, setLanguageErrors] = useState({})
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
@@ -41,14 +23,21 @@ export default function ClientSideExample() {
 
     setLoading(true)
     setError(null)
+    setRequested(selectedLanguages)
+    setTranslations({})
+    setLanguageErrors({})
 
     try {
-      const result = await translate({
+      // Use our API route instead of calling Shipi18n directly (keeps the
+      // API key on the server), and show each language as soon as it's ready
+      await streamTranslate({
         text,
         targetLanguages: selectedLanguages,
         preservePlaceholders: true,
+      }, {
+        onResult: (lang, items) => setTranslations(prev => ({ ...prev, [lang]: items })),
+        onError: (lang, err) => setLanguageErrors(prev => ({ ...prev, [lang]: err.message })),
       })
-      setTranslations(result)
     } catch (err) {
       setError(err.message)
     } finally {
@@ -56,17 +45,9 @@ export default function ClientSideExample() {
     }
   }
 
-  const toggleLanguage = (code) => {
-    setSelectedLanguages(prev =>
-      prev.includes(code)
-        ? prev.filter(l => l !== code)
-        : [...prev, code]
-    )
-  }
-
   return (
     <div className="space-y-6">
-      <Link href="/" className="text-blue-600 hover:underline">&larr; Back to examples</Link>
+      <Link href={`/${locale}`} className="text-blue-600 hover:underline">&larr; {t('nav.back')}</Link>
 
       <div className="bg-white rounded-xl shadow-lg p-8">
         <h1 className="text-2xl font-bold text-gray-900 mb-2">
@@ -92,24 +73,7 @@ export default function ClientSideExample() {
 
         {/* Language Selection */}
         <div className="mb-6">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Target languages
-          </label>
-          <div className="flex flex-wrap gap-2">
-            {LANGUAGES.map(lang => (
-              <button
-                key={lang.code}
-                onClick={() => toggleLanguage(lang.code)}
-                className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
-                  selectedLanguages.includes(lang.code)
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                {lang.name}
-              </button>
-            ))}
-          </div>
+          <LanguageSelect value={selectedLanguages} onChange={setSelectedLanguages} exclude={['en']} />
         </div>
 
         {/* Translate Button */}
@@ -129,21 +93,30 @@ export default function ClientSideExample() {
         )}
 
         {/* Results */}
-        {translations && (
+        {requested.length > 0 && !error && (
           <div className="mt-6 space-y-4">
             <h3 className="font-semibold text-gray-900">Translations:</h3>
-            {Object.entries(translations).map(([lang, items]) => (
-              <div key={lang} className="bg-gray-50 rounded-lg p-4">
-                <div className="font-medium text-gray-700 mb-2 uppercase">{lang}</div>
-                {Array.isArray(items) ? (
-                  items.map((item, i) => (
-                    <p key={i} className="text-gray-900">{item.translated}</p>
-                  ))
-                ) : (
-                  <p className="text-gray-900">{JSON.stringify(items)}</p>
-                )}
-              </div>
-            ))}
+            {requested.map(lang => {
+              const items = translations[lang]
+
+              return (
+                <div key={lang} className="bg-gray-50 rounded-lg p-4">
+                  <div className="font-medium text-gray-700 mb-2 uppercase">{lang}</div>
+                  {languageErrors[lang] ? (
+                    <p className="text-red-700">{languageErrors[lang]}</p>
+                  ) : items === undefined ? (
+                    <p className="text-gray-400">{loading ? 'Translating...' : 'No result'}</p>
+                  ) : Array.isArray(items) ? (
+                    // dir isolates each translation, so RTL text reads correctly in an LTR page (and vice versa)
+                    items.map((item, i) => (
+                      <p key={i} lang={lang} dir={getDirection(lang)} className="text-gray-900">{item.translated}</p>
+                    ))
+                  ) : (
+                    <p className="text-gray-900">{JSON.stringify(items)}</p>
+                  )}
+                </div>
+              )
+            })}
           </div>
         )}
       </div>
@@ -0,0 +1,480 @@
+'use client'
+
+import { useState, useRef, useEffect, useMemo } from 'react'
+import Link from 'next/link'
+import { useLocale, useTranslations } from '@/lib/i18n-provider'
+import { postTranslate, getUsage } from '@/lib/api-client'
+import { countMessagesUsage } from '@/lib/usage'
+import { flattenMessages, mergeMessages, chunkMessages, orderMessages } from '@/lib/messages'
+import { TRANSLATE_LIMITS } from '@/lib/validation'
+import {
+  LOCALE_FILE_EXTENSIONS,
+  detectFormat,
+  isMultiLanguage,
+  parseLocaleFile,
+  serializeTranslations,
+  translatedFileName,
+} from '@/lib/formats'
+import { createZip } from '@/lib/zip'
+import { reviewRows, setMessage, approvedTranslations } from '@/lib/review'
+import ReviewTable from './review-table'
+import LanguageSelect from '../language-select'
+
+// The route takes at most TRANSLATE_LIMITS.maxTextLength characters per
+// request, so larger files are sent in chunks (with room for JSON escaping)
+const CHUNK_CHARS = Math.floor(TRANSLATE_LIMITS.maxTextLength * 0.8)
+
+// Use our API route to keep the API key secure. Chunks keep plural forms
+// together and are merged back in the source's key order
+async function translateJSON({ json, targetLanguages, onProgress }) {
+  const chunks = chunkMessages(json, { maxChars: CHUNK_CHARS })
+  const translations = Object.fromEntries(targetLanguages.map(lang => [lang, {}]))
+
+  for (const [index, chunk] of chunks.entries()) {
+    onProgress?.({ done: index, total: chunks.length })
+    const result = await postTranslate({
+      text: JSON.stringify(chunk),
+      targetLanguages,
+      preservePlaceholders: true,
+      outputFormat: 'json',
+    })
+    for (const lang of targetLanguages) mergeMessages(translations[lang], result[lang] || {})
+  }
+
+  return Object.fromEntries(targetLanguages.map(lang => [lang, orderMessages(translations[lang], json)]))
+}
+
+const SOURCE_LANGUAGE = 'en'
+
+const STATUS_ICONS = { ready: '📄', translating: '⏳', done: '✅', error: '⚠️' }
+
+// Files from a drop, descending into folders (webkitGetAsEntry works in all
+// current browsers). Paths are relative to what was dropped: en/common.json
+async function droppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+  if (entries.length === 0) return [...dataTransfer.files].map(file => ({ file, path: file.name }))
+
+  const files = []
+  const visit = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      files.push({ file, path: entry.fullPath.replace(/^\//, '') })
+      return
+    }
+
+    // readEntries returns a batch at a time, then an empty one
+    const reader = entry.createReader()
+    let batch
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      for (const child of batch) await visit(child)
+    } while (batch.length > 0)
+  }
+
+  for (const entry of entries) await visit(entry)
+  return files
+}
+
+// Namespace from a relative path: everything after the source language
+// folder (or the dropped folder), without the extension. Files named after
+// the source language (en.json) have none.
+// locales/en/admin/users.json -> admin/users, common.json -> common, en.json -> null
+function namespaceOf(path) {
+  const parts = path.split('/')
+  const name = parts.pop().replace(/\.[^.]+$/, '')
+  if (name === SOURCE_LANGUAGE) return null
+  const languageFolder = parts.lastIndexOf(SOURCE_LANGUAGE)
+  return [...parts.slice(languageFolder === -1 ? 1 : languageFolder + 1), name].join('/')
+}
+
+// ZIP layout: locales/<lang>/<namespace>.<ext>, or locales/<namespace>.xcstrings
+// for formats that hold every language. Files without a namespace keep their
+// per-language name: en.json -> locales/es.json
+function zipPath(file, languages) {
+  const { format } = file.localeFile
+  const name = translatedFileName(file.name, format, languages[0])
+  if (!file.namespace) return `locales/${name}`
+  const extension = name.slice(name.lastIndexOf('.'))
+  return isMultiLanguage(format)
+    ? `locales/${file.namespace}${extension}`
+    : `locales/${languages[0]}/${file.namespace}${extension}`
+}
+
+// Back to the uploaded file's format, one file per language (or a single
+// catalog with every language for .xcstrings), with the reviewer's edits
+function outputsOf(file) {
+  return serializeTranslations(file.localeFile, file.translations).map(({ languages, content }) => ({
+    path: zipPath(file, languages),
+    content,
+  }))
+}
+
+function downloadFile(name, data, type) {
+  const blob = new Blob([data], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = name
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+export default function FileTranslationExample() {
+  const locale = useLocale()
+  const t = useTranslations('common')
+  // One row per uploaded file: { path, name, namespace, status, error,
+  // localeFile (parsed, see lib/formats), translations: { lang: messages },
+  // edited / approved: { lang: { [reviewRow.id]: true } } }
+  const [files, setFiles] = useState([])
+  const [reviewPath, setReviewPath] = useState(null)
+  // The route's running usage log for this client
+  const [usage, setUsage] = useState(null)
+  const [selectedLanguages, setSelectedLanguages] = useState(['es', 'fr'])
+  const [loading, setLoading] = useState(false)
+  const [dragging, setDragging] = useState(false)
+  const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+
+  const updateFile = (path, changes) => {
+    setFiles(prev => prev.map(file => file.path === path ? { ...file, ...changes } : file))
+  }
+
+  const addFiles = async (list) => {
+    // Skip hidden files, and files in folders that aren't locale files
+    const wanted = list.filter(({ file, path }) =>
+      !path.split('/').some(part => part.startsWith('.')) && (detectFormat(file.name) || !path.includes('/'))
+    )
+
+    const added = await Promise.all(wanted.map(async ({ file, path }) => {
+      const row = {
+        path, name: file.name, namespace: namespaceOf(path), status: 'ready', error: null,
+        localeFile: null, translations: null, edited: {}, approved: {},
+      }
+      const format = detectFormat(file.name)
+      if (!format) {
+        return { ...row, status: 'error', error: `Unsupported file type. Upload one of: ${LOCALE_FILE_EXTENSIONS.join(', ')}` }
+      }
+
+      try {
+        return { ...row, localeFile: parseLocaleFile(await file.text(), { format, sourceLanguage: SOURCE_LANGUAGE }) }
+      } catch (err) {
+        return { ...row, status: 'error', error: err.message }
+      }
+    }))
+
+    // Re-adding a file replaces it; a file that would overwrite another one's
+    // translations in the ZIP (same namespace from a different folder) is refused
+    setFiles(prev => added.reduce((rows, row) => {
+      const clash = row.localeFile && rows.find(file =>
+        file.localeFile && zipPath(file, [SOURCE_LANGUAGE]) === zipPath(row, [SOURCE_LANGUAGE])
+      )
+      return [...rows, clash
+        ? { ...row, status: 'error', error: `Same output file as ${clash.path}; remove one of them`, localeFile: null }
+        : row]
+    }, prev.filter(file => !added.some(row => row.path === file.path))))
+  }
+
+  const handleFileInput = (e) => {
+    addFiles([...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name })))
+    e.target.value = ''
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    setDragging(false)
+    addFiles(await droppedFiles(e.dataTransfer))
+  }
+
+  // What the next run will use: every language is sent the same strings
+  const estimate = useMemo(() => {
+    const parsed = files.filter(file => file.localeFile)
+    if (parsed.length === 0 || selectedLanguages.length === 0) return null
+
+    const perLanguage = parsed.reduce((total, file) => {
+      const { characters, words } = countMessagesUsage(file.localeFile.messages, SOURCE_LANGUAGE)
+      return { characters: total.characters + characters, words: total.words + words }
+    }, { characters: 0, words: 0 })
+
+    return {
+      languages: Object.fromEntries(selectedLanguages.map(lang => [lang, perLanguage])),
+      characters: perLanguage.characters * selectedLanguages.length,
+    }
+  }, [files, selectedLanguages])
+
+  const refreshUsage = () => getUsage().then(setUsage, () => setUsage(null))
+  useEffect(() => {
+    getUsage().then(setUsage, () => setUsage(null))
+  }, [])
+
+  const handleTranslate = async () => {
+    setLoading(true)
+    setFiles(prev => prev.map(file => file.localeFile
+      ? { ...file, status: 'ready', error: null, progress: null, translations: null, edited: {}, approved: {} }
+      : file))
+
+    // One file at a time, so progress and errors show per file
+    for (const file of files.filter(row => row.localeFile)) {
+      updateFile(file.path, { status: 'translating' })
+
+      try {
+        const result = await translateJSON({
+          json: file.localeFile.messages,
+          targetLanguages: selectedLanguages,
+          onProgress: (progress) => updateFile(file.path, { progress }),
+        })
+        updateFile(file.path, { status: 'done', translations: result })
+      } catch (err) {
+        updateFile(file.path, { status: 'error', error: err.message })
+      }
+    }
+
+    setLoading(false)
+    refreshUsage()
+  }
+
+  // Edits replace the translation; approval is kept so a reviewer can fix
+  // and approve in either order
+  const editTranslation = (path, language, row, value) => {
+    setFiles(prev => prev.map(file => file.path !== path ? file : {
+      ...file,
+      translations: { ...file.translations, [language]: setMessage(file.translations[language], row.path, value) },
+      edited: { ...file.edited, [language]: { ...file.edited[language], [row.id]: true } },
+    }))
+  }
+
+  const toggleApproved = (path, language, row) => {
+    setFiles(prev => prev.map(file => file.path !== path ? file : {
+      ...file,
+      approved: { ...file.approved, [language]: { ...file.approved[language], [row.id]: !file.approved[language]?.[row.id] } },
+    }))
+  }
+
+  // Approved entries go in as translation-memory.json, for the sync CLI's
+  // "memory" option to reuse
+  const downloadZip = () => {
+    const outputs = done.flatMap(outputsOf)
+    const memory = done.reduce((merged, file) => mergeMessages(
+      merged,
+      approvedTranslations(reviewRows(file.localeFile.messages, file.translations), file.approved, { sourceLanguage: SOURCE_LANGUAGE })
+    ), {})
+    if (Object.keys(memory).length > 0) {
+      outputs.push({ path: 'translation-memory.json', content: `${JSON.stringify(memory, null, 2)}\n` })
+    }
+    downloadFile('locales.zip', createZip(outputs), 'application/zip')
+  }
+
+  const translatable = files.filter(file => file.localeFile)
+  const finished = translatable.filter(file => file.status === 'done' || file.status === 'error')
+  const done = files.filter(file => file.status === 'done')
+  const outputCount = done.reduce((count, file) => count + (isMultiLanguage(file.localeFile.format) ? 1 : Object.keys(file.translations).length), 0)
+  const reviewing = done.find(file => file.path === reviewPath) || done[0]
+
+  return (
+    <div className="space-y-6">
+      <Link href={`/${locale}`} className="text-blue-600 hover:underline">&larr; {t('nav.back')}</Link>
+
+      <div className="bg-white rounded-xl shadow-lg p-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">
+          📁 File Translation
+        </h1>
+        <p className="text-gray-600 mb-6">
+          Upload your locale files (e.g., en.json, or a whole locales/en/ folder of namespaces)
+          and download every translation in one ZIP. This is how developers actually use Shipi18n
+          in production! JSON, YAML, gettext .po, Android strings.xml, iOS .strings/.xcstrings and
+          XLIFF files are supported, and comments, plurals and key order are kept.
+        </p>
+
+        {/* File Upload */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Upload locale files
+          </label>
+          <div
+            onClick={() => fileInputRef.current?.click()}
+            onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer hover:border-blue-500 transition-colors ${
+              dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+            }`}
+          >
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={LOCALE_FILE_EXTENSIONS.join(',')}
+              onChange={handleFileInput}
+              className="hidden"
+            />
+            <p className="text-gray-600">Click or drag locale files or a folder here</p>
+            <p className="text-sm text-gray-400 mt-1">en.json, en.yml, messages.pot, strings.xml, Localizable.xcstrings, etc.</p>
+            <p className="text-sm text-gray-400">
+              Files over {CHUNK_CHARS.toLocaleString('en')} characters are sent in parts
+              (the API route accepts {TRANSLATE_LIMITS.maxTextLength.toLocaleString('en')} per request)
+            </p>
+          </div>
+          <div className="flex justify-between mt-2 text-sm">
+            <button onClick={() => folderInputRef.current?.click()} className="text-blue-600 hover:underline">
+              Choose a folder...
+            </button>
+            {files.length > 0 && (
+              <button onClick={() => setFiles([])} disabled={loading} className="text-gray-500 hover:underline disabled:opacity-50">
+                Clear files
+              </button>
+            )}
+          </div>
+          {/* webkitdirectory isn't a React prop, so it's set on the element */}
+          <input
+            ref={(node) => {
+              folderInputRef.current = node
+              node?.setAttribute('webkitdirectory', '')
+            }}
+            type="file"
+            onChange={handleFileInput}
+            className="hidden"
+          />
+        </div>
+
+        {/* Files */}
+        {files.length > 0 && (
+          <ul className="mb-6 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {files.map(file => (
+              <li key={file.path} className="flex items-start gap-3 px-4 py-3">
+                <span>{STATUS_ICONS[file.status]}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{file.path}</p>
+                  <p className={`text-sm ${file.status === 'error' ? 'text-red-700' : 'text-gray-500'}`}>
+                    {file.status === 'error'
+                      ? file.error
+                      : file.status === 'done'
+                        ? `Translated to ${Object.keys(file.translations).join(', ')}`
+                        : file.status === 'translating'
+                          ? file.progress?.total > 1
+                            ? `Translating part ${file.progress.done + 1} of ${file.progress.total}...`
+                            : 'Translating...'
+                          : `${flattenMessages(file.localeFile.messages).length} strings (${file.localeFile.format})${
+                            file.namespace ? ` · namespace "${file.namespace}"` : ''
+                          }`}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Language Selection */}
+        <div className="mb-6">
+          <LanguageSelect value={selectedLanguages} onChange={setSelectedLanguages} exclude={[SOURCE_LANGUAGE]} />
+        </div>
+
+        {/* Usage Estimate */}
+        {estimate && (
+          <div className="mb-6 text-sm text-gray-600">
+            <p className="font-medium text-gray-700 mb-1">
+              Estimated usage: {estimate.characters.toLocaleString()} characters
+            </p>
+            <p>
+              {Object.entries(estimate.languages)
+                .map(([lang, { characters, words }]) => `${lang}: ${characters.toLocaleString()} characters, ${words.toLocaleString()} words`)
+                .join(' · ')}
+            </p>
+            {usage && (
+              <p className="text-gray-400 mt-1">
+                Used so far: {usage.characters.toLocaleString()} characters, {usage.words.toLocaleString()} words
+                in {usage.translations} translation(s)
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Translate Button */}
+        <button
+          onClick={handleTranslate}
+          disabled={loading || translatable.length === 0 || selectedLanguages.length === 0}
+          className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {loading
+            ? `Translating ${finished.length + 1} of ${translatable.length} file(s)...`
+            : `Translate ${translatable.length} file(s) to ${selectedLanguages.length} language(s)`}
+        </button>
+
+        {/* Progress */}
+        {loading && (
+          <div className="mt-4 h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-600 transition-all"
+              style={{ width: `${(finished.length / translatable.length) * 100}%` }}
+            />
+          </div>
+        )}
+
+        {/* Results */}
+        {!loading && outputCount > 0 && (
+          <div className="mt-6">
+            <button
+              onClick={downloadZip}
+              className="w-full flex items-center justify-center gap-2 bg-green-50 hover:bg-green-100 border border-green-200 text-green-700 py-3 px-4 rounded-lg transition-colors"
+            >
+              <span>📥</span>
+              <span className="font-medium">Download locales.zip ({outputCount} files)</span>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Review */}
+      {!loading && reviewing && (
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="text-xl font-bold text-gray-900">Review Translations</h2>
+            {done.length > 1 && (
+              <select
+                value={reviewing.path}
+                onChange={(e) => setReviewPath(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+              >
+                {done.map(file => <option key={file.path} value={file.path}>{file.path}</option>)}
+              </select>
+            )}
+          </div>
+          <p className="text-gray-600 mb-4">
+            Edit translations inline and approve the ones that are good. Keys that failed the placeholder
+            and markup checks are flagged. Edits are included in the ZIP, and approved entries are added
+            as translation-memory.json.
+          </p>
+          <ReviewTable
+            key={reviewing.path}
+            file={reviewing}
+            onEdit={(language, row, value) => editTranslation(reviewing.path, language, row, value)}
+            onToggleApproved={(language, row) => toggleApproved(reviewing.path, language, row)}
+          />
+        </div>
+      )}
+
+      {/* Sample File */}
+      <div className="bg-white rounded-xl shadow-lg p-8">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">Sample Locale File</h2>
+        <p className="text-gray-600 mb-4">
+          Try uploading a JSON file like this, or several as locales/en/common.json, locales/en/auth.json, ...:
+        </p>
+        <pre className="text-sm">{`{
+  "app": {
+    "title": "My Application",
+    "welcome": "Welcome, {name}!"
+  },
+  "auth": {
+    "login": "Log in",
+    "logout": "Log out",
+    "signup": "Sign up"
+  },
+  "errors": {
+    "notFound": "Page not found",
+    "serverError": "Something went wrong"
+  }
+}`}</pre>
+      </div>
+    </div>
+  )
+}
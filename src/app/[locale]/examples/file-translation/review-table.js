@@ -0,0 +1,103 @@
+'use client'
+
+import { useMemo, useState } from 'react'
+import { reviewRows, isFlagged, describeIssue } from '@/lib/review'
+import { getDirection } from '@/lib/locales'
+
+/**
+ * Side-by-side review of one translated file: key, source and an editable
+ * translation per language, with validation flags and approvals
+ */
+export default function ReviewTable({ file, onEdit, onToggleApproved }) {
+  const [flaggedOnly, setFlaggedOnly] = useState(false)
+  const languages = Object.keys(file.translations)
+  const rows = useMemo(
+    () => reviewRows(file.localeFile.messages, file.translations),
+    [file.localeFile, file.translations]
+  )
+
+  const flagged = rows.filter(row => languages.some(lang => isFlagged(row.translations[lang])))
+  const approvedCount = languages.reduce(
+    (count, lang) => count + Object.values(file.approved[lang] || {}).filter(Boolean).length,
+    0
+  )
+  const editedCount = languages.reduce((count, lang) => count + Object.keys(file.edited[lang] || {}).length, 0)
+  const visible = flaggedOnly ? flagged : rows
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3 text-sm">
+        <p className="text-gray-600">
+          {rows.length} keys · <span className="text-amber-700">{flagged.length} flagged</span> · {editedCount} edited ·{' '}
+          <span className="text-green-700">{approvedCount} approved</span>
+        </p>
+        <label className="flex items-center gap-2 text-gray-700">
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          Only flagged keys
+        </label>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-start text-gray-700">
+            <tr>
+              <th className="px-3 py-2 font-medium">Key</th>
+              <th className="px-3 py-2 font-medium">Source</th>
+              {languages.map(lang => (
+                <th key={lang} className="px-3 py-2 font-medium uppercase">{lang}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 align-top">
+            {visible.map(row => (
+              <tr key={row.id}>
+                <td className="px-3 py-2 font-mono text-xs text-gray-700 whitespace-nowrap">{row.key}</td>
+                <td className="px-3 py-2 text-gray-900">
+                  {row.source === undefined
+                    ? <span className="italic text-gray-400">generated plural form</span>
+                    : typeof row.source === 'string' ? row.source : JSON.stringify(row.source)}
+                </td>
+                {languages.map(lang => {
+                  const cell = row.translations[lang]
+                  const approved = Boolean(file.approved[lang]?.[row.id])
+                  const edited = Boolean(file.edited[lang]?.[row.id])
+                  const problems = cell.missing ? ['Missing translation'] : cell.issues.map(describeIssue)
+
+                  return (
+                    <td key={lang} className={`px-3 py-2 min-w-[14rem] ${approved ? 'bg-green-50' : isFlagged(cell) ? 'bg-amber-50' : ''}`}>
+                      {cell.value === undefined || typeof cell.value === 'string' ? (
+                        <textarea
+                          lang={lang}
+                          dir={getDirection(lang)}
+                          value={cell.value ?? ''}
+                          onChange={(e) => onEdit(lang, row, e.target.value)}
+                          rows={Math.min(4, (cell.value ?? '').split('\n').length)}
+                          className="w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      ) : (
+                        <code className="text-xs">{JSON.stringify(cell.value)}</code>
+                      )}
+                      {problems.map(problem => (
+                        <p key={problem} className="text-xs text-amber-700 mt-1">⚠️ {problem}</p>
+                      ))}
+                      <div className="flex items-center gap-3 mt-1 text-xs">
+                        <button
+                          onClick={() => onToggleApproved(lang, row)}
+                          disabled={cell.value === undefined}
+                          className={`${approved ? 'text-green-700 font-medium' : 'text-gray-500 hover:text-green-700'} disabled:opacity-40`}
+                        >
+                          {approved ? '✓ Approved' : 'Approve'}
+                        </button>
+                        {edited && <span className="text-blue-700">Edited</span>}
+                      </div>
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
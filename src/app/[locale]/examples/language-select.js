@@ -0,0 +1,121 @@
+'use client'
+
+import { useEffect, useId, useState } from 'react'
+import { getLanguages } from '@/lib/api-client'
+import { localeRegistry } from '@/lib/locale-registry'
+import { getDirection } from '@/lib/locales'
+import { TRANSLATE_LIMITS } from '@/lib/validation'
+
+// Matches shown under the search box
+const MAX_RESULTS = 8
+
+const loadLanguages = () => getLanguages().then(result => result.languages)
+
+/**
+ * Searchable multi-select of the languages in the locale registry
+ *
+ * Starts from the bundled snapshot and switches to the API's list once
+ * GET /api/languages answers. Search matches codes, English and native
+ * names; Enter adds the first match, Backspace in an empty box removes the
+ * last selected language.
+ */
+export default function LanguageSelect({ value, onChange, exclude = [], max = TRANSLATE_LIMITS.maxLanguages, label = 'Target languages' }) {
+  const id = useId()
+  const [languages, setLanguages] = useState(localeRegistry.list)
+  const [query, setQuery] = useState('')
+
+  useEffect(() => {
+    let active = true
+    localeRegistry.load(loadLanguages).then(() => {
+      if (active) setLanguages(localeRegistry.list())
+    })
+    return () => { active = false }
+  }, [])
+
+  const full = value.length >= max
+  const matches = (query.trim() ? localeRegistry.search(query) : languages)
+    .filter(language => !exclude.includes(language.code) && !value.includes(language.code))
+    .slice(0, MAX_RESULTS)
+
+  const add = (code) => {
+    if (full || value.includes(code)) return
+    onChange([...value, code])
+    setQuery('')
+  }
+  const remove = (code) => onChange(value.filter(selected => selected !== code))
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && matches.length > 0) {
+      e.preventDefault()
+      add(matches[0].code)
+    } else if (e.key === 'Escape') {
+      setQuery('')
+    } else if (e.key === 'Backspace' && !query && value.length > 0) {
+      remove(value[value.length - 1])
+    }
+  }
+
+  return (
+    <div>
+      <label htmlFor={`${id}-search`} className="block text-sm font-medium text-gray-700 mb-2">
+        {label} <span className="text-gray-400 font-normal">({value.length}/{max})</span>
+      </label>
+
+      {value.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-2" aria-label="Selected languages">
+          {value.map(code => {
+            const language = localeRegistry.get(code)
+            return (
+              <li key={code} className="flex items-center gap-1 bg-blue-600 text-white rounded-full ps-3 pe-1 py-1 text-sm">
+                <span title={language?.nativeName}>{language?.name ?? code}</span>
+                <button
+                  type="button"
+                  onClick={() => remove(code)}
+                  aria-label={`Remove ${language?.name ?? code}`}
+                  className="rounded-full w-5 h-5 leading-none hover:bg-blue-700"
+                >
+                  &times;
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <input
+        id={`${id}-search`}
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        disabled={full}
+        role="combobox"
+        aria-expanded={matches.length > 0}
+        aria-controls={`${id}-options`}
+        autoComplete="off"
+        placeholder={full ? `Up to ${max} languages` : `Search ${languages.length} languages…`}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+      />
+
+      {!full && (
+        <ul id={`${id}-options`} role="listbox" aria-multiselectable="true" className="flex flex-wrap gap-2 mt-2">
+          {matches.map(language => (
+            <li key={language.code} role="option" aria-selected="false">
+              <button
+                type="button"
+                onClick={() => add(language.code)}
+                className="px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+              >
+                {language.name}{' '}
+                <span lang={language.code} dir={getDirection(language.code)} className="text-gray-500 font-normal">
+                  {language.nativeName !== language.name && language.nativeName}
+                </span>
+              </button>
+            </li>
+          ))}
+          {matches.length === 0 && <li className="text-sm text-gray-500">No matching languages</li>}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -1,19 +1,30 @@
-import { translate } from '@/lib/shipi18n'
 import Link from 'next/link'
+import { getTranslations } from '@/lib/shipi18n'
+import { DEFAULT_LOCALE, getDirection } from '@/lib/locales'
 
-// This is a Server Component - translations happen on the server!
+// Prerendered for every locale at build time (see the [locale] layout) from
+// the message files `shipi18n build` writes before `next build`, so there is
+// no API call per request
+export const dynamic = 'force-static'
+
+const TARGET_LOCALES = ['es', 'fr', 'ja', 'ar']
+
+async function loadSample(locale) {
+  const messages = await getTranslations(locale, 'examples')
+  return messages.serverSide?.sample
+}
+
+// This is a Server Component - translations are read on the server!
 export default async function ServerSideExample() {
   let translations = null
   let error = null
 
-  const sampleText = 'Welcome to our platform! We help developers ship faster.'
+  const sampleText = await loadSample(DEFAULT_LOCALE)
 
   try {
-    translations = await translate({
-      text: sampleText,
-      targetLanguages: ['es', 'fr', 'de', 'ja'],
-      preservePlaceholders: true,
-    })
+    translations = Object.fromEntries(
+      await Promise.all(TARGET_LOCALES.map(async locale => [locale, await loadSample(locale)]))
+    )
   } catch (err) {
     error = err.message
   }
@@ -27,8 +38,9 @@ export default async function ServerSideExample() {
           ⚡ Server-Side Translation
         </h1>
         <p className="text-gray-600 mb-6">
-          This page uses React Server Components to translate text at request time.
-          The translation happens on the server before the page is sent to the browser.
+          This page is a React Server Component prerendered at build time. Before <code>next build</code>,{' '}
+          <code>shipi18n build</code> writes <code>messages/&lt;locale&gt;/examples.json</code> for every
+          locale, and each page is rendered from those files once - no translation at request time.
         </p>
 
         <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
@@ -37,7 +49,7 @@ export default async function ServerSideExample() {
             <li>✓ SEO-friendly (content is in the HTML)</li>
             <li>✓ No loading spinner on the client</li>
             <li>✓ API key stays on the server (secure!)</li>
-            <li>✓ Faster initial page load</li>
+            <li>✓ Faster initial page load (static HTML)</li>
           </ul>
         </div>
 
@@ -55,7 +67,7 @@ export default async function ServerSideExample() {
             <p className="font-medium">Translation Error</p>
             <p className="text-sm">{error}</p>
             <p className="text-sm mt-2">
-              Make sure your API key is set in <code>.env.local</code>
+              Make sure your API key is set in <code>.env.local</code>, or run <code>npm run i18n:sync</code> before building
             </p>
           </div>
         )}
@@ -63,17 +75,13 @@ export default async function ServerSideExample() {
         {/* Translations */}
         {translations && (
           <div className="space-y-4">
-            <h3 className="font-semibold text-gray-900">Server-Rendered Translations:</h3>
-            {Object.entries(translations).map(([lang, items]) => (
+            <h3 className="font-semibold text-gray-900">Prerendered Translations:</h3>
+            {Object.entries(translations).map(([lang, text]) => (
               <div key={lang} className="bg-gray-50 rounded-lg p-4">
                 <div className="font-medium text-gray-700 mb-2 uppercase">{lang}</div>
-                {Array.isArray(items) ? (
-                  items.map((item, i) => (
-                    <p key={i} className="text-gray-900">{item.translated}</p>
-                  ))
-                ) : (
-                  <p className="text-gray-900">{JSON.stringify(items)}</p>
-                )}
+                {text
+                  ? <p lang={lang} dir={getDirection(lang)} className="text-gray-900">{text}</p>
+                  : <p className="italic text-gray-400">serverSide.sample is missing</p>}
               </div>
             ))}
           </div>
@@ -83,25 +91,18 @@ export default async function ServerSideExample() {
       {/* Code Example */}
       <div className="bg-white rounded-xl shadow-lg p-8">
         <h2 className="text-xl font-bold text-gray-900 mb-4">Code Example</h2>
-        <pre className="text-sm">{`// This is a Server Component (no 'use client')
-import { translate } from '@/lib/shipi18n'
+        <pre className="text-sm">{`// app/[locale]/page.js - a Server Component (no 'use client')
+import { getTranslations } from '@/lib/shipi18n'
+import { localeStaticParams } from '@/lib/locales'
 
-export default async function Page() {
-  // Translation happens on the server!
-  const translations = await translate({
-    text: 'Welcome to our platform!',
-    targetLanguages: ['es', 'fr', 'de'],
-  })
+// One static page per locale
+export const generateStaticParams = localeStaticParams()
 
-  return (
-    <div>
-      {Object.entries(translations).map(([lang, items]) => (
-        <p key={lang}>
-          {lang}: {items[0].translated}
-        </p>
-      ))}
-    </div>
-  )
+export default async function Page({ params: { locale } }) {
+  // messages/<locale>/examples.json, written by \`shipi18n build\`
+  const messages = await getTranslations(locale, 'examples')
+
+  return <p>{messages.serverSide.sample}</p>
 }`}</pre>
       </div>
     </div>
@@ -0,0 +1,67 @@
+import '../globals.css'
+import { DEFAULT_LOCALE, getDirection, localeStaticParams } from '@/lib/locales'
+import { getTranslations } from '@/lib/shipi18n'
+import { createTranslator } from '@/lib/translator'
+import { I18nProvider } from '@/lib/i18n-provider'
+
+// Only the supported locales exist - anything else is a 404. Each one is
+// prerendered from the message files `shipi18n build` generates before
+// `next build` (see bin/shipi18n.mjs)
+export const dynamicParams = false
+
+export const generateStaticParams = localeStaticParams()
+
+export const metadata = {
+  title: 'Shipi18n Next.js Example',
+  description: 'Example Next.js application demonstrating Shipi18n API integration',
+}
+
+// Fall back to the source messages when a locale can't be loaded or
+// translated (e.g. no API key during local development)
+async function loadCommonMessages(locale) {
+  try {
+    return await getTranslations(locale, 'common')
+  } catch (error) {
+    console.warn(`Could not load "${locale}" messages, using "${DEFAULT_LOCALE}": ${error.message}`)
+    return getTranslations(DEFAULT_LOCALE, 'common')
+  }
+}
+
+export default async function RootLayout({ children, params: { locale } }) {
+  const messages = { common: await loadCommonMessages(locale) }
+  const t = createTranslator(messages, { namespace: 'common', locale })
+
+  return (
+    <html lang={locale} dir={getDirection(locale)}>
+      <body className="antialiased">
+        <header className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white py-6 px-4">
+          <div className="max-w-6xl mx-auto">
+            <h1 className="text-3xl font-bold">Shipi18n + Next.js</h1>
+            <p className="mt-2 text-blue-100">
+              {t('layout.tagline')}
+            </p>
+          </div>
+        </header>
+        <main className="max-w-6xl mx-auto py-8 px-4">
+          <I18nProvider locale={locale} messages={messages}>
+            {children}
+          </I18nProvider>
+        </main>
+        <footer className="bg-gray-100 py-6 px-4 mt-auto">
+          <div className="max-w-6xl mx-auto text-center text-gray-600">
+            <p>
+              {t('layout.builtWith')}{' '}
+              <a href="https://shipi18n.com" className="text-blue-600 hover:underline">
+                Shipi18n
+              </a>
+              {' '}&mdash;{' '}
+              <a href="https://github.com/Shipi18n/shipi18n-nextjs-example" className="text-blue-600 hover:underline">
+                {t('layout.viewOnGitHub')}
+              </a>
+            </p>
+          </div>
+        </footer>
+      </body>
+    </html>
+  )
+}
@@ -1,6 +1,6 @@
 import Link from 'next/link'
 
-export default function HomePage() {
+export default function HomePage({ params: { locale } }) {
   return (
     <div className="space-y-8">
       {/* Intro */}
@@ -27,7 +27,7 @@ export default function HomePage() {
       {/* Examples Grid */}
       <section className="grid md:grid-cols-2 gap-6">
         {/* Client-Side Translation */}
-        <Link href="/examples/client-side" className="block">
+        <Link href={`/${locale}/examples/client-side`} className="block">
           <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow h-full">
             <div className="text-3xl mb-3">🖥️</div>
             <h3 className="text-xl font-bold text-gray-900 mb-2">Client-Side Translation</h3>
@@ -44,24 +44,24 @@ export default function HomePage() {
         </Link>
 
         {/* Server-Side Translation */}
-        <Link href="/examples/server-side" className="block">
+        <Link href={`/${locale}/examples/server-side`} className="block">
           <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow h-full">
             <div className="text-3xl mb-3">⚡</div>
             <h3 className="text-xl font-bold text-gray-900 mb-2">Server-Side Translation</h3>
             <p className="text-gray-600 mb-4">
-              Translate at request time in Server Components. Great for SEO and
-              initial page load performance.
+              Prerender every locale at build time from the message files{' '}
+              <code>shipi18n build</code> generates. Great for SEO and initial page load.
             </p>
             <ul className="text-sm text-gray-500 space-y-1">
               <li>✓ SEO-friendly</li>
-              <li>✓ No client JS needed</li>
-              <li>✓ Server Component</li>
+              <li>✓ No API calls per request</li>
+              <li>✓ Static Server Component</li>
             </ul>
           </div>
         </Link>
 
         {/* File Translation */}
-        <Link href="/examples/file-translation" className="block">
+        <Link href={`/${locale}/examples/file-translation`} className="block">
           <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow h-full">
             <div className="text-3xl mb-3">📁</div>
             <h3 className="text-xl font-bold text-gray-900 mb-2">File Translation</h3>
@@ -78,7 +78,7 @@ export default function HomePage() {
         </Link>
 
         {/* API Route */}
-        <Link href="/examples/api-route" className="block">
+        <Link href={`/${locale}/examples/api-route`} className="block">
           <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow h-full">
             <div className="text-3xl mb-3">🔌</div>
             <h3 className="text-xl font-bold text-gray-900 mb-2">API Route Proxy</h3>
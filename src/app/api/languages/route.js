@@ -0,0 +1,20 @@
+import { getSupportedLanguages } from '@/lib/shipi18n'
+import { localeRegistry } from '@/lib/locale-registry'
+
+// Loaded from the API at request time; without a key it serves the snapshot
+export const dynamic = 'force-dynamic'
+
+/**
+ * The languages the app can translate to, for the examples' LanguageSelect
+ *
+ * Refreshes the shared registry from the Shipi18n API at most once a day,
+ * falling back to the bundled snapshot when the API can't be reached.
+ */
+export async function GET() {
+  const source = await localeRegistry.load(getSupportedLanguages)
+
+  return Response.json(
+    { source, languages: localeRegistry.list() },
+    { headers: { 'Cache-Control': 'public, max-age=3600' } }
+  )
+}
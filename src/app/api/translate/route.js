@@ -1,54 +1,174 @@
 import { translate, translateJSON } from '@/lib/shipi18n'
+import { RateLimitError, ValidationError, httpStatusFor } from '@/lib/errors'
+import { createRateLimiter, rateLimitHeaders } from '@/lib/rate-limit'
+import { anyOf, allOf, sameOrigin, sessionCookie, bearerToken, hmacSignature } from '@/lib/auth'
+import { sessionSecret } from '@/lib/session'
+import { validateTranslateRequest } from '@/lib/validation'
+import { acceptsNDJSON, createTranslationStream, NDJSON_CONTENT_TYPE } from '@/lib/stream'
+import { validateTextResult } from '@/lib/integrity'
+import { createUsageLog, countUsage, countMessagesUsage } from '@/lib/usage'
+
+// Proxies in front of the app that set X-Forwarded-* (e.g. 1 behind a
+// single load balancer). Without one those headers are ignored, and without
+// a platform-provided request.ip all clients share one rate limit bucket.
+const trustedProxies = Number(process.env.TRUSTED_PROXIES) || 0
+
+// Who may call this route: the app's own pages (the session cookie the
+// middleware sets, plus same-origin CSRF checks, see src/lib/api-client.js),
+// or other servers with TRANSLATE_API_TOKEN as a bearer token or requests
+// signed with TRANSLATE_API_SECRET. Replace it with any async
+// (request) => void that throws to plug in your own auth.
+const authorize = anyOf(
+  allOf(sameOrigin({ trustedProxies }), sessionCookie({ secret: sessionSecret() })),
+  bearerToken({ token: process.env.TRANSLATE_API_TOKEN }),
+  hmacSignature({ secret: process.env.TRANSLATE_API_SECRET }),
+)
+
+// Per-client limits for this route. Pass `store` to share state between
+// server instances (e.g. a Redis adapter), or `keyBy: 'session'`/'token'.
+const rateLimiter = createRateLimiter({
+  prefix: 'translate',
+  trustedProxies,
+  limit: 20,
+  windowMs: 60 * 1000,
+  dailyCharacters: 100000,
+})
+
+// Running usage per API token (other servers) or per session cookie (the
+// app's pages), counted per translated language. GET /api/translate returns
+// the caller's.
+const usageLog = createUsageLog({ keyBy: 'token', trustedProxies })
+
+/**
+ * Translatable characters and words of the request text, as billed per language
+ */
+function measureUsage(text, outputFormat, sourceLanguage) {
+  if (outputFormat !== 'json') return countUsage(text, sourceLanguage)
+
+  const messages = JSON.parse(text)
+  return messages && typeof messages === 'object' && !Array.isArray(messages)
+    ? countMessagesUsage(messages, sourceLanguage)
+    : countUsage(messages, sourceLanguage)
+}
+
+/**
+ * Turn any thrown error into a JSON error response
+ *
+ * Shipi18nError subclasses map to their own status (401, 402, 429, 400, ...)
+ * with a { error, code, requestId } body. Unknown errors become a 500.
+ */
+function errorResponse(error, extraHeaders = {}) {
+  const status = httpStatusFor(error)
+  const body = typeof error.toJSON === 'function'
+    ? error.toJSON()
+    : { error: 'Translation failed', code: 'INTERNAL_ERROR' }
+  const headers = { ...extraHeaders }
+
+  if (error instanceof RateLimitError && error.retryAfter !== undefined) {
+    headers['Retry-After'] = String(error.retryAfter)
+  }
+
+  return Response.json(body, { status, headers })
+}
 
 export async function POST(request) {
+  let rateLimit = null
+
   try {
-    const { text, targetLanguages, preservePlaceholders = true, outputFormat } = await request.json()
-
-    // Validate input
-    if (!text) {
-      return Response.json(
-        { error: 'Text is required' },
-        { status: 400 }
-      )
-    }
+    await authorize(request)
+
+    const body = await request.json().catch(() => {
+      throw new ValidationError('Request body must be valid JSON')
+    })
+    const { text, targetLanguages, sourceLanguage, outputFormat, preservePlaceholders, integrity } = validateTranslateRequest(body)
 
-    if (!targetLanguages || targetLanguages.length === 0) {
-      return Response.json(
-        { error: 'At least one target language is required' },
-        { status: 400 }
-      )
+    // Every target language is translated (and billed) separately
+    rateLimit = await rateLimiter.check(request, { characters: text.length * targetLanguages.length })
+
+    if (!rateLimit.allowed) {
+      const { retryAfter, limit, remaining } = rateLimit
+      const error = rateLimit.reason === 'quota'
+        ? new RateLimitError('Daily translation quota exceeded', { code: 'DAILY_QUOTA_EXCEEDED', retryAfter, limit, remaining })
+        : new RateLimitError('Too many requests, please slow down', { retryAfter, limit, remaining })
+      return errorResponse(error, rateLimitHeaders(rateLimit))
     }
 
     // You can add custom logic here:
-    // - Rate limiting per user
-    // - Check user authentication
     // - Log translations for analytics
     // - Cache translations in your database
 
-    let result
-
-    if (outputFormat === 'json') {
-      // JSON translation - preserves structure
-      result = await translateJSON({
-        json: text,
-        targetLanguages,
-        preservePlaceholders,
+    // Languages that came back are added to the caller's usage log, one at
+    // a time (streamed languages finish concurrently) since each record
+    // reads and rewrites the client's entry
+    let recording = Promise.resolve()
+    const recordUsage = (languages) => {
+      const usage = measureUsage(text, outputFormat, sourceLanguage)
+      recording = recording.then(async () => {
+        for (const language of languages) await usageLog.record(request, { language, ...usage })
       })
-    } else {
+      return recording
+    }
+
+    // With `integrity`, results are checked for broken placeholders and tags
+    // (see src/lib/integrity.js) and a per-key report is returned alongside
+    const run = async (languages) => {
+      if (outputFormat === 'json') {
+        // JSON translation - preserves structure
+        let report = []
+        const result = await translateJSON({
+          json: text,
+          sourceLanguage,
+          targetLanguages: languages,
+          preservePlaceholders,
+          integrity,
+          onIntegrityReport: (rows) => { report = rows },
+        })
+        return { result, report }
+      }
+
       // Plain text translation
-      result = await translate({
-        text,
-        targetLanguages,
-        preservePlaceholders,
+      const result = await translate({ text, sourceLanguage, targetLanguages: languages, preservePlaceholders })
+      return integrity ? validateTextResult(result, { mode: integrity }) : { result, report: [] }
+    }
+
+    // Streaming mode: one NDJSON line per language as soon as it's ready
+    if (acceptsNDJSON(request)) {
+      const translateLanguage = async (language) => {
+        const { result, report } = await run([language])
+        if (result[language] !== undefined) await recordUsage([language])
+        return integrity ? { result: result[language], integrity: report } : { result: result[language] }
+      }
+      const stream = createTranslationStream(targetLanguages, translateLanguage, {
+        onError: (error) => {
+          if (httpStatusFor(error) >= 500) console.error('Translation error:', error)
+        },
+      })
+
+      return new Response(stream, {
+        headers: { 'Content-Type': NDJSON_CONTENT_TYPE, 'Cache-Control': 'no-store', ...rateLimitHeaders(rateLimit) },
       })
     }
 
-    return Response.json(result)
+    const { result, report } = await run(targetLanguages)
+    await recordUsage(targetLanguages.filter(language => result[language] !== undefined))
+    const responseBody = integrity ? { translations: result, integrity: report } : result
+
+    return Response.json(responseBody, { headers: rateLimitHeaders(rateLimit) })
+  } catch (error) {
+    if (httpStatusFor(error) >= 500) console.error('Translation error:', error)
+    return errorResponse(error, rateLimit ? rateLimitHeaders(rateLimit) : {})
+  }
+}
+
+/**
+ * The caller's running usage: totals, per language and the latest entries
+ */
+export async function GET(request) {
+  try {
+    await authorize(request)
+    return Response.json(await usageLog.read(request), { headers: { 'Cache-Control': 'no-store' } })
   } catch (error) {
-    console.error('Translation error:', error)
-    return Response.json(
-      { error: error.message || 'Translation failed' },
-      { status: 500 }
-    )
+    if (httpStatusFor(error) >= 500) console.error('Usage error:', error)
+    return errorResponse(error)
   }
 }
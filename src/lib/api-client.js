@@ -0,0 +1,172 @@
+/**
+ * Browser helpers for calling this app's own API routes
+ *
+ * Sends the same-origin cookies and the X-Requested-With header the
+ * route's sameOrigin() check expects, and turns error responses into
+ * Shipi18nError with the route's `code` and `requestId`.
+ *
+ * @example
+ * const result = await postTranslate({ text: 'Hello', targetLanguages: ['es'] })
+ */
+
+import { Shipi18nError } from './errors'
+
+export const TRANSLATE_ENDPOINT = '/api/translate'
+export const LANGUAGES_ENDPOINT = '/api/languages'
+
+function post(url, body, { headers, signal } = {}) {
+  return fetch(url, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Requested-With': 'fetch',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal,
+  })
+}
+
+async function getJSON(url, { signal } = {}) {
+  const response = await fetch(url, {
+    credentials: 'same-origin',
+    headers: { 'X-Requested-With': 'fetch' },
+    signal,
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) throw toError(data, response.status)
+
+  return data
+}
+
+/**
+ * Shipi18nError for an error body ({ error, code, requestId, details })
+ */
+function toError(data, status) {
+  // Validation errors list every failing field (see validation.js)
+  const fields = data.details?.fields?.map(({ field, message }) => `${field}: ${message}`)
+  const message = data.error || 'Translation failed'
+
+  return new Shipi18nError(fields?.length ? `${message} (${fields.join('; ')})` : message, {
+    status,
+    code: data.code,
+    requestId: data.requestId,
+    details: data.details,
+  })
+}
+
+/**
+ * POST JSON to an API route
+ *
+ * @param {string} url - Route path, e.g. '/api/translate'
+ * @param {Object} body - Request body (sent as JSON)
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers
+ * @param {AbortSignal} [options.signal] - Abort signal
+ */
+export async function postJSON(url, body, options) {
+  const response = await post(url, body, options)
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) throw toError(data, response.status)
+
+  return data
+}
+
+/**
+ * Translate through /api/translate
+ *
+ * @param {Object} params - Route body: text, targetLanguages, outputFormat, ...
+ * @param {Object} [options] - See postJSON
+ */
+export function postTranslate(params, options) {
+  return postJSON(TRANSLATE_ENDPOINT, params, options)
+}
+
+/**
+ * The caller's running usage from GET /api/translate (see usage.js)
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<{ translations: number, characters: number, words: number, languages: Object, entries: Object[] }>}
+ */
+export function getUsage({ signal } = {}) {
+  return getJSON(TRANSLATE_ENDPOINT, { signal })
+}
+
+/**
+ * Supported languages from GET /api/languages (see locale-registry.js)
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<{ source: 'api'|'snapshot', languages: { code: string, name: string, nativeName: string, region: string|null }[] }>}
+ */
+export function getLanguages({ signal } = {}) {
+  return getJSON(LANGUAGES_ENDPOINT, { signal })
+}
+
+/**
+ * Translate through /api/translate, receiving each language as it finishes
+ *
+ * Requests that fail as a whole (auth, validation, rate limit) reject like
+ * postTranslate. Once streaming, a failed language only calls onError.
+ *
+ * @example
+ * await streamTranslate({ text, targetLanguages }, {
+ *   onResult: (language, result) => setResults(prev => ({ ...prev, [language]: result })),
+ *   onError: (language, error) => setErrors(prev => ({ ...prev, [language]: error.message })),
+ * })
+ *
+ * @param {Object} params - Route body: text, targetLanguages, outputFormat, ...
+ * @param {Object} [options]
+ * @param {(language: string, result: *, event: Object) => void} [options.onResult] - `event`
+ *   also carries the language's `integrity` report when one was requested
+ * @param {(language: string, error: Shipi18nError) => void} [options.onError]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<{ results: Object, errors: Object }>} Everything received, by language
+ */
+export async function streamTranslate(params, { onResult, onError, signal } = {}) {
+  const response = await post(TRANSLATE_ENDPOINT, params, {
+    headers: { Accept: 'application/x-ndjson' },
+    signal,
+  })
+
+  if (!response.ok) {
+    throw toError(await response.json().catch(() => ({})), response.status)
+  }
+
+  const results = {}
+  const errors = {}
+
+  const handle = (line) => {
+    if (!line.trim()) return
+    const event = JSON.parse(line)
+
+    if (event.type === 'result') {
+      results[event.language] = event.result
+      onResult?.(event.language, event.result, event)
+    } else if (event.type === 'error') {
+      errors[event.language] = toError(event.error)
+      onError?.(event.language, errors[event.language])
+    }
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(handle)
+  }
+  handle(buffer + decoder.decode())
+
+  return { results, errors }
+}
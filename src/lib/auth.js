@@ -0,0 +1,202 @@
+/**
+ * Authorization for API routes (server-side only)
+ *
+ * A verifier is an async function that resolves when a request is allowed
+ * and throws AuthenticationError (401) or ForbiddenError (403) when it is
+ * not. Combine them with anyOf/allOf, or write your own:
+ *
+ * sameOrigin() is CSRF protection only: any script can send the headers it
+ * checks. Pair it with a credential, like the app's session cookie.
+ *
+ * @example
+ * const authorize = anyOf(
+ *   allOf(sameOrigin(), sessionCookie({ secret: sessionSecret() })), // this app's pages
+ *   bearerToken({ token: process.env.TRANSLATE_API_TOKEN }),          // scripts, CI
+ * )
+ *
+ * export async function POST(request) {
+ *   await authorize(request)
+ *   ...
+ * }
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto'
+import { AuthenticationError, ForbiddenError } from './errors'
+import { SESSION_COOKIE, DEFAULT_SESSION_MAX_AGE_MS, verifySessionToken } from './session'
+
+// Headers for hmacSignature
+export const TIMESTAMP_HEADER = 'X-Shipi18n-Timestamp'
+export const SIGNATURE_HEADER = 'X-Shipi18n-Signature'
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && timingSafeEqual(left, right)
+}
+
+/**
+ * Require `Authorization: Bearer <token>` with a shared token
+ * Rejects every request when no token is configured.
+ */
+export function bearerToken({ token }) {
+  return async function verifyBearerToken(request) {
+    const authorization = request.headers.get('authorization') || ''
+    const [scheme, credentials] = authorization.split(' ')
+
+    if (scheme?.toLowerCase() !== 'bearer' || !credentials) {
+      throw new AuthenticationError('Missing bearer token', { code: 'MISSING_CREDENTIALS' })
+    }
+    if (!token || !safeEqual(credentials, token)) {
+      throw new AuthenticationError('Invalid bearer token', { code: 'INVALID_CREDENTIALS' })
+    }
+  }
+}
+
+/**
+ * HMAC-SHA256 signature of `<timestamp>.<METHOD>.<path>.<body>`, hex encoded
+ * Use it to sign requests from other servers (see hmacSignature).
+ */
+export function signRequest({ secret, timestamp, method, path, body = '' }) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`)
+    .digest('hex')
+}
+
+/**
+ * Require a signed request: X-Shipi18n-Timestamp (ms since epoch) and
+ * X-Shipi18n-Signature (see signRequest). Old timestamps are rejected so
+ * captured requests cannot be replayed later.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Shared signing secret
+ * @param {number} [options.maxSkewMs=300000] - Accepted clock difference
+ */
+export function hmacSignature({ secret, maxSkewMs = 5 * 60 * 1000 }) {
+  return async function verifyHmacSignature(request) {
+    const timestamp = request.headers.get(TIMESTAMP_HEADER)
+    const signature = request.headers.get(SIGNATURE_HEADER)
+
+    if (!timestamp || !signature) {
+      throw new AuthenticationError('Missing request signature', { code: 'MISSING_CREDENTIALS' })
+    }
+    if (!secret) {
+      throw new AuthenticationError('Invalid request signature', { code: 'INVALID_CREDENTIALS' })
+    }
+    if (!(Math.abs(Date.now() - Number(timestamp)) <= maxSkewMs)) {
+      throw new AuthenticationError('Request signature expired', { code: 'EXPIRED_SIGNATURE' })
+    }
+
+    const { pathname } = new URL(request.url)
+    const body = await request.clone().text()
+    const expected = signRequest({ secret, timestamp, method: request.method, path: pathname, body })
+
+    if (!safeEqual(signature, expected)) {
+      throw new AuthenticationError('Invalid request signature', { code: 'INVALID_CREDENTIALS' })
+    }
+  }
+}
+
+/**
+ * Require the app's session cookie (see session.js)
+ *
+ * @param {Object} options
+ * @param {string|null} options.secret - Rejects every request when missing
+ * @param {string} [options.cookie=SESSION_COOKIE]
+ * @param {number} [options.maxAgeMs=DEFAULT_SESSION_MAX_AGE_MS]
+ */
+export function sessionCookie({ secret, cookie = SESSION_COOKIE, maxAgeMs = DEFAULT_SESSION_MAX_AGE_MS }) {
+  return async function verifySessionCookie(request) {
+    const token = (request.headers.get('cookie') || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${cookie}=`))
+      ?.slice(cookie.length + 1)
+
+    if (!token) {
+      throw new AuthenticationError('Missing session', { code: 'MISSING_CREDENTIALS' })
+    }
+    if (!(await verifySessionToken(token, { secret, maxAgeMs }))) {
+      throw new AuthenticationError('Invalid or expired session', { code: 'INVALID_CREDENTIALS' })
+    }
+  }
+}
+
+/**
+ * Require a same-origin browser request (CSRF protection)
+ *
+ * The Origin header must match the app's own origin (or one of
+ * `allowedOrigins`), Sec-Fetch-Site must not be cross-site, and the custom
+ * `csrfHeader` must be present - browsers can't add it to cross-origin
+ * requests without a CORS preflight this route never approves. Browsers
+ * leave Origin out of same-origin GET requests, so there Sec-Fetch-Site:
+ * same-origin (which pages can't set themselves) is accepted instead.
+ *
+ * This only stops other sites' pages from using a visitor's browser. It is
+ * not authentication: scripts can send any Origin, so combine it with a
+ * credential such as sessionCookie() using allOf.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedOrigins] - Extra trusted origins
+ * @param {string|null} [options.csrfHeader='X-Requested-With'] - Required header (null to skip)
+ * @param {number} [options.trustedProxies=0] - With a proxy in front of the app, its
+ *   X-Forwarded-Host/-Proto give the app's own origin; otherwise they are ignored
+ */
+export function sameOrigin({ allowedOrigins = [], csrfHeader = 'X-Requested-With', trustedProxies = 0 } = {}) {
+  return async function verifySameOrigin(request) {
+    const url = new URL(request.url)
+    const forwardedHost = trustedProxies > 0 ? request.headers.get('x-forwarded-host') : null
+    const forwardedProto = request.headers.get('x-forwarded-proto')
+    const ownOrigin = forwardedHost
+      ? `${forwardedProto || url.protocol.replace(':', '')}://${forwardedHost}`
+      : url.origin
+
+    const origin = request.headers.get('origin')
+    const fetchSite = request.headers.get('sec-fetch-site')
+    if (!origin && !(request.method === 'GET' && fetchSite === 'same-origin')) {
+      throw new AuthenticationError('Missing Origin header', { code: 'MISSING_CREDENTIALS' })
+    }
+    if (origin && origin !== ownOrigin && !allowedOrigins.includes(origin)) {
+      throw new ForbiddenError('Cross-origin requests are not allowed', { code: 'CROSS_ORIGIN' })
+    }
+
+    if (fetchSite === 'cross-site') {
+      throw new ForbiddenError('Cross-site requests are not allowed', { code: 'CROSS_ORIGIN' })
+    }
+
+    if (csrfHeader && !request.headers.get(csrfHeader)) {
+      throw new ForbiddenError(`Missing ${csrfHeader} header`, { code: 'CSRF_CHECK_FAILED' })
+    }
+  }
+}
+
+/**
+ * Allow a request if any verifier allows it
+ * When all reject, the first verifier's error is thrown.
+ */
+export function anyOf(...verifiers) {
+  return async function verifyAnyOf(request) {
+    let firstError = null
+
+    for (const verify of verifiers) {
+      try {
+        await verify(request)
+        return
+      } catch (error) {
+        firstError ??= error
+      }
+    }
+
+    throw firstError || new AuthenticationError('Unauthorized')
+  }
+}
+
+/**
+ * Allow a request only if every verifier allows it
+ */
+export function allOf(...verifiers) {
+  return async function verifyAllOf(request) {
+    for (const verify of verifiers) {
+      await verify(request)
+    }
+  }
+}
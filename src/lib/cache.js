@@ -0,0 +1,101 @@
+/**
+ * Translation cache backends for the Shipi18n client
+ *
+ * A cache is any object with async `get(key)` and `set(key, value)` methods.
+ * `get` resolves to `undefined` on a miss. Bring your own adapter (Redis,
+ * KV, a database table) by implementing those two methods.
+ *
+ * @example
+ * const redisCache = {
+ *   get: async (key) => JSON.parse(await redis.get(key)) ?? undefined,
+ *   set: async (key, value) => { await redis.set(key, JSON.stringify(value)) },
+ * }
+ */
+
+/**
+ * Build the cache key for one translated language
+ *
+ * Options are sorted so the key does not depend on property order.
+ */
+export function createCacheKey({ text, sourceLanguage, targetLanguage, ...options }) {
+  const sortedOptions = Object.keys(options)
+    .sort()
+    .map(name => [name, options[name]])
+
+  return JSON.stringify([text, sourceLanguage, targetLanguage, sortedOptions])
+}
+
+/**
+ * In-memory LRU cache
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=1000] - Least recently used entries are evicted beyond this
+ */
+export function createMemoryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map()
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return undefined
+
+      // Re-insert so the entry becomes the most recently used
+      const value = entries.get(key)
+      entries.delete(key)
+      entries.set(key, value)
+      return value
+    },
+
+    async set(key, value) {
+      entries.delete(key)
+      entries.set(key, value)
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    async clear() {
+      entries.clear()
+    },
+
+    get size() {
+      return entries.size
+    },
+  }
+}
+
+/**
+ * Filesystem cache (server-side only)
+ *
+ * Stores one JSON file per entry, named after the SHA-256 of its key.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir='.shipi18n-cache'] - Directory for cache files
+ */
+export function createFileCache({ dir = '.shipi18n-cache' } = {}) {
+  const filePath = async (key) => {
+    const { createHash } = await import('crypto')
+    const hash = createHash('sha256').update(key).digest('hex')
+    return `${dir}/${hash}.json`
+  }
+
+  return {
+    async get(key) {
+      const { readFile } = await import('fs/promises')
+
+      try {
+        return JSON.parse(await readFile(await filePath(key), 'utf8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+      }
+    },
+
+    async set(key, value) {
+      const { mkdir, writeFile } = await import('fs/promises')
+
+      await mkdir(dir, { recursive: true })
+      await writeFile(await filePath(key), JSON.stringify(value))
+    },
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Error classes thrown by the Shipi18n client
+ *
+ * Every error extends Shipi18nError and carries the upstream HTTP status
+ * (when there was a response), a stable error code and the request id.
+ *
+ * @example
+ * try {
+ *   await translate({ text, targetLanguages })
+ * } catch (error) {
+ *   if (error instanceof RateLimitError) console.log(`Retry in ${error.retryAfter}s`)
+ * }
+ */
+
+export class Shipi18nError extends Error {
+  // Status the /api/translate route answers with for this class of error
+  static httpStatus = 502
+  static defaultCode = 'API_ERROR'
+
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.status] - Upstream HTTP status
+   * @param {string} [options.code] - Error code (defaults per class)
+   * @param {string} [options.requestId] - Upstream request id, for support tickets
+   * @param {*} [options.details] - Extra error data from the API
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status, code, requestId, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code || this.constructor.defaultCode
+    this.requestId = requestId
+    this.details = details
+  }
+
+  get httpStatus() {
+    return this.constructor.httpStatus
+  }
+
+  /**
+   * Stable JSON error body for API responses
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.requestId && { requestId: this.requestId }),
+      ...(this.details !== undefined && { details: this.details }),
+    }
+  }
+}
+
+export class AuthenticationError extends Shipi18nError {
+  static httpStatus = 401
+  static defaultCode = 'AUTHENTICATION_FAILED'
+}
+
+export class ForbiddenError extends Shipi18nError {
+  static httpStatus = 403
+  static defaultCode = 'FORBIDDEN'
+}
+
+export class QuotaExceededError extends Shipi18nError {
+  static httpStatus = 402
+  static defaultCode = 'QUOTA_EXCEEDED'
+}
+
+export class RateLimitError extends Shipi18nError {
+  static httpStatus = 429
+  static defaultCode = 'RATE_LIMITED'
+
+  /**
+   * @param {string} message
+   * @param {Object} [options] - Shipi18nError options, plus:
+   * @param {number} [options.retryAfter] - Seconds until the limit resets
+   * @param {number} [options.limit] - Requests allowed per window
+   * @param {number} [options.remaining] - Requests left in the window
+   */
+  constructor(message, { retryAfter, limit, remaining, ...options } = {}) {
+    super(message, options)
+    this.retryAfter = retryAfter
+    this.limit = limit
+    this.remaining = remaining
+  }
+}
+
+export class ValidationError extends Shipi18nError {
+  static httpStatus = 400
+  static defaultCode = 'VALIDATION_FAILED'
+}
+
+export class NetworkError extends Shipi18nError {
+  static httpStatus = 502
+  static defaultCode = 'NETWORK_ERROR'
+  retryable = true
+}
+
+export class TimeoutError extends Shipi18nError {
+  static httpStatus = 504
+  static defaultCode = 'TIMEOUT'
+  retryable = true
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+/**
+ * Build the matching error for a non-ok API response
+ *
+ * @param {Response} response - The fetch response
+ * @param {Object} errorData - Parsed JSON body (empty object if unparseable)
+ */
+export function errorFromResponse(response, errorData = {}) {
+  const { status } = response
+  const header = (name) => response.headers?.get(name) ?? undefined
+  const message = errorData.message || `API error: ${status}`
+  const options = {
+    status,
+    code: errorData.code,
+    requestId: header('X-Request-Id') || header('x-amzn-RequestId') || errorData.requestId,
+    details: errorData.details,
+  }
+
+  switch (status) {
+    case 400:
+    case 413:
+    case 422:
+      return new ValidationError(message, options)
+    case 401:
+    case 403:
+      return new AuthenticationError(message, options)
+    case 402:
+      return new QuotaExceededError(message, options)
+    case 429:
+      return new RateLimitError(message, {
+        ...options,
+        retryAfter: toNumber(header('Retry-After')),
+        limit: toNumber(header('X-RateLimit-Limit')),
+        remaining: toNumber(header('X-RateLimit-Remaining')),
+      })
+    default:
+      return new Shipi18nError(message, options)
+  }
+}
+
+/**
+ * HTTP status to answer with for any thrown error (500 for unknown errors)
+ */
+export function httpStatusFor(error) {
+  return error instanceof Shipi18nError ? error.httpStatus : 500
+}
@@ -0,0 +1,152 @@
+/**
+ * Android string resources (res/values/strings.xml)
+ *
+ * <string name="title">     → title
+ * <plurals name="items">    → items_one, items_other, ...
+ * <string-array name="days"> → days (an array)
+ *
+ * Comments and attributes are kept per entry. Strings marked
+ * translatable="false" are not translated and only written back to the
+ * source language's file. Values with inline markup (<b>, <xliff:g>) are
+ * kept as raw XML.
+ */
+
+import { parseXML, elements, escapeXML, escapeMarkup, formatAttributes, hasMarkup } from './xml'
+import { PLURAL_CATEGORIES, pluralForms } from './plurals'
+import { ValidationError } from '../errors'
+
+export const extensions = ['.xml']
+
+function unescapeAndroid(text) {
+  let value = text.trim()
+  // "..." preserves whitespace verbatim
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1)
+  else value = value.replace(/\s+/g, ' ')
+
+  return value.replace(/\\(u[\da-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape[0] === 'u' && escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16))
+    return { n: '\n', t: '\t' }[escape] ?? escape
+  })
+}
+
+function escapeAndroid(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/^([@?])/, '\\$1')
+  return escapeXML(escaped)
+}
+
+function readValue(node) {
+  if (hasMarkup(node)) return { value: node.inner.trim(), raw: true }
+  const text = node.children
+    .map(child => child.type === 'text' || child.type === 'cdata' ? child.value : '')
+    .join('')
+  return { value: unescapeAndroid(text), raw: false }
+}
+
+export function parse(content) {
+  const { root, prolog } = parseXML(content, 'strings.xml')
+  if (root.name !== 'resources') throw new ValidationError('strings.xml: root element must be <resources>')
+
+  const messages = {}
+  const entries = []
+  let comments = []
+
+  for (const node of root.children) {
+    if (node.type === 'comment') {
+      comments.push(node.value.trim())
+      continue
+    }
+    if (node.type !== 'element') continue
+
+    const { name, ...attributes } = node.attributes
+    if (!name) continue
+    const entry = { kind: node.name, name, attributes, comments }
+    const translatable = attributes.translatable !== 'false'
+    comments = []
+
+    if (node.name === 'string') {
+      const { value, raw } = readValue(node)
+      entries.push({ ...entry, raw, value })
+      if (translatable) messages[name] = value
+    } else if (node.name === 'plurals') {
+      entry.raw = {}
+      for (const item of elements(node, 'item')) {
+        const { value, raw } = readValue(item)
+        entry.raw[item.attributes.quantity] = raw
+        if (translatable) messages[`${name}_${item.attributes.quantity}`] = value
+      }
+      entries.push(entry)
+    } else if (node.name === 'string-array') {
+      const items = elements(node, 'item').map(item => readValue(item).value)
+      entries.push({ ...entry, value: items })
+      if (translatable) messages[name] = items
+    }
+  }
+
+  return {
+    messages,
+    meta: { prolog: prolog.map(node => node.value), entries, trailingComments: comments },
+  }
+}
+
+export function serialize(messages, { meta = { entries: [] }, isSource = true } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    ...(meta.prolog || []).map(text => `<!--${text}-->`),
+    '<resources>',
+  ]
+  const written = new Set()
+  const comment = (text) => lines.push(`    <!-- ${text} -->`)
+  const valueXML = (value, raw) => raw ? escapeMarkup(value) : escapeAndroid(value)
+
+  for (const entry of meta.entries) {
+    const translatable = entry.attributes.translatable !== 'false'
+    if (!translatable && !isSource) continue
+
+    const attributes = formatAttributes({ name: entry.name, ...entry.attributes })
+
+    if (entry.kind === 'plurals') {
+      const forms = translatable ? pluralForms(messages, entry.name) : {}
+      if (translatable && Object.keys(forms).length === 0) continue
+      entry.comments.forEach(comment)
+      lines.push(`    <plurals${attributes}>`)
+      for (const category of PLURAL_CATEGORIES) {
+        if (forms[category] === undefined) continue
+        lines.push(`        <item quantity="${category}">${valueXML(forms[category], entry.raw[category])}</item>`)
+        written.add(`${entry.name}_${category}`)
+      }
+      lines.push('    </plurals>')
+      continue
+    }
+
+    const value = translatable ? messages[entry.name] : entry.value
+    if (value === undefined) continue
+    written.add(entry.name)
+    entry.comments.forEach(comment)
+
+    if (entry.kind === 'string-array') {
+      lines.push(`    <string-array${attributes}>`)
+      value.forEach(item => lines.push(`        <item>${escapeAndroid(String(item))}</item>`))
+      lines.push('    </string-array>')
+    } else {
+      lines.push(`    <string${attributes}>${valueXML(value, entry.raw)}</string>`)
+    }
+  }
+
+  // Keys that weren't in the source file
+  for (const [name, value] of Object.entries(messages)) {
+    if (written.has(name)) continue
+    lines.push(Array.isArray(value)
+      ? `    <string-array name="${escapeXML(name, { attribute: true })}">${value.map(item => `<item>${escapeAndroid(String(item))}</item>`).join('')}</string-array>`
+      : `    <string name="${escapeXML(name, { attribute: true })}">${escapeAndroid(String(value))}</string>`)
+  }
+
+  meta.trailingComments?.forEach(comment)
+  lines.push('</resources>')
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,123 @@
+/**
+ * Locale file formats
+ *
+ * Every format parses to the nested message model translateLocaleFile uses
+ * and serializes back from it. Parsing also returns the format's `meta`
+ * (comments, ordering, quoting, untranslatable entries, ...), so serializing
+ * translated messages against the source file's document keeps its layout.
+ *
+ * @example
+ * const format = detectFormat('strings.xml') // 'android'
+ * const document = parseLocaleFile(content, { format })
+ * const translations = await translateLocaleFile({ content: document.messages, targetLanguages: ['es'] })
+ * const files = serializeTranslations(document, translations)
+ * // [{ languages: ['es'], content: '<?xml ...' }]
+ */
+
+import { ValidationError } from '../errors'
+import { orderMessages } from '../messages'
+import * as json from './json'
+import * as yaml from './yaml'
+import * as po from './po'
+import * as android from './android'
+import * as strings from './strings'
+import * as xcstrings from './xcstrings'
+import * as xliff from './xliff'
+
+export const LOCALE_FORMATS = { json, yaml, po, android, strings, xcstrings, xliff }
+
+/**
+ * Every supported file extension, e.g. for an <input accept>
+ */
+export const LOCALE_FILE_EXTENSIONS = Object.values(LOCALE_FORMATS).flatMap(format => format.extensions)
+
+const extensionOf = (fileName) => /\.[^./\\]+$/.exec(fileName)?.[0].toLowerCase() || ''
+
+/**
+ * Format name for a file name from its extension, or null
+ */
+export function detectFormat(fileName) {
+  const extension = extensionOf(fileName)
+  return Object.keys(LOCALE_FORMATS).find(name => LOCALE_FORMATS[name].extensions.includes(extension)) || null
+}
+
+/**
+ * Whether one file of this format holds every language (.xcstrings)
+ */
+export const isMultiLanguage = (format) => Boolean(LOCALE_FORMATS[format]?.multiLanguage)
+
+/**
+ * File name for a language's translation: es.json, es.po (for a .pot), ...
+ * Multi-language formats keep the source file's name.
+ */
+export function translatedFileName(fileName, format, language) {
+  if (isMultiLanguage(format)) return fileName
+  const extension = extensionOf(fileName)
+  return `${language}${extension === '.pot' ? '.po' : extension}`
+}
+
+function formatFor(format) {
+  const handler = LOCALE_FORMATS[format]
+  if (!handler) throw new ValidationError(`Unsupported locale file format: ${format}`)
+  return handler
+}
+
+/**
+ * Parse a locale file
+ *
+ * @param {string} content - File contents
+ * @param {Object} options
+ * @param {string} options.format - See LOCALE_FORMATS / detectFormat
+ * @param {string} [options.language] - Language to read; defaults to the source language
+ * @param {string} [options.sourceLanguage='en']
+ * @returns {{ format: string, language: string, sourceLanguage: string, messages: Object, meta: Object }}
+ * @throws {ValidationError} When the file can't be parsed
+ */
+export function parseLocaleFile(content, { format, language, sourceLanguage = 'en' } = {}) {
+  const handler = formatFor(format)
+  const locale = language || sourceLanguage
+  const isSource = locale === sourceLanguage
+  const { messages, meta } = handler.parse(content, { language: locale, sourceLanguage, isSource })
+
+  return { format, language: locale, sourceLanguage, messages, meta }
+}
+
+/**
+ * Serialize messages for one language in the layout of a parsed document
+ * (usually the source file). Messages follow the document's key order.
+ */
+export function serializeLocaleFile(document, messages, { language = document.language } = {}) {
+  return formatFor(document.format).serialize(orderMessages(messages, document.messages), {
+    meta: document.meta,
+    language,
+    sourceLanguage: document.sourceLanguage,
+    isSource: language === document.sourceLanguage,
+  })
+}
+
+/**
+ * Serialize translateLocaleFile's { lang: messages } result
+ *
+ * @returns {{ languages: string[], content: string }[]} One file per language,
+ *   or a single file with every language for multi-language formats
+ */
+export function serializeTranslations(document, translations) {
+  if (!isMultiLanguage(document.format)) {
+    return Object.entries(translations).map(([language, messages]) => ({
+      languages: [language],
+      content: serializeLocaleFile(document, messages, { language }),
+    }))
+  }
+
+  const languages = Object.keys(translations)
+  if (languages.length === 0) return []
+
+  let current = document
+  let content
+  for (const language of languages) {
+    content = serializeLocaleFile(current, translations[language], { language })
+    current = parseLocaleFile(content, { format: document.format, language: document.language, sourceLanguage: document.sourceLanguage })
+  }
+
+  return [{ languages, content }]
+}
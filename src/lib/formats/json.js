@@ -0,0 +1,19 @@
+/**
+ * Nested JSON locale files (next-intl, i18next) - the native message model
+ */
+
+import { ValidationError } from '../errors'
+
+export const extensions = ['.json']
+
+export function parse(content) {
+  try {
+    return { messages: JSON.parse(content), meta: {} }
+  } catch (error) {
+    throw new ValidationError(`Locale file is not valid JSON: ${error.message}`, { cause: error })
+  }
+}
+
+export function serialize(messages) {
+  return `${JSON.stringify(messages, null, 2)}\n`
+}
@@ -0,0 +1,33 @@
+/**
+ * Plural form helpers shared by the formats with native plurals
+ *
+ * Plurals map to i18next-style keys in the message model: an Android
+ * <plurals name="items"> or a gettext msgid_plural becomes items_one,
+ * items_other, ... (see lookupPlural in ../translator.js).
+ */
+
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+
+/**
+ * CLDR plural categories of a language, in canonical order
+ */
+export function pluralCategories(language = 'en') {
+  let categories
+  try {
+    categories = new Intl.PluralRules(language).resolvedOptions().pluralCategories
+  } catch {
+    categories = ['one', 'other']
+  }
+  return PLURAL_CATEGORIES.filter(category => categories.includes(category))
+}
+
+/**
+ * { category: value } for the `<key>_<category>` entries of flat messages
+ */
+export function pluralForms(messages, key) {
+  const forms = {}
+  for (const category of PLURAL_CATEGORIES) {
+    if (typeof messages[`${key}_${category}`] === 'string') forms[category] = messages[`${key}_${category}`]
+  }
+  return forms
+}
@@ -0,0 +1,239 @@
+/**
+ * gettext .po/.pot catalogs
+ *
+ * Entries are keyed by msgid (prefixed with "msgctxt\u0004" when they have a
+ * context, as in compiled .mo files). The source catalog's messages are its
+ * msgstr values, or the msgids when they're untranslated (a .pot template).
+ * Plural entries become key_<category> forms; msgstr[n] maps to the target
+ * language's categories in its Plural-Forms order.
+ *
+ * Comments (#, #., #:, #,) and obsolete (#~) lines are kept with the entry
+ * they precede, and the header gets the target's Language and Plural-Forms.
+ */
+
+import { ValidationError } from '../errors'
+import { pluralCategories } from './plurals'
+
+export const extensions = ['.po', '.pot']
+
+const CONTEXT_SEPARATOR = '\u0004'
+
+const PLURAL_SUFFIX = /_(zero|one|two|few|many|other)$/
+
+const ONE_OTHER = { forms: ['one', 'other'], rule: 'nplurals=2; plural=(n != 1);' }
+const ONLY_OTHER = { forms: ['other'], rule: 'nplurals=1; plural=0;' }
+const EAST_SLAVIC = {
+  forms: ['one', 'few', 'many'],
+  rule: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+}
+
+// gettext's conventional plural forms, which don't always match CLDR's
+// categories (e.g. French has no "many" form in gettext)
+const PLURAL_FORMS = {
+  en: ONE_OTHER, de: ONE_OTHER, es: ONE_OTHER, it: ONE_OTHER, nl: ONE_OTHER, pt: ONE_OTHER,
+  sv: ONE_OTHER, da: ONE_OTHER, nb: ONE_OTHER, fi: ONE_OTHER, el: ONE_OTHER, hu: ONE_OTHER,
+  tr: ONE_OTHER, bg: ONE_OTHER, et: ONE_OTHER, he: ONE_OTHER, hi: ONE_OTHER, bn: ONE_OTHER,
+  fr: { forms: ['one', 'other'], rule: 'nplurals=2; plural=(n > 1);' },
+  'pt-BR': { forms: ['one', 'other'], rule: 'nplurals=2; plural=(n > 1);' },
+  ja: ONLY_OTHER, ko: ONLY_OTHER, zh: ONLY_OTHER, vi: ONLY_OTHER, th: ONLY_OTHER, id: ONLY_OTHER, ms: ONLY_OTHER,
+  ru: EAST_SLAVIC, uk: EAST_SLAVIC, be: EAST_SLAVIC, sr: EAST_SLAVIC, hr: EAST_SLAVIC, bs: EAST_SLAVIC,
+  pl: {
+    forms: ['one', 'few', 'many'],
+    rule: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  },
+  cs: { forms: ['one', 'few', 'other'], rule: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;' },
+  sk: { forms: ['one', 'few', 'other'], rule: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;' },
+  ro: {
+    forms: ['one', 'few', 'other'],
+    rule: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100>0 && n%100<20)) ? 1 : 2);',
+  },
+  ar: {
+    forms: ['zero', 'one', 'two', 'few', 'many', 'other'],
+    rule: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+  },
+}
+
+/**
+ * gettext plural forms of a language: { forms: categories in msgstr[n] order, rule? }
+ */
+export function gettextPlurals(language = 'en') {
+  const known = PLURAL_FORMS[language] || PLURAL_FORMS[language.split('-')[0]]
+  return known || { forms: pluralCategories(language) }
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }
+
+const unquote = (text) => text.slice(1, -1).replace(/\\(.)/g, (match, char) => ESCAPES[char] ?? char)
+
+const escape = (text) => `"${text
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\t/g, '\\t')
+  .replace(/\r/g, '\\r')
+  .replace(/\n/g, '\\n')}"`
+
+// Multi-line values are written as "" followed by one string per line
+function quote(value, { multiline = false } = {}) {
+  const lines = value.match(/[^\n]*\n|[^\n]+$/g) || ['']
+  return multiline || lines.length > 1 ? ['""', ...lines.map(escape)].join('\n') : escape(value)
+}
+
+function parseHeader(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const index = line.indexOf(':')
+    return [line.slice(0, index).trim(), line.slice(index + 1).trim()]
+  })
+}
+
+function readEntries(content) {
+  const entries = []
+  let trailingComments = []
+  let entry = { comments: [], fields: {} }
+  let field = null
+
+  const flush = () => {
+    if (Object.keys(entry.fields).length) entries.push(entry)
+    else trailingComments = entry.comments
+    entry = { comments: [], fields: {} }
+    field = null
+  }
+
+  content.replace(/^﻿/, '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim()
+    if (!line) {
+      if (Object.keys(entry.fields).length) flush()
+      return
+    }
+    if (line.startsWith('#')) {
+      if (Object.keys(entry.fields).length) flush()
+      entry.comments.push(line)
+      return
+    }
+    if (line.startsWith('"')) {
+      if (!field) throw new ValidationError(`.po: unexpected string (line ${index + 1})`)
+      entry.fields[field] += unquote(line)
+      return
+    }
+
+    const match = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(".*")$/.exec(line)
+    if (!match) throw new ValidationError(`.po: cannot parse "${line}" (line ${index + 1})`)
+    // msgctxt starts a new entry, but keeps the comments written above it
+    const startsEntry = match[1] === 'msgctxt' || (match[1] === 'msgid' && 'msgstr' in entry.fields)
+    if (startsEntry && Object.keys(entry.fields).length) flush()
+    field = match[1]
+    entry.fields[field] = unquote(match[2])
+  })
+  flush()
+
+  return { entries, trailingComments }
+}
+
+const entryKey = ({ msgctxt, msgid }) => msgctxt === undefined ? msgid : `${msgctxt}${CONTEXT_SEPARATOR}${msgid}`
+
+export function parse(content, { language, isSource = true } = {}) {
+  const read = readEntries(content)
+  const messages = {}
+  const entries = []
+  let header = null
+
+  for (const { comments, fields } of read.entries) {
+    if (fields.msgid === '' && fields.msgctxt === undefined) {
+      header = { comments, fields: parseHeader(fields.msgstr || '') }
+      continue
+    }
+
+    const key = entryKey(fields)
+    const plural = fields.msgid_plural !== undefined
+    const translations = Object.keys(fields)
+      .filter(name => name.startsWith('msgstr['))
+      .sort((a, b) => parseInt(a.slice(7)) - parseInt(b.slice(7)))
+      .map(name => fields[name])
+    const translated = plural ? translations.some(Boolean) : Boolean(fields.msgstr)
+
+    entries.push({
+      key,
+      comments,
+      msgctxt: fields.msgctxt,
+      msgid: fields.msgid,
+      msgidPlural: fields.msgid_plural,
+      translated,
+    })
+
+    if (!plural) {
+      if (translated) messages[key] = fields.msgstr
+      else if (isSource) messages[key] = fields.msgid
+      continue
+    }
+
+    if (translated) {
+      gettextPlurals(language).forms.forEach((category, index) => {
+        if (translations[index]) messages[`${key}_${category}`] = translations[index]
+      })
+    } else if (isSource) {
+      messages[`${key}_one`] = fields.msgid
+      messages[`${key}_other`] = fields.msgid_plural
+    }
+  }
+
+  return { messages, meta: { header, entries, trailingComments: read.trailingComments } }
+}
+
+export function serialize(messages, { meta = { entries: [] }, language, isSource = true } = {}) {
+  const plurals = gettextPlurals(language)
+  const blocks = []
+
+  if (meta.header || !isSource) {
+    const fields = (meta.header?.fields || [['Content-Type', 'text/plain; charset=UTF-8']])
+      .filter(([name]) => isSource || (name !== 'Language' && name !== 'Plural-Forms'))
+    if (!isSource && language) fields.push(['Language', language])
+    if (!isSource && plurals.rule) fields.push(['Plural-Forms', plurals.rule])
+    blocks.push([
+      ...(meta.header?.comments || []),
+      'msgid ""',
+      `msgstr ${quote(fields.map(([name, value]) => `${name}: ${value}\n`).join(''), { multiline: true })}`,
+    ].join('\n'))
+  }
+
+  const written = new Set()
+  const pluralKeys = new Set()
+
+  for (const entry of meta.entries) {
+    const lines = [...entry.comments]
+    // An untranslated source entry stays untranslated (its "message" is the msgid)
+    const untranslated = isSource && !entry.translated
+    if (entry.msgctxt !== undefined) lines.push(`msgctxt ${quote(entry.msgctxt)}`)
+    lines.push(`msgid ${quote(entry.msgid)}`)
+
+    if (entry.msgidPlural === undefined) {
+      written.add(entry.key)
+      lines.push(`msgstr ${quote(untranslated ? '' : messages[entry.key] ?? '')}`)
+    } else {
+      pluralKeys.add(entry.key)
+      lines.push(`msgid_plural ${quote(entry.msgidPlural)}`)
+      const forms = untranslated ? ['one', 'other'] : plurals.forms
+      forms.forEach((category, index) => {
+        written.add(`${entry.key}_${category}`)
+        lines.push(`msgstr[${index}] ${quote(untranslated ? '' : messages[`${entry.key}_${category}`] ?? '')}`)
+      })
+    }
+    blocks.push(lines.join('\n'))
+  }
+
+  // Keys that weren't in the source catalog. CLDR forms the language's
+  // Plural-Forms has no msgstr[n] for (e.g. es "many") belong to their entry.
+  for (const [key, value] of Object.entries(messages)) {
+    if (written.has(key) || typeof value !== 'string') continue
+    const pluralForm = PLURAL_SUFFIX.exec(key)
+    if (pluralForm && pluralKeys.has(key.slice(0, pluralForm.index))) continue
+    const [msgctxt, msgid] = key.includes(CONTEXT_SEPARATOR) ? key.split(CONTEXT_SEPARATOR) : [undefined, key]
+    blocks.push([
+      ...(msgctxt !== undefined ? [`msgctxt ${quote(msgctxt)}`] : []),
+      `msgid ${quote(msgid)}`,
+      `msgstr ${quote(value)}`,
+    ].join('\n'))
+  }
+
+  if (meta.trailingComments?.length) blocks.push(meta.trailingComments.join('\n'))
+
+  return `${blocks.join('\n\n')}\n`
+}
@@ -0,0 +1,112 @@
+/**
+ * iOS/macOS .strings files
+ *
+ *   "home.title" = "Welcome, %@!";
+ *
+ * Keys are kept flat (dots are part of the key). Comments (block or line)
+ * belong to the entry that follows them and are written back in order.
+ */
+
+import { ValidationError } from '../errors'
+
+export const extensions = ['.strings']
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }
+
+function readString(content, start, lineOf) {
+  let value = ''
+  let pos = start + 1
+  while (pos < content.length && content[pos] !== '"') {
+    if (content[pos] === '\\') {
+      const next = content[pos + 1]
+      if (next === 'U' || next === 'u') {
+        value += String.fromCharCode(parseInt(content.slice(pos + 2, pos + 6), 16))
+        pos += 6
+        continue
+      }
+      value += ESCAPES[next] ?? next
+      pos += 2
+      continue
+    }
+    value += content[pos++]
+  }
+  if (pos >= content.length) throw new ValidationError(`.strings: unterminated string (line ${lineOf(start)})`)
+  return { value, end: pos + 1 }
+}
+
+const quote = (value) => `"${value
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t')
+  .replace(/\r/g, '\\r')}"`
+
+export function parse(content) {
+  const source = content.replace(/^﻿/, '')
+  const lineOf = (index) => source.slice(0, index).split('\n').length
+  const messages = {}
+  const entries = []
+  let comments = []
+  let pos = 0
+
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++
+  }
+
+  while (true) {
+    skipWhitespace()
+    if (pos >= source.length) break
+
+    if (source.startsWith('/*', pos)) {
+      const end = source.indexOf('*/', pos)
+      if (end === -1) throw new ValidationError(`.strings: unclosed comment (line ${lineOf(pos)})`)
+      comments.push({ block: true, text: source.slice(pos + 2, end).trim() })
+      pos = end + 2
+      continue
+    }
+    if (source.startsWith('//', pos)) {
+      const end = source.indexOf('\n', pos)
+      comments.push({ block: false, text: source.slice(pos + 2, end === -1 ? undefined : end).trim() })
+      pos = end === -1 ? source.length : end
+      continue
+    }
+    if (source[pos] !== '"') throw new ValidationError(`.strings: expected a quoted key (line ${lineOf(pos)})`)
+
+    const key = readString(source, pos, lineOf)
+    pos = key.end
+    skipWhitespace()
+    if (source[pos] !== '=') throw new ValidationError(`.strings: expected "=" after "${key.value}" (line ${lineOf(pos)})`)
+    pos++
+    skipWhitespace()
+    if (source[pos] !== '"') throw new ValidationError(`.strings: expected a quoted value for "${key.value}" (line ${lineOf(pos)})`)
+    const value = readString(source, pos, lineOf)
+    pos = value.end
+    skipWhitespace()
+    if (source[pos] !== ';') throw new ValidationError(`.strings: expected ";" after "${key.value}" (line ${lineOf(pos)})`)
+    pos++
+
+    messages[key.value] = value.value
+    entries.push({ key: key.value, comments })
+    comments = []
+  }
+
+  return { messages, meta: { entries, trailingComments: comments } }
+}
+
+export function serialize(messages, { meta = { entries: [] } } = {}) {
+  const blocks = []
+  const written = new Set()
+  const comment = ({ block, text }) => block ? `/* ${text} */` : `// ${text}`
+
+  for (const { key, comments } of meta.entries) {
+    if (typeof messages[key] !== 'string') continue
+    written.add(key)
+    blocks.push([...comments.map(comment), `${quote(key)} = ${quote(messages[key])};`].join('\n'))
+  }
+  for (const [key, value] of Object.entries(messages)) {
+    if (!written.has(key) && typeof value === 'string') blocks.push(`${quote(key)} = ${quote(value)};`)
+  }
+  if (meta.trailingComments?.length) blocks.push(meta.trailingComments.map(comment).join('\n'))
+
+  return `${blocks.join('\n\n')}\n`
+}
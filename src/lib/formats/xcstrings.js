@@ -0,0 +1,87 @@
+/**
+ * Xcode String Catalogs (.xcstrings)
+ *
+ * One JSON file holds every language. A language's messages are its
+ * stringUnit values; plural variations become key_<category> forms, and a
+ * source string without a localization is its own key. Serializing merges
+ * one language into the catalog and keeps everything else (comments,
+ * extraction state, other languages and variations) as it was.
+ */
+
+import { ValidationError } from '../errors'
+import { PLURAL_CATEGORIES, pluralForms } from './plurals'
+
+export const extensions = ['.xcstrings']
+
+// Every language lives in the same file
+export const multiLanguage = true
+
+export function parse(content, { language, isSource = true } = {}) {
+  let catalog
+  try {
+    catalog = JSON.parse(content)
+  } catch (error) {
+    throw new ValidationError(`.xcstrings is not valid JSON: ${error.message}`, { cause: error })
+  }
+  if (!catalog?.strings || typeof catalog.strings !== 'object') {
+    throw new ValidationError('.xcstrings: missing "strings"')
+  }
+
+  const messages = {}
+  const locale = language || catalog.sourceLanguage
+
+  for (const [key, entry] of Object.entries(catalog.strings)) {
+    if (entry.shouldTranslate === false) continue
+    const localization = entry.localizations?.[locale]
+    const plural = localization?.variations?.plural
+
+    if (localization?.stringUnit) {
+      messages[key] = localization.stringUnit.value
+    } else if (plural) {
+      for (const category of PLURAL_CATEGORIES) {
+        if (plural[category]?.stringUnit) messages[`${key}_${category}`] = plural[category].stringUnit.value
+      }
+    } else if (isSource && !localization) {
+      messages[key] = key
+    }
+  }
+
+  return { messages, meta: { catalog } }
+}
+
+// Catalog key a message key belongs to (items_one -> items when items is a plural entry)
+function catalogKey(strings, key) {
+  if (key in strings) return key
+  const match = /^(.*)_(zero|one|two|few|many|other)$/.exec(key)
+  return match && match[1] in strings ? match[1] : key
+}
+
+const stringUnit = (value) => ({ stringUnit: { state: 'translated', value } })
+
+// Xcode writes `"key" : value` and sorts localizations by language
+const stringify = (catalog) => `${JSON.stringify(catalog, null, 2).replace(/^(\s*"(?:[^"\\]|\\.)*"): /gm, '$1 : ')}\n`
+
+export function serialize(messages, { meta, language } = {}) {
+  const catalog = JSON.parse(JSON.stringify(meta?.catalog || { sourceLanguage: language, strings: {}, version: '1.0' }))
+  const keys = new Set(Object.keys(messages).map(key => catalogKey(catalog.strings, key)))
+
+  for (const key of keys) {
+    const entry = catalog.strings[key] ||= {}
+    if (entry.shouldTranslate === false) continue
+
+    const forms = pluralForms(messages, key)
+    if (typeof messages[key] !== 'string' && Object.keys(forms).length === 0) continue
+    const localization = typeof messages[key] === 'string'
+      ? stringUnit(messages[key])
+      : { variations: { plural: Object.fromEntries(Object.entries(forms).map(([category, value]) => [category, stringUnit(value)])) } }
+
+    // A source string that is its own key needs no localization
+    if (language === catalog.sourceLanguage && messages[key] === key && !entry.localizations?.[language]) continue
+
+    entry.localizations = Object.fromEntries(
+      Object.entries({ ...entry.localizations, [language]: localization }).sort(([a], [b]) => a.localeCompare(b))
+    )
+  }
+
+  return stringify(catalog)
+}
@@ -0,0 +1,105 @@
+/**
+ * XLIFF 1.2 and 2.0 bilingual files
+ *
+ * Units are keyed by resname (1.2) or id. Their <source> is the source
+ * message and their <target> the translation. Serializing edits the
+ * original document in place: <target> elements are added or replaced and
+ * the target language is set (target-language in 1.2, trgLang in 2.0), so
+ * notes, groups, comments and unit order survive untouched.
+ */
+
+import { parseXML, elements, escapeXML, escapeMarkup, hasMarkup, textContent } from './xml'
+import { ValidationError } from '../errors'
+
+export const extensions = ['.xlf', '.xliff']
+
+function readValue(node) {
+  return hasMarkup(node) ? { value: node.inner, raw: true } : { value: textContent(node), raw: false }
+}
+
+// Depth-first units (1.2 trans-unit, 2.0 unit), through files and groups
+function findUnits(node, units = []) {
+  for (const child of elements(node)) {
+    if (child.name === 'trans-unit' || child.name === 'unit') units.push(child)
+    else findUnits(child, units)
+  }
+  return units
+}
+
+export function parse(content, { isSource = true } = {}) {
+  const { root } = parseXML(content, 'XLIFF')
+  if (root.name !== 'xliff') throw new ValidationError('XLIFF: root element must be <xliff>')
+
+  const version = root.attributes.version?.startsWith('2') ? 2 : 1
+  const messages = {}
+  const units = []
+
+  for (const unit of findUnits(root)) {
+    const key = (version === 1 && unit.attributes.resname) || unit.attributes.id
+    if (!key) continue
+
+    // 2.0 units can have several segments; only single-segment units map to a message
+    const container = version === 2 ? elements(unit, 'segment') : [unit]
+    if (container.length !== 1) continue
+    const [source] = elements(container[0], 'source')
+    const [target] = elements(container[0], 'target')
+    if (!source) continue
+
+    const sourceValue = readValue(source)
+    units.push({ key, container: container[0], source, target, raw: sourceValue.raw })
+
+    if (isSource) messages[key] = sourceValue.value
+    else if (target && textContent(target).trim()) messages[key] = readValue(target).value
+  }
+
+  return { messages, meta: { content, version, root, units } }
+}
+
+// Set (or add) an attribute on an element's opening tag
+function setAttribute(content, node, name, value) {
+  const openTag = content.slice(node.start, node.openEnd)
+  const pattern = new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*')`)
+  const attribute = escapeXML(value, { attribute: true })
+  const updated = pattern.test(openTag)
+    ? openTag.replace(pattern, `$1"${attribute}"`)
+    : openTag.replace(/\s*(\/?)>$/, ` ${name}="${attribute}"$1>`)
+  return { start: node.start, end: node.openEnd, text: updated }
+}
+
+export function serialize(messages, { meta, language, isSource = true } = {}) {
+  if (!meta?.content) throw new ValidationError('XLIFF files can only be written from a parsed source file')
+
+  const { content, version, root, units } = meta
+  const edits = []
+
+  if (!isSource) {
+    const files = version === 2 ? [root] : elements(root, 'file')
+    const name = version === 2 ? 'trgLang' : 'target-language'
+    files.forEach(node => edits.push(setAttribute(content, node, name, language)))
+  }
+
+  for (const unit of units) {
+    const value = messages[unit.key]
+    if (typeof value !== 'string') continue
+    const text = unit.raw ? escapeMarkup(value) : escapeXML(value)
+
+    if (isSource) {
+      edits.push({ start: unit.source.openEnd, end: unit.source.closeStart, text })
+    } else if (unit.target && unit.target.openEnd !== unit.target.end) {
+      edits.push({ start: unit.target.openEnd, end: unit.target.closeStart, text })
+    } else if (unit.target) {
+      // <target/> becomes <target>...</target>
+      edits.push({ start: unit.target.start, end: unit.target.end, text: `<target>${text}</target>` })
+    } else {
+      // New <target> right after <source>, on its own line with the same indentation
+      const lineStart = content.lastIndexOf('\n', unit.source.start) + 1
+      const indentation = /^[ \t]*/.exec(content.slice(lineStart, unit.source.start))[0]
+      const separator = lineStart > unit.container.openEnd ? `\n${indentation}` : ''
+      edits.push({ start: unit.source.end, end: unit.source.end, text: `${separator}<target>${text}</target>` })
+    }
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content)
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal XML reader/writer for the Android and XLIFF formats
+ *
+ * Parses elements, attributes, text, comments and CDATA into a tree. Every
+ * element keeps the raw source of its content (`inner`), so inline markup
+ * like <b> or <g id="1"> can be passed through untouched.
+ */
+
+import { ValidationError } from '../errors'
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+/**
+ * Decode XML entities (&amp; &#233; &#xE9;)
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1))
+      return String.fromCodePoint(code)
+    }
+    return ENTITIES[name] ?? entity
+  })
+}
+
+/**
+ * Escape text (or an attribute value) for XML
+ */
+export function escapeXML(text, { attribute = false } = {}) {
+  const escaped = String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  return attribute ? escaped.replace(/"/g, '&quot;') : escaped
+}
+
+/**
+ * Escape the text of a value with inline markup, keeping its elements,
+ * comments, CDATA and entities: a translated "R&D <b>team</b>" stays valid XML
+ */
+export function escapeMarkup(text) {
+  return String(text)
+    .replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-f]+);)/gi, '&amp;')
+    .replace(/<(?!\/?[A-Za-z_][\w.:-]*(?:\s[^<>]*)?\/?>|!--|!\[CDATA\[)/g, '&lt;')
+}
+
+/**
+ * Attributes as ` name="value"` pairs
+ */
+export function formatAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeXML(value, { attribute: true })}"`)
+    .join('')
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length
+}
+
+/**
+ * Parse an XML document
+ *
+ * @param {string} source
+ * @param {string} [label='XML'] - Used in error messages
+ * @returns {{ root: Object, declaration: string|null, prolog: Object[] }} Element
+ *   nodes are { type: 'element', name, attributes, children, inner } plus their
+ *   source offsets (start, openEnd, closeStart, end); other nodes are
+ *   { type: 'text' | 'comment' | 'cdata', value }
+ */
+export function parseXML(source, label = 'XML') {
+  const fail = (reason, index) => {
+    throw new ValidationError(`${label}: ${reason} (line ${lineAt(source, index)})`)
+  }
+
+  const document = { type: 'element', name: '#document', attributes: {}, children: [] }
+  const stack = [{ node: document, innerStart: 0 }]
+  const declaration = /^\s*(<\?xml[^?]*\?>)/.exec(source)?.[1] || null
+  let pos = 0
+
+  const current = () => stack[stack.length - 1].node
+
+  while (pos < source.length) {
+    const next = source.indexOf('<', pos)
+    const textEnd = next === -1 ? source.length : next
+
+    if (textEnd > pos) {
+      current().children.push({ type: 'text', value: decodeEntities(source.slice(pos, textEnd)) })
+    }
+    if (next === -1) break
+    pos = next
+
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos)
+      if (end === -1) fail('unclosed comment', pos)
+      current().children.push({ type: 'comment', value: source.slice(pos + 4, end) })
+      pos = end + 3
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const end = source.indexOf(']]>', pos)
+      if (end === -1) fail('unclosed CDATA section', pos)
+      current().children.push({ type: 'cdata', value: source.slice(pos + 9, end) })
+      pos = end + 3
+    } else if (source.startsWith('<?', pos) || source.startsWith('<!', pos)) {
+      const end = source.indexOf('>', pos)
+      if (end === -1) fail('unclosed declaration', pos)
+      pos = end + 1
+    } else if (source.startsWith('</', pos)) {
+      const match = /^<\/([^\s>]+)\s*>/.exec(source.slice(pos))
+      const open = stack[stack.length - 1]
+      if (!match || stack.length === 1 || match[1] !== open.node.name) {
+        fail(`unexpected closing tag ${match ? `</${match[1]}>` : ''}`.trim(), pos)
+      }
+      open.node.inner = source.slice(open.innerStart, pos)
+      open.node.closeStart = pos
+      stack.pop()
+      pos += match[0].length
+      open.node.end = pos
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(source.slice(pos))
+      if (!match) fail('malformed tag', pos)
+
+      const attributes = {}
+      for (const [, name, double, single] of match[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeEntities(double ?? single)
+      }
+
+      const node = { type: 'element', name: match[1], attributes, children: [], inner: '', start: pos }
+      current().children.push(node)
+      pos += match[0].length
+      node.openEnd = pos
+      if (match[3]) node.end = node.closeStart = pos
+      else stack.push({ node, innerStart: pos })
+    }
+  }
+
+  if (stack.length > 1) fail(`unclosed <${current().name}>`, source.length)
+
+  const root = document.children.find(node => node.type === 'element')
+  if (!root) fail('no root element', 0)
+
+  return { root, declaration, prolog: document.children.filter(node => node.type === 'comment') }
+}
+
+/**
+ * Child elements, optionally only those named `name`
+ */
+export function elements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name))
+}
+
+/**
+ * Text content of a node (text and CDATA, markup dropped)
+ */
+export function textContent(node) {
+  return node.children
+    .map(child => child.type === 'element' ? textContent(child) : child.type === 'comment' ? '' : child.value)
+    .join('')
+}
+
+/**
+ * Whether a node contains inline elements (then its raw `inner` is used as the value)
+ */
+export function hasMarkup(node) {
+  return node.children.some(child => child.type === 'element')
+}
@@ -0,0 +1,330 @@
+/**
+ * YAML locale files (Rails/i18n-js style)
+ *
+ *   # Shown on the home page
+ *   en:
+ *     home:
+ *       title: "Welcome"
+ *       intro: |
+ *         Two lines
+ *         of text
+ *
+ * Supports the subset locale files use: nested mappings, string scalars
+ * (plain, quoted and | or > blocks) and lists of strings. Plain null,
+ * booleans and numbers keep their type, so like non-string JSON values they
+ * aren't translated, and are written back as they were spelled. A single
+ * root key naming the language (Rails) is
+ * unwrapped and written back as the target language. Comments, blank lines
+ * and each value's quoting style are kept per key.
+ */
+
+import { ValidationError } from '../errors'
+
+export const extensions = ['.yaml', '.yml']
+
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' }
+
+const PLAIN_CONSTANTS = {
+  null: null, Null: null, NULL: null, '~': null,
+  true: true, True: true, TRUE: true, false: false, False: false, FALSE: false,
+}
+
+const keyOf = (path) => JSON.stringify(path)
+
+// A plain scalar's value in YAML 1.2's core schema: null, boolean, number or string
+function resolvePlain(text) {
+  if (Object.hasOwn(PLAIN_CONSTANTS, text)) return PLAIN_CONSTANTS[text]
+  if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$|^0x[\da-fA-F]+$|^0o[0-7]+$/.test(text)) return Number(text)
+  return text
+}
+const indentOf = (line) => line.length - line.trimStart().length
+
+function unescapeDouble(text) {
+  return text.replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|.)/g, (match, escape) => {
+    if (/^[xuU]./.test(escape)) return String.fromCodePoint(parseInt(escape.slice(1), 16))
+    return DOUBLE_QUOTE_ESCAPES[escape] ?? escape
+  })
+}
+
+// Strip a trailing " # comment" from a plain scalar or after a quoted one
+function splitComment(text) {
+  const match = /(^|\s)#/.exec(text)
+  return match
+    ? { value: text.slice(0, match.index).trimEnd(), comment: text.slice(match.index).trim() }
+    : { value: text.trimEnd(), comment: null }
+}
+
+function readScalar(text, fail) {
+  if (text.startsWith('"')) {
+    const match = /^"((?:[^"\\]|\\.)*)"(.*)$/.exec(text)
+    if (!match) fail('unterminated double-quoted string')
+    return { value: unescapeDouble(match[1]), style: '"', comment: splitComment(match[2]).comment }
+  }
+  if (text.startsWith("'")) {
+    const match = /^'((?:[^']|'')*)'(.*)$/.exec(text)
+    if (!match) fail('unterminated single-quoted string')
+    return { value: match[1].replace(/''/g, "'"), style: "'", comment: splitComment(match[2]).comment }
+  }
+  if (/^[&*!]/.test(text)) fail('anchors, aliases and tags are not supported')
+  if (/^[[{]/.test(text) && !/^(\[\]|\{\})\s*(#.*)?$/.test(text)) fail('flow collections are not supported')
+
+  const { value, comment } = splitComment(text)
+  return { value: resolvePlain(value), source: value, style: 'plain', comment }
+}
+
+// Block scalar (| or >) starting after line `start`; returns the value and the next line index
+function readBlock(lines, start, parentIndent, header) {
+  const [, kind, chomping] = /^([|>])([+-]?)\d*/.exec(header)
+  const body = []
+  let index = start + 1
+  let blockIndent = null
+
+  for (; index < lines.length; index++) {
+    const line = lines[index]
+    if (!line.trim()) {
+      body.push('')
+      continue
+    }
+    if (indentOf(line) <= parentIndent) break
+    blockIndent ??= indentOf(line)
+    body.push(line.slice(blockIndent))
+  }
+
+  // Trailing blank lines belong to the block only with "+" chomping
+  const trailing = []
+  while (body.length && body[body.length - 1] === '') trailing.push(body.pop())
+  index -= trailing.length
+
+  // Folding: single line breaks become spaces, blank lines become line breaks
+  let value = kind === '|'
+    ? body.join('\n')
+    : body.reduce((text, line, i) => i === 0 ? line : line === '' ? `${text}\n` : `${text}${body[i - 1] === '' ? '' : ' '}${line}`, '')
+  if (chomping === '+') value += '\n' + trailing.map(() => '\n').join('')
+  else if (chomping !== '-') value += '\n'
+
+  return { value, style: `${kind}${chomping}`, next: index }
+}
+
+export function parse(content, { language } = {}) {
+  const lines = content.replace(/^﻿/, '').split(/\r?\n/)
+  const root = {}
+  const comments = {}
+  const inlineComments = {}
+  const styles = {}
+  // How non-string scalars were spelled (~, 1.50, TRUE)
+  const scalars = {}
+  const stack = [{ indent: -1, node: root, path: [] }]
+  let pending = []
+  let documentStart = false
+  let seenContent = false
+
+  const fail = (reason, index) => {
+    throw new ValidationError(`YAML: ${reason} (line ${index + 1})`)
+  }
+
+  // The next non-blank, non-comment line after `index`
+  const peek = (index) => {
+    for (let i = index + 1; i < lines.length; i++) {
+      const trimmed = lines[i].trim()
+      if (trimmed && !trimmed.startsWith('#')) return { line: lines[i], trimmed }
+    }
+    return null
+  }
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index]
+    const trimmed = line.trim()
+
+    if (!trimmed) {
+      if (seenContent || pending.length) pending.push('')
+      continue
+    }
+    if (trimmed.startsWith('#')) {
+      pending.push(trimmed)
+      continue
+    }
+    if (trimmed === '---' && !seenContent) {
+      documentStart = true
+      continue
+    }
+    if (trimmed === '...') break
+    if (line.includes('\t') && /^\s*\t/.test(line)) fail('tabs are not allowed for indentation', index)
+
+    const indent = indentOf(line)
+    const listItem = trimmed === '-' || trimmed.startsWith('- ')
+    const top = () => stack[stack.length - 1]
+    while (indent <= top().indent || (top().compact && indent === top().indent + 1 && !listItem)) stack.pop()
+    const parent = top()
+    seenContent = true
+
+    if (listItem) {
+      if (!Array.isArray(parent.node)) fail('unexpected list item', index)
+      const path = [...parent.path, parent.node.length]
+      const scalar = readScalar(trimmed.slice(2).trim(), (reason) => fail(reason, index))
+      if (pending.length) comments[keyOf(path)] = pending
+      pending = []
+      parent.node.push(scalar.value)
+      if (typeof scalar.value !== 'string') scalars[keyOf(path)] = scalar.source
+      continue
+    }
+
+    if (Array.isArray(parent.node)) fail('expected a list item', index)
+    const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^#]*?)\s*:(?:\s+(.*))?$/.exec(trimmed)
+    if (!match) fail(`cannot parse "${trimmed}"`, index)
+
+    const key = match[1].startsWith('"') ? unescapeDouble(match[1].slice(1, -1))
+      : match[1].startsWith("'") ? match[1].slice(1, -1).replace(/''/g, "'")
+        : match[1]
+    const path = [...parent.path, key]
+    const rest = (match[2] || '').trim()
+    if (pending.length) comments[keyOf(path)] = pending
+    pending = []
+
+    if (!rest || rest.startsWith('#')) {
+      if (rest) inlineComments[keyOf(path)] = rest
+      const next = peek(index)
+      if (next && indentOf(next.line) > indent) {
+        const child = next.trimmed === '-' || next.trimmed.startsWith('- ') ? [] : {}
+        parent.node[key] = child
+        stack.push({ indent, node: child, path })
+      } else if (next && indentOf(next.line) === indent && next.trimmed.startsWith('- ')) {
+        // Lists may sit at the same indentation as their key
+        const child = []
+        parent.node[key] = child
+        stack.push({ indent: indent - 1, node: child, path, compact: true })
+      } else {
+        parent.node[key] = ''
+        styles[keyOf(path)] = 'empty'
+      }
+      continue
+    }
+
+    if (/^[|>]/.test(rest)) {
+      const block = readBlock(lines, index, indent, rest)
+      parent.node[key] = block.value
+      styles[keyOf(path)] = block.style
+      index = block.next - 1
+      continue
+    }
+
+    const scalar = readScalar(rest, (reason) => fail(reason, index))
+    parent.node[key] = scalar.value === '{}' && scalar.style === 'plain' ? {}
+      : scalar.value === '[]' && scalar.style === 'plain' ? [] : scalar.value
+    if (scalar.style !== 'plain') styles[keyOf(path)] = scalar.style
+    if (typeof scalar.value !== 'string') scalars[keyOf(path)] = scalar.source
+    if (scalar.comment) inlineComments[keyOf(path)] = scalar.comment
+  }
+
+  // Rails-style files wrap everything in the language code
+  const rootKeys = Object.keys(root)
+  const wrapped = Boolean(language) && rootKeys.length === 1 && rootKeys[0].toLowerCase() === language.toLowerCase() &&
+    root[rootKeys[0]] !== null && typeof root[rootKeys[0]] === 'object' && !Array.isArray(root[rootKeys[0]])
+  const unwrap = (table) => wrapped
+    ? Object.fromEntries(Object.entries(table)
+      .map(([key, value]) => [JSON.parse(key), value])
+      .filter(([path]) => path.length > 1)
+      .map(([path, value]) => [keyOf(path.slice(1)), value]))
+    : table
+
+  return {
+    messages: wrapped ? root[rootKeys[0]] : root,
+    meta: {
+      rootKey: wrapped,
+      rootComments: wrapped ? comments[keyOf([rootKeys[0]])] || [] : [],
+      documentStart,
+      comments: unwrap(comments),
+      inlineComments: unwrap(inlineComments),
+      styles: unwrap(styles),
+      scalars: unwrap(scalars),
+      trailingComments: pending,
+    },
+  }
+}
+
+// Plain scalars that would read back as something else (or not parse) get quoted
+function needsQuotes(value) {
+  return value === '' ||
+    typeof resolvePlain(value) !== 'string' ||
+    value !== value.trim() ||
+    /^[-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+    /: |\s#|:$/.test(value) ||
+    /[\n\t\r\\]/.test(value)
+}
+
+const doubleQuoted = (value) => `"${value
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t')
+  .replace(/\r/g, '\\r')}"`
+
+const formatKey = (key) => /^[\w.-]+$/.test(key) && !/^-/.test(key) ? key : doubleQuoted(key)
+
+function formatScalar(value, style, indent) {
+  const pad = ' '.repeat(indent + 2)
+
+  if (/^[|>]/.test(style) || (value.includes('\n') && value.trim())) {
+    // Block scalars are written literally; a folded source value keeps its > when it's one line
+    const kind = style?.startsWith('>') && !value.trimEnd().includes('\n') ? '>' : '|'
+    const body = value.endsWith('\n') ? value.slice(0, -1) : value
+    const chomping = value.endsWith('\n') ? (body.endsWith('\n') ? '+' : '') : '-'
+    if (!/^\S/.test(body)) return doubleQuoted(value)
+    return `${kind}${chomping}\n${body.split('\n').map(line => line ? pad + line : '').join('\n')}`
+  }
+  if (style === 'empty' && value === '') return ''
+  if (style === "'" && !value.includes('\n')) return `'${value.replace(/'/g, "''")}'`
+  if (style === '"' || needsQuotes(value)) return doubleQuoted(value)
+  return value
+}
+
+export function serialize(messages, { meta = {}, language } = {}) {
+  const lines = meta.documentStart ? ['---'] : []
+  const comments = meta.comments || {}
+  const inlineComments = meta.inlineComments || {}
+  const styles = meta.styles || {}
+  const scalars = meta.scalars || {}
+  const offset = meta.rootKey ? 2 : 0
+
+  const write = (node, path, indent) => {
+    const entries = Array.isArray(node) ? node.map((value, index) => [index, value]) : Object.entries(node)
+
+    for (const [key, value] of entries) {
+      const childPath = [...path, key]
+      const id = keyOf(childPath)
+      const pad = ' '.repeat(indent)
+      const prefix = Array.isArray(node) ? `${pad}-` : `${pad}${formatKey(String(key))}:`
+      const trailing = inlineComments[id] ? ` ${inlineComments[id]}` : ''
+
+      lines.push(...(comments[id] || []).map(comment => comment && pad + comment))
+
+      if (value !== null && typeof value === 'object') {
+        const empty = Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0
+        if (empty) {
+          lines.push(`${prefix} ${Array.isArray(value) ? '[]' : '{}'}${trailing}`)
+        } else {
+          lines.push(`${prefix}${trailing}`)
+          write(value, childPath, indent + 2)
+        }
+        continue
+      }
+
+      if (value !== undefined && typeof value !== 'string') {
+        const spelled = scalars[id] !== undefined && Object.is(resolvePlain(scalars[id]), value)
+        lines.push(`${prefix} ${spelled ? scalars[id] : String(value)}${trailing}`)
+        continue
+      }
+
+      const scalar = formatScalar(value ?? '', styles[id], indent)
+      lines.push(scalar ? `${prefix} ${scalar}${trailing}` : `${prefix}${trailing}`)
+    }
+  }
+
+  if (meta.rootKey) {
+    lines.push(...(meta.rootComments || []), `${formatKey(language)}:`)
+  }
+  write(messages, [], offset)
+  lines.push(...(meta.trailingComments || []))
+
+  while (lines.length && lines[lines.length - 1] === '') lines.pop()
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,168 @@
+/**
+ * Glossary: forced translations and do-not-translate terms
+ *
+ * Before a request, glossary terms in the source are swapped for
+ * `{{__term_N}}` placeholders (which the API preserves); afterwards each
+ * placeholder is restored to the term's forced translation for that language
+ * (or to the term itself for do-not-translate terms). check() then verifies
+ * every expected term made it into the translation.
+ *
+ * glossary.json:
+ * {
+ *   "doNotTranslate": ["Shipi18n", "Ship"],
+ *   "terms": {
+ *     "Workspace": { "es": "Espacio de trabajo", "fr": "Espace de travail" }
+ *   },
+ *   "caseSensitive": true
+ * }
+ *
+ * Terms match whole words only ("Ship" doesn't match "Shipping").
+ */
+
+import { ValidationError } from './errors'
+import { flattenMessages, pathToKey } from './messages'
+
+const TOKEN_PATTERN = /\{\{__term_(\d+)\}\}/g
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Compile a glossary definition
+ *
+ * @param {Object} [definition]
+ * @param {string[]} [definition.doNotTranslate] - Terms kept as-is in every language
+ * @param {Object<string, Object<string, string>>} [definition.terms] - Term → { language: translation }
+ * @param {boolean} [definition.caseSensitive=true] - Match terms case-sensitively
+ */
+export function createGlossary({ doNotTranslate = [], terms = {}, caseSensitive = true } = {}) {
+  if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== 'string')) {
+    throw new ValidationError('Glossary "doNotTranslate" must be an array of strings')
+  }
+  if (!terms || typeof terms !== 'object' || Array.isArray(terms)) {
+    throw new ValidationError('Glossary "terms" must map terms to { language: translation } objects')
+  }
+
+  const flags = caseSensitive ? 'gu' : 'giu'
+  const entries = [
+    ...doNotTranslate.map(term => ({ term, translations: null })),
+    ...Object.entries(terms).map(([term, translations]) => ({ term, translations })),
+  ]
+    // Longest first, so "Ship Pro" wins over "Ship"
+    .sort((a, b) => b.term.length - a.term.length)
+    .map((entry, index) => ({
+      ...entry,
+      index,
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(entry.term)}(?![\\p{L}\\p{N}_])`, flags),
+    }))
+
+  // What a term must become in `language` (undefined: no rule for it)
+  const expected = (entry, language) => entry.translations === null ? entry.term : entry.translations[language]
+
+  const matches = (entry, text) => {
+    entry.pattern.lastIndex = 0
+    return entry.pattern.test(text)
+  }
+
+  return {
+    /**
+     * Replace terms with placeholders
+     * Only terms with a rule for every target language are protected; the
+     * others are left for the API and still reported by check().
+     *
+     * @param {string} text
+     * @param {string[]} targetLanguages
+     */
+    protect(text, targetLanguages) {
+      let result = text
+
+      for (const entry of entries) {
+        if (targetLanguages.some(lang => expected(entry, lang) === undefined)) continue
+        result = result.replace(entry.pattern, `{{__term_${entry.index}}}`)
+      }
+
+      return result
+    },
+
+    /**
+     * Put each placeholder's translation for `language` back
+     */
+    restore(text, language) {
+      return text.replace(TOKEN_PATTERN, (token, index) => {
+        const entry = entries[Number(index)]
+        return entry ? expected(entry, language) ?? entry.term : token
+      })
+    },
+
+    /**
+     * Terms in `source` whose required form is missing from `translation`
+     *
+     * @returns {{ term: string, expected: string, language: string }[]}
+     */
+    check(source, translation, language) {
+      const violations = []
+      let remaining = source
+
+      for (const entry of entries) {
+        if (!matches(entry, remaining)) continue
+        // Don't count "Ship" again inside an already matched "Ship Pro"
+        remaining = remaining.replace(entry.pattern, ' ')
+
+        const form = expected(entry, language)
+        if (form === undefined) continue
+
+        const found = caseSensitive
+          ? String(translation).includes(form)
+          : String(translation).toLowerCase().includes(form.toLowerCase())
+        if (!found) violations.push({ term: entry.term, expected: form, language })
+      }
+
+      return violations
+    },
+  }
+}
+
+/**
+ * Load and compile a glossary JSON file (server-side only)
+ */
+export async function loadGlossary(filePath) {
+  const { readFile } = await import('fs/promises')
+
+  try {
+    return createGlossary(JSON.parse(await readFile(filePath, 'utf8')))
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new ValidationError(`${filePath} is not valid JSON: ${error.message}`, { cause: error })
+    }
+    throw error
+  }
+}
+
+/**
+ * Glossary violations for translated message files
+ *
+ * @param {Object} glossary - From createGlossary
+ * @param {Object} source - Source messages
+ * @param {Object<string, Object>} translations - { language: messages }
+ * @returns {{ language: string, key: string, term: string, expected: string }[]}
+ */
+export function glossaryReport(glossary, source, translations) {
+  const report = []
+  const sourceEntries = flattenMessages(source).filter(({ value }) => typeof value === 'string')
+
+  for (const [language, messages] of Object.entries(translations)) {
+    const translated = new Map(
+      flattenMessages(messages || {}).map(({ path, value }) => [pathToKey(path), value])
+    )
+
+    for (const { path, value } of sourceEntries) {
+      const key = pathToKey(path)
+      if (!translated.has(key)) continue
+
+      for (const violation of glossary.check(value, translated.get(key), language)) {
+        report.push({ ...violation, key })
+      }
+    }
+  }
+
+  return report
+}
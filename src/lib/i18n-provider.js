@@ -0,0 +1,56 @@
+'use client'
+
+/**
+ * React provider and hooks for localized strings in Client Components
+ *
+ * Load messages on the server with getTranslations and pass them down, so
+ * Client Components render localized strings without calling the API.
+ *
+ * @example
+ * // app/[locale]/layout.js (Server Component)
+ * const messages = { common: await getTranslations(locale, 'common') }
+ * <I18nProvider locale={locale} messages={messages}>{children}</I18nProvider>
+ *
+ * // Any Client Component below it
+ * const t = useTranslations('common')
+ * t('app.welcome', { name: 'Ada' })
+ * t('cart.items', { count: 3 }) // ICU plurals, see ./icu.js
+ */
+
+import { createContext, useContext, useMemo } from 'react'
+import { createTranslator } from './translator'
+
+const I18nContext = createContext(null)
+
+/**
+ * @param {Object} props
+ * @param {string} props.locale - Current locale
+ * @param {Object} props.messages - Messages by namespace
+ */
+export function I18nProvider({ locale, messages, children }) {
+  const value = useMemo(() => ({ locale, messages }), [locale, messages])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+function useI18nContext(hookName) {
+  const context = useContext(I18nContext)
+  if (!context) throw new Error(`${hookName} must be used inside <I18nProvider>`)
+  return context
+}
+
+/**
+ * Current locale from the nearest I18nProvider
+ */
+export function useLocale() {
+  return useI18nContext('useLocale').locale
+}
+
+/**
+ * t(key, values) for a namespace, e.g. useTranslations('common')('nav.home')
+ */
+export function useTranslations(namespace) {
+  const { locale, messages } = useI18nContext('useTranslations')
+
+  return useMemo(() => createTranslator(messages, { namespace, locale }), [messages, namespace, locale])
+}
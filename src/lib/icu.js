@@ -0,0 +1,258 @@
+/**
+ * ICU MessageFormat formatter
+ *
+ * Supports simple arguments, number/date/time arguments, plural (with
+ * offset and =N exact matches), selectordinal and select. Plural rules
+ * come from Intl.PluralRules, so every CLDR locale works out of the box.
+ *
+ * @example
+ * formatMessage('{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}', { count: 5 }, 'pl')
+ * // '5 plików'
+ */
+
+const PLURAL_TYPES = ['plural', 'selectordinal']
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full']
+
+/**
+ * Parse a message into an AST
+ *
+ * Nodes are strings or objects: { type: 'argument' | 'number' | 'date' | 'time'
+ * | 'plural' | 'selectordinal' | 'select' | 'pound', name, style, offset, options }
+ */
+class Parser {
+  constructor(message) {
+    this.message = message
+    this.pos = 0
+  }
+
+  error(reason) {
+    return new SyntaxError(`ICU message: ${reason} at position ${this.pos} in "${this.message}"`)
+  }
+
+  parse() {
+    const nodes = this.parseMessage(false)
+    if (this.pos < this.message.length) throw this.error('unexpected "}"')
+    return nodes
+  }
+
+  // Literal text and arguments until an unmatched "}" or the end
+  parseMessage(inPlural) {
+    const nodes = []
+    let text = ''
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos]
+
+      if (char === '{') {
+        if (text) nodes.push(text)
+        text = ''
+        nodes.push(this.parseArgument(inPlural))
+      } else if (char === '}') {
+        break
+      } else if (char === '#' && inPlural) {
+        if (text) nodes.push(text)
+        text = ''
+        nodes.push({ type: 'pound' })
+        this.pos++
+      } else if (char === "'") {
+        text += this.parseQuoted(inPlural)
+      } else {
+        text += char
+        this.pos++
+      }
+    }
+
+    if (text) nodes.push(text)
+    return nodes
+  }
+
+  // '' is an apostrophe; '{...}' quotes syntax characters; a lone ' is literal
+  parseQuoted(inPlural) {
+    const next = this.message[this.pos + 1]
+
+    if (next === "'") {
+      this.pos += 2
+      return "'"
+    }
+
+    if (next === '{' || next === '}' || (inPlural && next === '#')) {
+      const end = this.message.indexOf("'", this.pos + 1)
+      const close = end === -1 ? this.message.length : end
+      const quoted = this.message.slice(this.pos + 1, close)
+      this.pos = close + 1
+      return quoted
+    }
+
+    this.pos++
+    return "'"
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.message[this.pos] || '')) this.pos++
+  }
+
+  readWord() {
+    this.skipWhitespace()
+    const match = /^[^\s{},]+/.exec(this.message.slice(this.pos))
+    if (!match) throw this.error('expected a name')
+    this.pos += match[0].length
+    this.skipWhitespace()
+    return match[0]
+  }
+
+  expect(char) {
+    if (this.message[this.pos] !== char) throw this.error(`expected "${char}"`)
+    this.pos++
+  }
+
+  parseArgument(inPlural) {
+    this.expect('{')
+    const name = this.readWord()
+
+    if (this.message[this.pos] === '}') {
+      this.pos++
+      return { type: 'argument', name }
+    }
+
+    this.expect(',')
+    const type = this.readWord()
+
+    if (type === 'number' || type === 'date' || type === 'time') {
+      let style
+      if (this.message[this.pos] === ',') {
+        this.pos++
+        style = this.readWord()
+      }
+      this.expect('}')
+      return { type, name, style }
+    }
+
+    if (type === 'select' || PLURAL_TYPES.includes(type)) {
+      this.expect(',')
+      const node = { type, name, offset: 0, options: {} }
+      const optionsInPlural = inPlural || PLURAL_TYPES.includes(type)
+
+      this.skipWhitespace()
+      while (this.message[this.pos] !== '}') {
+        const key = this.readWord()
+
+        if (key.startsWith('offset:') && type === 'plural') {
+          node.offset = Number(key.slice('offset:'.length))
+          continue
+        }
+
+        this.expect('{')
+        node.options[key] = this.parseMessage(optionsInPlural)
+        this.expect('}')
+        this.skipWhitespace()
+
+        if (this.pos >= this.message.length) throw this.error('unclosed argument')
+      }
+      this.pos++
+
+      if (!node.options.other) throw this.error(`${type} "${name}" needs an "other" option`)
+      return node
+    }
+
+    throw this.error(`unknown argument type "${type}"`)
+  }
+}
+
+// Parsed messages, least recently used first. Capped, since request bodies
+// reach the parser too (usage counting, integrity checks)
+const AST_CACHE_SIZE = 500
+const astCache = new Map()
+
+/**
+ * Parse a message (memoized for the most recent AST_CACHE_SIZE messages)
+ */
+export function parseMessage(message) {
+  let ast = astCache.get(message)
+  if (ast) {
+    astCache.delete(message)
+  } else {
+    ast = new Parser(message).parse()
+    if (astCache.size >= AST_CACHE_SIZE) astCache.delete(astCache.keys().next().value)
+  }
+
+  astCache.set(message, ast)
+  return ast
+}
+
+function numberOptions(style) {
+  if (!style) return {}
+  if (style === 'integer') return { maximumFractionDigits: 0 }
+  if (style === 'percent') return { style: 'percent' }
+  if (style === 'compact') return { notation: 'compact' }
+
+  const currency = /^(?:::)?currency\/([A-Za-z]{3})$/.exec(style)
+  if (currency) return { style: 'currency', currency: currency[1].toUpperCase() }
+
+  return {}
+}
+
+function formatNodes(nodes, values, locale, pluralValue) {
+  return nodes.map(node => formatNode(node, values, locale, pluralValue)).join('')
+}
+
+function formatNode(node, values, locale, pluralValue) {
+  if (typeof node === 'string') return node
+
+  if (node.type === 'pound') {
+    return pluralValue === undefined ? '#' : new Intl.NumberFormat(locale).format(pluralValue)
+  }
+
+  const value = values[node.name]
+  if (value === undefined || value === null) return `{${node.name}}`
+
+  switch (node.type) {
+    case 'argument':
+      return String(value)
+
+    case 'number':
+      return new Intl.NumberFormat(locale, numberOptions(node.style)).format(value)
+
+    case 'date':
+    case 'time': {
+      const style = DATE_STYLES.includes(node.style) ? node.style : 'medium'
+      const option = node.type === 'date' ? 'dateStyle' : 'timeStyle'
+      return new Intl.DateTimeFormat(locale, { [option]: style }).format(new Date(value))
+    }
+
+    case 'select': {
+      const option = node.options[String(value)] || node.options.other
+      return formatNodes(option, values, locale, pluralValue)
+    }
+
+    case 'plural':
+    case 'selectordinal': {
+      const number = Number(value)
+      const exact = node.options[`=${number}`]
+      const adjusted = number - node.offset
+
+      if (exact) return formatNodes(exact, values, locale, adjusted)
+
+      const type = node.type === 'plural' ? 'cardinal' : 'ordinal'
+      const category = new Intl.PluralRules(locale, { type }).select(adjusted)
+      return formatNodes(node.options[category] || node.options.other, values, locale, adjusted)
+    }
+
+    default:
+      return ''
+  }
+}
+
+/**
+ * Format an ICU message
+ *
+ * Arguments without a value are left as {name}. Throws a SyntaxError for
+ * malformed messages.
+ *
+ * @param {string} message - ICU message
+ * @param {Object} [values] - Argument values
+ * @param {string} [locale='en'] - Locale for plural rules, numbers and dates
+ */
+export function formatMessage(message, values = {}, locale = 'en') {
+  return formatNodes(parseMessage(message), values, locale)
+}
@@ -0,0 +1,291 @@
+/**
+ * Placeholder and markup integrity checks for translated messages
+ *
+ * Compares a source message with its translation: {{name}} and printf
+ * (%s, %1$d) placeholders, ICU arguments ({name}, {count, plural, ...}) and
+ * HTML/JSX tags must all survive translation. Broken entries can be flagged,
+ * repaired (renamed or reformatted tokens are mapped back to the source's)
+ * or rejected.
+ *
+ * @example
+ * findIntegrityIssues('Hello <b>{name}</b>', 'Hola <b>{nombre}</b>')
+ * // [{ type: 'icu', missing: ['{name}'], unexpected: ['{nombre}'] }]
+ */
+
+import { parseMessage } from './icu'
+import { flattenMessages, unflattenMessages, messageGroupKey, pathToKey } from './messages'
+
+export const INTEGRITY_MODES = ['flag', 'repair', 'reject']
+
+// Token patterns, shared with the pseudo-localizer (./pseudo.js)
+export const DOUBLE_BRACE_PATTERN = /\{\{\s*[^{}\s]+\s*\}\}/g
+export const PRINTF_PATTERN = /%(?:\d+\$)?[-+ 0#]*(?:\d+|\*)?(?:\.\d+)?[sdifuxXoeEgGc@]/g
+export const TAG_PATTERN = /<\/?[A-Za-z][\w.:-]*(?:\s[^<>]*?)?\/?>/g
+const SIMPLE_ARGUMENT_PATTERN = /\{\s*[\w.-]+\s*\}/g
+
+// {{ count }} and {{count}} are the same placeholder
+const normalizePlaceholder = (token) => token.startsWith('{{') ? token.replace(/\s+/g, '') : token
+
+// Tags compare by name only: <a href="..."> matches <a href="...translated">
+function normalizeTag(tag) {
+  const [, slash, name] = /^<(\/?)([^\s/>]+)/.exec(tag)
+  return slash ? `</${name}>` : /\/>$/.test(tag) ? `<${name}/>` : `<${name}>`
+}
+
+/**
+ * Argument signatures of an ICU message ({name}, {count, plural}, ...), or
+ * null when it doesn't parse
+ */
+function icuArguments(message) {
+  let nodes
+  try {
+    nodes = parseMessage(message.replace(DOUBLE_BRACE_PATTERN, ''))
+  } catch {
+    return null
+  }
+
+  const found = new Set()
+  const visit = (list) => {
+    for (const node of list) {
+      if (typeof node === 'string' || node.type === 'pound') continue
+      found.add(node.type === 'argument' ? `{${node.name}}` : `{${node.name}, ${node.type}}`)
+      Object.values(node.options || {}).forEach(visit)
+    }
+  }
+  visit(nodes)
+
+  return [...found]
+}
+
+function tokens(message) {
+  const withoutEscapes = message.replace(/%%/g, '')
+
+  return {
+    placeholder: [
+      ...(message.match(DOUBLE_BRACE_PATTERN) || []).map(normalizePlaceholder),
+      ...(withoutEscapes.match(PRINTF_PATTERN) || []),
+    ],
+    tag: (message.match(TAG_PATTERN) || []).map(normalizeTag),
+  }
+}
+
+// Multiset difference: items of `a` not matched in `b`
+function difference(a, b) {
+  const rest = [...b]
+  return a.filter(item => {
+    const index = rest.indexOf(item)
+    if (index === -1) return true
+    rest.splice(index, 1)
+    return false
+  })
+}
+
+/**
+ * Placeholders, ICU arguments and tags that differ between source and translation
+ *
+ * @param {string} source
+ * @param {string} translation
+ * @returns {{ type: 'placeholder'|'icu'|'tag', missing?: string[], unexpected?: string[], error?: string }[]}
+ */
+export function findIntegrityIssues(source, translation) {
+  if (typeof source !== 'string' || typeof translation !== 'string') return []
+
+  const issues = []
+  const expected = tokens(source)
+  const actual = tokens(translation)
+
+  for (const type of ['placeholder', 'tag']) {
+    const missing = difference(expected[type], actual[type])
+    const unexpected = difference(actual[type], expected[type])
+    if (missing.length || unexpected.length) issues.push({ type, missing, unexpected })
+  }
+
+  const sourceArguments = icuArguments(source)
+  if (sourceArguments) {
+    const translationArguments = icuArguments(translation)
+
+    if (!translationArguments) {
+      issues.push({ type: 'icu', error: 'Translation is not a valid ICU message' })
+    } else {
+      const missing = sourceArguments.filter(arg => !translationArguments.includes(arg))
+      const unexpected = translationArguments.filter(arg => !sourceArguments.includes(arg))
+      if (missing.length || unexpected.length) issues.push({ type: 'icu', missing, unexpected })
+    }
+  } else {
+    // Not ICU: still compare plain {name} placeholders
+    const missing = difference(source.match(SIMPLE_ARGUMENT_PATTERN) || [], translation.match(SIMPLE_ARGUMENT_PATTERN) || [])
+    const unexpected = difference(translation.match(SIMPLE_ARGUMENT_PATTERN) || [], source.match(SIMPLE_ARGUMENT_PATTERN) || [])
+    if (missing.length || unexpected.length) issues.push({ type: 'placeholder', missing, unexpected })
+  }
+
+  return issues
+}
+
+/**
+ * The part of a message that actually gets translated: placeholders, ICU
+ * arguments and tags removed, the text of plural/select options kept
+ *
+ * @example
+ * translatableText('Hi <b>{name}</b>, {count, plural, one {# file} other {# files}}')
+ * // 'Hi , file files'
+ */
+export function translatableText(message) {
+  if (typeof message !== 'string') return ''
+
+  const text = message
+    .replace(DOUBLE_BRACE_PATTERN, '')
+    .replace(new RegExp(`%%|${PRINTF_PATTERN.source}`, 'g'), (token) => token === '%%' ? '%' : '')
+    .replace(TAG_PATTERN, '')
+
+  let nodes
+  try {
+    nodes = parseMessage(text)
+  } catch {
+    return text.replace(SIMPLE_ARGUMENT_PATTERN, '').replace(/\s+/g, ' ').trim()
+  }
+
+  const parts = []
+  const visit = (list) => {
+    for (const node of list) {
+      if (typeof node === 'string') parts.push(node)
+      else Object.values(node.options || {}).forEach(option => visit([' ', ...option, ' ']))
+    }
+  }
+  visit(nodes)
+
+  return parts.join('').replace(/\s+/g, ' ').trim()
+}
+
+const argumentName = (signature) => /^\{([^,}]+)/.exec(signature)[1]
+const argumentType = (signature) => /, (\w+)\}$/.exec(signature)?.[1] || 'argument'
+
+/**
+ * Map renamed or reformatted tokens back to the source's, in order
+ * Returns the repaired translation, or null when it can't be repaired
+ * (tokens were dropped or added, or the ICU structure is broken).
+ */
+export function repairTranslation(source, translation) {
+  let repaired = translation
+
+  for (const issue of findIntegrityIssues(source, translation)) {
+    if (!issue.missing || issue.missing.length !== issue.unexpected.length) return null
+
+    if (issue.type === 'icu') {
+      const pending = [...issue.missing]
+      for (const wrong of issue.unexpected) {
+        const index = pending.findIndex(right => argumentType(right) === argumentType(wrong))
+        if (index === -1) return null
+        const [right] = pending.splice(index, 1)
+        const name = new RegExp(`\\{\\s*${argumentName(wrong).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*(?=[,}])`, 'g')
+        repaired = repaired.replace(name, `{${argumentName(right)}`)
+      }
+      continue
+    }
+
+    const pattern = issue.type === 'tag' ? TAG_PATTERN : new RegExp(`${DOUBLE_BRACE_PATTERN.source}|${PRINTF_PATTERN.source}|${SIMPLE_ARGUMENT_PATTERN.source}`, 'g')
+    const normalize = issue.type === 'tag' ? normalizeTag : normalizePlaceholder
+    const unexpected = [...issue.unexpected]
+    const missing = [...issue.missing]
+
+    repaired = repaired.replace(pattern, (token) => {
+      const index = unexpected.indexOf(normalize(token))
+      if (index === -1) return token
+      unexpected.splice(index, 1)
+      const replacement = missing.shift()
+      // Keep the translated tag's attributes when only the name changed
+      return issue.type === 'tag' ? token.replace(/^(<\/?)[^\s/>]+/, `$1${/^<\/?([^\s/>]+)/.exec(replacement)[1]}`) : replacement
+    })
+  }
+
+  return findIntegrityIssues(source, repaired).length === 0 ? repaired : null
+}
+
+/**
+ * Check (and repair or reject) every entry of a translated message file
+ *
+ * Keys the API generated (e.g. plural forms like items_few) are compared
+ * with a source entry of the same plural group.
+ *
+ * @param {Object} source - Source messages
+ * @param {Object} translated - Translated messages for one language
+ * @param {Object} [options]
+ * @param {'flag'|'repair'|'reject'} [options.mode='flag'] - What to do with broken entries:
+ *   keep them, fix them (keeping the ones that can't be fixed), or drop them
+ * @param {string} [options.language] - Added to every report row
+ * @returns {{ messages: Object, report: { key: string, language?: string, issues: Object[],
+ *   action: 'flagged'|'repaired'|'rejected' }[] }}
+ */
+export function validateMessages(source, translated, { mode = 'flag', language } = {}) {
+  const sourceByKey = new Map()
+  const sourceByGroup = new Map()
+  for (const { path, value } of flattenMessages(source || {})) {
+    sourceByKey.set(pathToKey(path), value)
+    const group = messageGroupKey(path)
+    // Prefer the _other form as the group's reference
+    if (!sourceByGroup.has(group) || /_other$/.test(path[path.length - 1])) sourceByGroup.set(group, value)
+  }
+
+  const entries = []
+  const report = []
+
+  for (const entry of flattenMessages(translated || {})) {
+    const key = pathToKey(entry.path)
+    const reference = sourceByKey.has(key) ? sourceByKey.get(key) : sourceByGroup.get(messageGroupKey(entry.path))
+    const issues = findIntegrityIssues(reference, entry.value)
+
+    if (issues.length === 0) {
+      entries.push(entry)
+      continue
+    }
+
+    const row = { key, ...(language && { language }), issues }
+
+    if (mode === 'reject') {
+      report.push({ ...row, action: 'rejected' })
+      continue
+    }
+
+    const repaired = mode === 'repair' ? repairTranslation(reference, entry.value) : null
+    if (repaired !== null) {
+      entries.push({ path: entry.path, value: repaired })
+      report.push({ ...row, action: 'repaired' })
+    } else {
+      entries.push(entry)
+      report.push({ ...row, action: 'flagged' })
+    }
+  }
+
+  return { messages: unflattenMessages(entries), report }
+}
+
+/**
+ * validateMessages for translate() results ({ lang: [{ original, translated }] })
+ * Report keys are segment indexes; rejected segments are dropped.
+ *
+ * @param {Object} result - translate() result
+ * @param {Object} [options]
+ * @param {'flag'|'repair'|'reject'} [options.mode='flag']
+ * @returns {{ result: Object, report: Object[] }}
+ */
+export function validateTextResult(result, { mode = 'flag' } = {}) {
+  const checked = {}
+  const report = []
+
+  for (const [language, segments] of Object.entries(result)) {
+    if (!Array.isArray(segments)) {
+      checked[language] = segments
+      continue
+    }
+
+    const source = Object.fromEntries(segments.map((segment, index) => [index, segment.original]))
+    const translated = Object.fromEntries(segments.map((segment, index) => [index, segment.translated]))
+    const { messages, report: rows } = validateMessages(source, translated, { mode, language })
+
+    checked[language] = segments
+      .map((segment, index) => index in messages ? { ...segment, translated: messages[index] } : null)
+      .filter(Boolean)
+    report.push(...rows)
+  }
+
+  return { result: checked, report }
+}
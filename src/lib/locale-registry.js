@@ -0,0 +1,134 @@
+/**
+ * Locale registry: the languages the Shipi18n API translates
+ *
+ * Starts from the bundled snapshot (./locale-snapshot.js), so it works
+ * offline, and load() refills it from the API's supported-languages
+ * endpoint. The /api/translate validator, the /api/languages route and the
+ * examples' LanguageSelect all read the same registry.
+ *
+ * @example
+ * await localeRegistry.load(getSupportedLanguages)
+ * localeRegistry.search('portu')
+ * // [{ code: 'pt', name: 'Portuguese', nativeName: 'Português', region: null },
+ * //  { code: 'pt-BR', name: 'Portuguese (Brazil)', nativeName: 'Português (Brasil)', region: 'BR' }, ...]
+ */
+
+import { LANGUAGE_SNAPSHOT } from './locale-snapshot'
+
+// How long a list loaded from the API is kept before load() asks again
+export const DEFAULT_REGISTRY_MAX_AGE_MS = 24 * 60 * 60 * 1000
+
+// Case- and accent-insensitive matching: 'francais' finds 'Français'
+const fold = (text) => text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase()
+
+/**
+ * A registry entry from a snapshot row or an API language object
+ */
+function toEntry(language) {
+  const [code, name, nativeName, region] = Array.isArray(language)
+    ? language
+    : [language.code, language.name, language.nativeName, language.region]
+
+  return {
+    code,
+    name: name || code,
+    nativeName: nativeName || name || code,
+    region: region ?? /-([A-Z]{2}|\d{3})$/.exec(code)?.[1] ?? null,
+  }
+}
+
+/**
+ * Create a registry
+ *
+ * @param {Array} [languages] - Snapshot rows or { code, name, nativeName, region } objects
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - How long a loaded list is kept
+ */
+export function createLocaleRegistry(languages = LANGUAGE_SNAPSHOT, { maxAgeMs = DEFAULT_REGISTRY_MAX_AGE_MS } = {}) {
+  let entries = []
+  let byCode = new Map()
+  let source = 'snapshot'
+  let checkedAt = null
+  let loading = null
+
+  const fill = (list) => {
+    entries = list
+      .map(toEntry)
+      .filter(entry => typeof entry.code === 'string' && entry.code)
+      .sort((a, b) => a.name.localeCompare(b.name, 'en'))
+    byCode = new Map(entries.map(entry => [entry.code, entry]))
+  }
+
+  const refill = async (fetchLanguages) => {
+    try {
+      const list = await fetchLanguages()
+      if (Array.isArray(list) && list.length > 0) {
+        fill(list)
+        source = 'api'
+      }
+    } catch {
+      // Offline or no API key: keep the current list
+    }
+    checkedAt = Date.now()
+    return source
+  }
+
+  fill(languages)
+
+  return {
+    /** 'snapshot', or 'api' once load() succeeded */
+    get source() {
+      return source
+    },
+
+    /** Every entry, sorted by English name */
+    list: () => entries,
+
+    codes: () => entries.map(entry => entry.code),
+
+    get: (code) => byCode.get(code) ?? null,
+
+    has: (code) => byCode.has(code),
+
+    /**
+     * Entries matching a query on code, name or native name
+     * Exact codes come first, then names starting with the query, then
+     * codes starting with it, then names containing it.
+     */
+    search(query = '') {
+      const needle = fold(query.trim())
+      if (!needle) return entries
+
+      const ranked = []
+      for (const entry of entries) {
+        const code = entry.code.toLowerCase()
+        const names = [fold(entry.name), fold(entry.nativeName)]
+        const rank = code === needle ? 0
+          : names.some(name => name.startsWith(needle)) ? 1
+            : code.startsWith(needle) ? 2
+              : names.some(name => name.includes(needle)) ? 3
+                : -1
+        if (rank !== -1) ranked.push({ entry, rank })
+      }
+
+      return ranked.sort((a, b) => a.rank - b.rank).map(({ entry }) => entry)
+    },
+
+    /**
+     * Refill from `fetchLanguages` (e.g. getSupportedLanguages), at most
+     * once per maxAgeMs. On failure the current list is kept.
+     *
+     * @param {() => Promise<Array>} fetchLanguages
+     * @returns {Promise<'api'|'snapshot'>} Where the list now comes from
+     */
+    async load(fetchLanguages) {
+      if (checkedAt !== null && Date.now() - checkedAt < maxAgeMs) return source
+
+      loading ??= refill(fetchLanguages).finally(() => { loading = null })
+      return loading
+    },
+  }
+}
+
+// The app's registry, shared by the API routes and the example pages
+export const localeRegistry = createLocaleRegistry()
@@ -0,0 +1,150 @@
+/**
+ * Bundled snapshot of the languages the Shipi18n API translates
+ *
+ * The locale registry (./locale-registry.js) starts from this list and
+ * replaces it with the API's own when GET /api/languages can be reached.
+ * Names follow CLDR. Rows are [code, English name, native name].
+ */
+
+export const LANGUAGE_SNAPSHOT = [
+  ['af', 'Afrikaans', 'Afrikaans'],
+  ['ak', 'Akan', 'Akan'],
+  ['sq', 'Albanian', 'Shqip'],
+  ['am', 'Amharic', 'አማርኛ'],
+  ['ar', 'Arabic', 'العربية'],
+  ['hy', 'Armenian', 'Հայերեն'],
+  ['as', 'Assamese', 'অসমীয়া'],
+  ['ay', 'Aymara', 'Aymar aru'],
+  ['az', 'Azerbaijani', 'Azərbaycan'],
+  ['bm', 'Bambara', 'Bamanakan'],
+  ['eu', 'Basque', 'Euskara'],
+  ['be', 'Belarusian', 'Беларуская'],
+  ['bn', 'Bengali', 'বাংলা'],
+  ['bho', 'Bhojpuri', 'भोजपुरी'],
+  ['bs', 'Bosnian', 'Bosanski'],
+  ['bg', 'Bulgarian', 'Български'],
+  ['my', 'Burmese', 'မြန်မာ'],
+  ['ca', 'Catalan', 'Català'],
+  ['ceb', 'Cebuano', 'Binisaya'],
+  ['ckb', 'Central Kurdish', 'کوردیی ناوەندی'],
+  ['ny', 'Chichewa', 'Chichewa'],
+  ['zh', 'Chinese', '中文'],
+  ['zh-CN', 'Chinese (Simplified)', '中文（简体）'],
+  ['zh-TW', 'Chinese (Traditional)', '中文（繁體）'],
+  ['co', 'Corsican', 'Corsu'],
+  ['hr', 'Croatian', 'Hrvatski'],
+  ['cs', 'Czech', 'Čeština'],
+  ['da', 'Danish', 'Dansk'],
+  ['dv', 'Divehi', 'ދިވެހި'],
+  ['doi', 'Dogri', 'डोगरी'],
+  ['nl', 'Dutch', 'Nederlands'],
+  ['en', 'English', 'English'],
+  ['en-GB', 'English (United Kingdom)', 'English (United Kingdom)'],
+  ['en-US', 'English (United States)', 'English (United States)'],
+  ['eo', 'Esperanto', 'Esperanto'],
+  ['et', 'Estonian', 'Eesti'],
+  ['ee', 'Ewe', 'Eʋegbe'],
+  ['fil', 'Filipino', 'Filipino'],
+  ['fi', 'Finnish', 'Suomi'],
+  ['fr', 'French', 'Français'],
+  ['fr-CA', 'French (Canada)', 'Français (Canada)'],
+  ['gl', 'Galician', 'Galego'],
+  ['lg', 'Ganda', 'Luganda'],
+  ['ka', 'Georgian', 'Ქართული'],
+  ['de', 'German', 'Deutsch'],
+  ['el', 'Greek', 'Ελληνικά'],
+  ['gn', 'Guarani', 'Avañeʼẽ'],
+  ['gu', 'Gujarati', 'ગુજરાતી'],
+  ['ht', 'Haitian Creole', 'Kreyòl ayisyen'],
+  ['ha', 'Hausa', 'Hausa'],
+  ['haw', 'Hawaiian', 'ʻŌlelo Hawaiʻi'],
+  ['he', 'Hebrew', 'עברית'],
+  ['hi', 'Hindi', 'हिन्दी'],
+  ['hmn', 'Hmong', 'Hmoob'],
+  ['hu', 'Hungarian', 'Magyar'],
+  ['is', 'Icelandic', 'Íslenska'],
+  ['ig', 'Igbo', 'Asụsụ Igbo'],
+  ['ilo', 'Ilocano', 'Ilokano'],
+  ['id', 'Indonesian', 'Indonesia'],
+  ['ga', 'Irish', 'Gaeilge'],
+  ['it', 'Italian', 'Italiano'],
+  ['ja', 'Japanese', '日本語'],
+  ['jv', 'Javanese', 'Jawa'],
+  ['kn', 'Kannada', 'ಕನ್ನಡ'],
+  ['kk', 'Kazakh', 'Қазақ тілі'],
+  ['km', 'Khmer', 'ខ្មែរ'],
+  ['rw', 'Kinyarwanda', 'Ikinyarwanda'],
+  ['gom', 'Konkani', 'कोंकणी'],
+  ['ko', 'Korean', '한국어'],
+  ['kri', 'Krio', 'Krio'],
+  ['ku', 'Kurdish', 'Kurdî (kurmancî)'],
+  ['ky', 'Kyrgyz', 'Кыргызча'],
+  ['lo', 'Lao', 'ລາວ'],
+  ['la', 'Latin', 'Latina'],
+  ['lv', 'Latvian', 'Latviešu'],
+  ['ln', 'Lingala', 'Lingála'],
+  ['lt', 'Lithuanian', 'Lietuvių'],
+  ['lb', 'Luxembourgish', 'Lëtzebuergesch'],
+  ['mk', 'Macedonian', 'Македонски'],
+  ['mai', 'Maithili', 'मैथिली'],
+  ['mg', 'Malagasy', 'Malagasy'],
+  ['ms', 'Malay', 'Melayu'],
+  ['ml', 'Malayalam', 'മലയാളം'],
+  ['mt', 'Maltese', 'Malti'],
+  ['mni', 'Manipuri', 'মৈতৈলোন্'],
+  ['mi', 'Māori', 'Māori'],
+  ['mr', 'Marathi', 'मराठी'],
+  ['lus', 'Mizo', 'Mizo ṭawng'],
+  ['mn', 'Mongolian', 'Монгол'],
+  ['ne', 'Nepali', 'नेपाली'],
+  ['nso', 'Northern Sotho', 'Sesotho sa Leboa'],
+  ['nb', 'Norwegian Bokmål', 'Norsk bokmål'],
+  ['or', 'Odia', 'ଓଡ଼ିଆ'],
+  ['om', 'Oromo', 'Oromoo'],
+  ['ps', 'Pashto', 'پښتو'],
+  ['fa', 'Persian', 'فارسی'],
+  ['pl', 'Polish', 'Polski'],
+  ['pt', 'Portuguese', 'Português'],
+  ['pt-BR', 'Portuguese (Brazil)', 'Português (Brasil)'],
+  ['pt-PT', 'Portuguese (Portugal)', 'Português (Portugal)'],
+  ['pa', 'Punjabi', 'ਪੰਜਾਬੀ'],
+  ['qu', 'Quechua', 'Runasimi'],
+  ['ro', 'Romanian', 'Română'],
+  ['ru', 'Russian', 'Русский'],
+  ['sm', 'Samoan', 'Gagana Samoa'],
+  ['sa', 'Sanskrit', 'संस्कृत भाषा'],
+  ['gd', 'Scottish Gaelic', 'Gàidhlig'],
+  ['sr', 'Serbian', 'Српски'],
+  ['sn', 'Shona', 'ChiShona'],
+  ['sd', 'Sindhi', 'سنڌي'],
+  ['si', 'Sinhala', 'සිංහල'],
+  ['sk', 'Slovak', 'Slovenčina'],
+  ['sl', 'Slovenian', 'Slovenščina'],
+  ['so', 'Somali', 'Soomaali'],
+  ['st', 'Southern Sotho', 'Sesotho'],
+  ['es', 'Spanish', 'Español'],
+  ['es-MX', 'Spanish (Mexico)', 'Español (México)'],
+  ['su', 'Sundanese', 'Basa Sunda'],
+  ['sw', 'Swahili', 'Kiswahili'],
+  ['sv', 'Swedish', 'Svenska'],
+  ['tg', 'Tajik', 'Тоҷикӣ'],
+  ['ta', 'Tamil', 'தமிழ்'],
+  ['tt', 'Tatar', 'Татар'],
+  ['te', 'Telugu', 'తెలుగు'],
+  ['th', 'Thai', 'ไทย'],
+  ['ti', 'Tigrinya', 'ትግርኛ'],
+  ['ts', 'Tsonga', 'Xitsonga'],
+  ['tr', 'Turkish', 'Türkçe'],
+  ['tk', 'Turkmen', 'Türkmen dili'],
+  ['uk', 'Ukrainian', 'Українська'],
+  ['ur', 'Urdu', 'اردو'],
+  ['ug', 'Uyghur', 'ئۇيغۇرچە'],
+  ['uz', 'Uzbek', 'O‘zbek'],
+  ['vi', 'Vietnamese', 'Tiếng Việt'],
+  ['cy', 'Welsh', 'Cymraeg'],
+  ['fy', 'Western Frisian', 'Frysk'],
+  ['xh', 'Xhosa', 'IsiXhosa'],
+  ['yi', 'Yiddish', 'ייִדיש'],
+  ['yo', 'Yoruba', 'Èdè Yorùbá'],
+  ['zu', 'Zulu', 'IsiZulu'],
+]
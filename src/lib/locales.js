@@ -0,0 +1,79 @@
+/**
+ * Locales this app is served in
+ *
+ * The middleware routes every page to /<locale>/..., and the root layout
+ * reads the locale from the URL to set <html lang> and dir. getLocaleInfo()
+ * adds names (from the locale registry), direction and plural categories.
+ */
+
+import { pluralCategories } from './formats/plurals'
+import { PSEUDO_RTL_LANGUAGE } from './pseudo'
+import { localeRegistry } from './locale-registry'
+
+export const DEFAULT_LOCALE = 'en'
+
+export const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de', 'ja', 'zh', 'ko', 'pt', 'it', 'ar', 'he', 'fa']
+
+// Languages written right-to-left (matched on the language subtag)
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'yi', 'dv', 'ckb', 'sd', 'ug']
+
+const languageOf = (locale) => String(locale).split(/[-_]/)[0].toLowerCase()
+
+/**
+ * generateStaticParams for [locale] routes: one entry per supported locale
+ *
+ * Pass `generate` to prerender a nested dynamic segment too: it gets a
+ * locale and returns that segment's params for it. Under a layout that
+ * already generates the locales, only the parent's locale is used.
+ *
+ * @example
+ * // app/[locale]/layout.js
+ * export const generateStaticParams = localeStaticParams()
+ *
+ * // app/[locale]/blog/[slug]/page.js
+ * export const generateStaticParams = localeStaticParams(async (locale) =>
+ *   (await getPosts(locale)).map(post => ({ slug: post.slug })))
+ */
+export function localeStaticParams(generate) {
+  return async function generateStaticParams({ params } = {}) {
+    const locales = params?.locale ? [params.locale] : SUPPORTED_LOCALES
+    const perLocale = await Promise.all(locales.map(async locale =>
+      generate ? (await generate(locale)).map(segment => ({ locale, ...segment })) : [{ locale }]
+    ))
+    return perLocale.flat()
+  }
+}
+
+/**
+ * Text direction for a locale: 'rtl' or 'ltr'
+ */
+export function getDirection(locale) {
+  if (locale === PSEUDO_RTL_LANGUAGE) return 'rtl'
+  return RTL_LANGUAGES.includes(languageOf(locale)) ? 'rtl' : 'ltr'
+}
+
+/**
+ * Names, region, text direction and CLDR plural categories of a locale
+ * Names come from the locale registry, falling back to the language
+ * subtag's entry (then to the code itself).
+ *
+ * @example
+ * getLocaleInfo('ar')
+ * // { code: 'ar', name: 'Arabic', nativeName: 'العربية', region: null, direction: 'rtl',
+ * //   pluralCategories: ['zero', 'one', 'two', 'few', 'many', 'other'] }
+ *
+ * @returns {{ code: string, name: string, nativeName: string, region: string|null,
+ *   direction: 'ltr'|'rtl', pluralCategories: string[] }}
+ */
+export function getLocaleInfo(locale) {
+  const entry = localeRegistry.get(locale) || localeRegistry.get(languageOf(locale))
+
+  return {
+    code: locale,
+    name: entry?.name ?? locale,
+    nativeName: entry?.nativeName ?? locale,
+    region: entry?.code === locale ? entry.region : null,
+    direction: getDirection(locale),
+    pluralCategories: pluralCategories(locale),
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Helpers for nested locale message objects
+ *
+ * Locale files are nested objects of strings. These helpers flatten them to
+ * key paths, rebuild them and split them into chunks that keep paths intact.
+ */
+
+// i18next plural suffixes - keys sharing a base must be translated together
+const PLURAL_SUFFIX = /_(zero|one|two|few|many|other)$/
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Join a key path for display, e.g. ['app', 'title'] -> 'app.title'
+ */
+export const pathToKey = (path) => path.join('.')
+
+/**
+ * Group key for a path: plural forms of the same key share a group
+ * ['cart', 'item_one'] and ['cart', 'item_other'] -> '["cart","item"]'
+ */
+export function messageGroupKey(path) {
+  const last = path[path.length - 1]
+  return JSON.stringify([...path.slice(0, -1), last.replace(PLURAL_SUFFIX, '')])
+}
+
+/**
+ * Flatten nested messages into [{ path, value }] leaf entries, in file order
+ * Arrays are treated as leaf values.
+ */
+export function flattenMessages(messages, prefix = []) {
+  const entries = []
+
+  for (const [key, value] of Object.entries(messages)) {
+    const path = [...prefix, key]
+
+    if (isPlainObject(value)) {
+      entries.push(...flattenMessages(value, path))
+    } else {
+      entries.push({ path, value })
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Rebuild nested messages from [{ path, value }] entries
+ */
+export function unflattenMessages(entries) {
+  const messages = {}
+
+  for (const { path, value } of entries) {
+    let node = messages
+    for (const key of path.slice(0, -1)) {
+      if (!isPlainObject(node[key])) node[key] = {}
+      node = node[key]
+    }
+    node[path[path.length - 1]] = value
+  }
+
+  return messages
+}
+
+/**
+ * Deep merge `source` into `target` (mutates and returns `target`)
+ */
+export function mergeMessages(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeMessages(target[key], value)
+    } else {
+      target[key] = value
+    }
+  }
+
+  return target
+}
+
+/**
+ * Put messages in the key order of `template` (usually the source file)
+ * Plural forms stay with their group; keys the template doesn't have go last.
+ */
+export function orderMessages(messages, template) {
+  const groupOrder = new Map()
+  for (const { path } of flattenMessages(template)) {
+    const group = messageGroupKey(path)
+    if (!groupOrder.has(group)) groupOrder.set(group, groupOrder.size)
+  }
+
+  const position = ({ path }) => groupOrder.get(messageGroupKey(path)) ?? groupOrder.size
+  return unflattenMessages(flattenMessages(messages).sort((a, b) => position(a) - position(b)))
+}
+
+/**
+ * Split messages into chunks of at most `maxChars` serialized characters
+ *
+ * Each chunk is a nested object with the original key paths. Plural forms
+ * of a key (item_one, item_other, ...) always land in the same chunk so the
+ * API can generate the missing forms. A group larger than `maxChars` gets a
+ * chunk of its own.
+ *
+ * @param {Object} messages - Nested messages
+ * @param {Object} options
+ * @param {number} options.maxChars - Size budget per chunk
+ * @returns {Object[]} Nested message chunks
+ */
+export function chunkMessages(messages, { maxChars }) {
+  const groups = []
+  const groupIndex = new Map()
+
+  for (const entry of flattenMessages(messages)) {
+    const groupKey = messageGroupKey(entry.path)
+
+    if (!groupIndex.has(groupKey)) {
+      groupIndex.set(groupKey, groups.length)
+      groups.push({ entries: [], size: 0 })
+    }
+
+    const group = groups[groupIndex.get(groupKey)]
+    group.entries.push(entry)
+    group.size += JSON.stringify(entry).length
+  }
+
+  const chunks = []
+  let current = { entries: [], size: 0 }
+
+  for (const group of groups) {
+    if (current.entries.length > 0 && current.size + group.size > maxChars) {
+      chunks.push(current.entries)
+      current = { entries: [], size: 0 }
+    }
+    current.entries.push(...group.entries)
+    current.size += group.size
+  }
+
+  if (current.entries.length > 0) chunks.push(current.entries)
+
+  return chunks.map(unflattenMessages)
+}
+
+/**
+ * Short, stable hash of a string (cyrb53), as 14 hex characters
+ * Not cryptographic - only used to notice changed source strings.
+ */
+export function hashString(value) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+
+  return (h2 >>> 0).toString(16).padStart(8, '0').slice(-6) + (h1 >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Lockfile of source-string hashes: { 'app.title': '<hash>', ... }
+ *
+ * Store it next to the translated files after a successful run and pass it
+ * to translateLocaleFile({ lockfile }) so changed strings get re-translated.
+ */
+export function hashMessages(messages) {
+  const hashes = {}
+
+  for (const { path, value } of flattenMessages(messages)) {
+    hashes[pathToKey(path)] = hashString(JSON.stringify(value))
+  }
+
+  return hashes
+}
+
+/**
+ * Compare source messages with an existing translation
+ *
+ * - added: source keys missing from the translation
+ * - changed: source keys whose hash differs from the lockfile
+ * - removed: translated keys with no source counterpart (generated plural
+ *   forms of a source key are not counted as removed)
+ * - stale: group keys (see messageGroupKey) that need translating
+ *
+ * @param {Object} source - Source messages
+ * @param {Object} [translation] - Existing translated messages
+ * @param {Object} [lockfile] - Source hashes from the last run (see hashMessages)
+ */
+export function diffMessages(source, translation, lockfile) {
+  const sourceEntries = flattenMessages(source)
+  const sourceGroups = new Set(sourceEntries.map(({ path }) => messageGroupKey(path)))
+  const translatedEntries = translation ? flattenMessages(translation) : []
+  const translatedKeys = new Set(translatedEntries.map(({ path }) => pathToKey(path)))
+  const sourceHashes = lockfile ? hashMessages(source) : null
+  const diff = { added: [], changed: [], removed: [], stale: new Set() }
+
+  for (const { path } of sourceEntries) {
+    const key = pathToKey(path)
+
+    if (!translatedKeys.has(key)) {
+      diff.added.push(key)
+    } else if (sourceHashes && lockfile[key] !== sourceHashes[key]) {
+      diff.changed.push(key)
+    } else {
+      continue
+    }
+    diff.stale.add(messageGroupKey(path))
+  }
+
+  for (const { path } of translatedEntries) {
+    if (!sourceGroups.has(messageGroupKey(path))) diff.removed.push(pathToKey(path))
+  }
+
+  return diff
+}
@@ -0,0 +1,126 @@
+/**
+ * Locale detection and routing middleware for Next.js
+ *
+ * Pages live under /<locale>/... . Requests without a locale prefix are
+ * redirected (or rewritten) to the best locale, picked from:
+ *   1. the locale cookie (set whenever a prefixed URL is visited)
+ *   2. the Accept-Language header, by q-weight
+ *   3. the default locale
+ *
+ * @example
+ * // src/middleware.js
+ * import { createI18nMiddleware } from '@/lib/middleware'
+ *
+ * export const middleware = createI18nMiddleware({
+ *   locales: ['en', 'es', 'fr'],
+ *   defaultLocale: 'en',
+ * })
+ *
+ * export const config = { matcher: ['/((?!api|_next|.*\\..*).*)'] }
+ */
+
+import { NextResponse } from 'next/server'
+
+const ONE_YEAR = 60 * 60 * 24 * 365
+
+/**
+ * Parse an Accept-Language header into language tags, best first
+ * 'fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5' -> ['fr-CH', 'fr', 'en', '*']
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) return []
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';')
+      const qParam = params.find(param => param.trim().startsWith('q='))
+      const q = qParam ? Number(qParam.trim().slice(2)) : 1
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index }
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    // Equal weights keep header order
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag)
+}
+
+/**
+ * Best supported locale for a list of requested language tags, or null
+ *
+ * Tries an exact (case-insensitive) match first, then the same language
+ * with any region: 'pt-BR' matches 'pt', and 'pt' matches 'pt-BR'.
+ */
+export function negotiateLocale(requested, locales) {
+  const lower = locales.map(locale => locale.toLowerCase())
+  const base = (tag) => tag.toLowerCase().split(/[-_]/)[0]
+
+  for (const tag of requested) {
+    if (tag === '*') continue
+
+    const exact = lower.indexOf(tag.toLowerCase())
+    if (exact !== -1) return locales[exact]
+
+    const sameLanguage = lower.findIndex(locale => base(locale) === base(tag))
+    if (sameLanguage !== -1) return locales[sameLanguage]
+  }
+
+  return null
+}
+
+/**
+ * Supported locale in the first path segment, or null
+ */
+export function getPathLocale(pathname, locales) {
+  const segment = pathname.split('/')[1]?.toLowerCase()
+  return locales.find(locale => locale.toLowerCase() === segment) || null
+}
+
+/**
+ * Locale for a request without a locale prefix
+ */
+export function detectLocale(request, { locales, defaultLocale, cookieName }) {
+  const cookieLocale = request.cookies.get(cookieName)?.value
+  if (cookieLocale && locales.includes(cookieLocale)) return cookieLocale
+
+  const requested = parseAcceptLanguage(request.headers.get('accept-language'))
+  return negotiateLocale(requested, locales) || defaultLocale
+}
+
+/**
+ * Create the locale middleware
+ *
+ * @param {Object} options
+ * @param {string[]} options.locales - Supported locales
+ * @param {string} options.defaultLocale - Fallback locale
+ * @param {string} [options.cookieName='NEXT_LOCALE'] - Cookie remembering the user's locale
+ * @param {'redirect'|'rewrite'} [options.strategy='redirect'] - Redirect to /<locale>/... or rewrite in place
+ */
+export function createI18nMiddleware({
+  locales,
+  defaultLocale,
+  cookieName = 'NEXT_LOCALE',
+  strategy = 'redirect',
+}) {
+  if (!locales?.includes(defaultLocale)) {
+    throw new Error(`defaultLocale "${defaultLocale}" must be one of the supported locales`)
+  }
+
+  return function middleware(request) {
+    const { pathname } = request.nextUrl
+    const pathLocale = getPathLocale(pathname, locales)
+
+    if (pathLocale) {
+      const response = NextResponse.next()
+      if (request.cookies.get(cookieName)?.value !== pathLocale) {
+        response.cookies.set(cookieName, pathLocale, { path: '/', maxAge: ONE_YEAR, sameSite: 'lax' })
+      }
+      return response
+    }
+
+    const locale = detectLocale(request, { locales, defaultLocale, cookieName })
+    const url = request.nextUrl.clone()
+    url.pathname = `/${locale}${pathname === '/' ? '' : pathname}`
+
+    return strategy === 'rewrite' ? NextResponse.rewrite(url) : NextResponse.redirect(url)
+  }
+}
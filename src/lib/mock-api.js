@@ -0,0 +1,218 @@
+/**
+ * Offline stand-in for the Shipi18n API
+ *
+ * Answers POST /api/translate, GET /api/languages (the bundled snapshot)
+ * and GET /api/health like the real API, with
+ * deterministic pseudo-translations: every string becomes "[es] Hello",
+ * placeholders and tags untouched, and plural keys get the target
+ * language's missing forms. No API key is needed.
+ *
+ * Select it with SHIPI18N_API_URL=mock, for local development without a
+ * key and for offline E2E runs. Latency and failures can be injected with
+ * SHIPI18N_MOCK_LATENCY_MS, SHIPI18N_MOCK_ERROR_RATE, SHIPI18N_MOCK_ERROR_STATUS
+ * and SHIPI18N_MOCK_FAIL_LANGUAGES, or in tests with
+ * setConfig({ apiUrl: 'mock', mock: { ... } }).
+ *
+ * @example
+ * const mockFetch = createMockFetch({ latencyMs: [50, 200], failLanguages: ['ja'] })
+ * const response = await mockFetch('mock/api/translate', {
+ *   method: 'POST',
+ *   body: JSON.stringify({ text: 'Hello', targetLanguages: ['es'] }),
+ * })
+ * // { es: [{ original: 'Hello', translated: '[es] Hello' }] }
+ */
+
+import { PLURAL_CATEGORIES, pluralCategories } from './formats/plurals'
+import { LANGUAGE_SNAPSHOT } from './locale-snapshot'
+
+export const MOCK_API_URL = 'mock'
+
+const PLURAL_KEY_PATTERN = new RegExp(`^(.*)_(${PLURAL_CATEGORIES.join('|')})$`)
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Pseudo-translation of one string: "[es] Hello {name}"
+ */
+export const mockTranslate = (text, language) => `[${language}] ${text}`
+
+/**
+ * Pseudo-translate every string of a messages object
+ * With `pluralize`, each plural group (item_one, item_other) gains the
+ * language's other forms, copied from its `_other` form.
+ */
+function translateMessages(value, language, pluralize) {
+  if (typeof value === 'string') return mockTranslate(value, language)
+  if (Array.isArray(value)) return value.map(item => translateMessages(item, language, pluralize))
+  if (!isObject(value)) return value
+
+  const result = {}
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = translateMessages(child, language, pluralize)
+  }
+  if (!pluralize) return result
+
+  for (const key of Object.keys(value)) {
+    const [, base, category] = PLURAL_KEY_PATTERN.exec(key) || []
+    if (category !== 'other' || typeof value[key] !== 'string') continue
+
+    for (const form of pluralCategories(language)) {
+      result[`${base}_${form}`] ??= result[key]
+    }
+  }
+
+  return result
+}
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+})
+
+function abortError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new DOMException('The operation was aborted.', 'AbortError')
+}
+
+// Waits like a slow network would, rejecting when the caller aborts
+function delay(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError(signal))
+  if (ms <= 0) return Promise.resolve()
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortError(signal))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * A fetch-compatible function that serves the mock API
+ *
+ * @param {Object} [options]
+ * @param {number|number[]} [options.latencyMs=0] - Delay per request, or a [min, max] range
+ * @param {number} [options.errorRate=0] - Share of requests (0-1) that fail with `errorStatus`
+ * @param {number} [options.errorStatus=503] - Status of injected failures
+ * @param {string[]} [options.failLanguages] - Requests for any of these languages fail
+ * @param {() => number} [options.random=Math.random] - Random source, for reproducible runs
+ * @returns {(url: string, init?: Object) => Promise<Response>}
+ */
+export function createMockFetch({
+  latencyMs = 0,
+  errorRate = 0,
+  errorStatus = 503,
+  failLanguages = [],
+  random = Math.random,
+} = {}) {
+  let requestCount = 0
+
+  const latency = () => Array.isArray(latencyMs)
+    ? latencyMs[0] + random() * (latencyMs[1] - latencyMs[0])
+    : latencyMs
+
+  const injectedError = (language) => json(
+    {
+      message: language ? `Mock failure for "${language}"` : 'Mock failure',
+      code: errorStatus === 429 ? 'RATE_LIMITED' : 'MOCK_FAILURE',
+    },
+    errorStatus,
+    errorStatus === 429 || errorStatus === 503 ? { 'Retry-After': '1' } : {}
+  )
+
+  return async function mockFetch(url, { method = 'GET', body, signal } = {}) {
+    const requestId = `mock-${++requestCount}`
+    await delay(latency(), signal)
+
+    const { pathname } = new URL(url, 'http://mock')
+    const respond = (response) => {
+      response.headers.set('X-Request-Id', requestId)
+      return response
+    }
+
+    if (pathname.endsWith('/api/health') && method === 'GET') {
+      return respond(json({ status: 'ok', mock: true }))
+    }
+
+    if (pathname.endsWith('/api/languages') && method === 'GET') {
+      const languages = LANGUAGE_SNAPSHOT.map(([code, name, nativeName]) => ({ code, name, nativeName }))
+      return respond(json({ languages }))
+    }
+
+    if (!pathname.endsWith('/api/translate') || method !== 'POST') {
+      return respond(json({ message: `No mock for ${method} ${pathname}`, code: 'NOT_FOUND' }, 404))
+    }
+
+    let request
+    try {
+      request = JSON.parse(body)
+    } catch {
+      return respond(json({ message: 'Request body must be valid JSON', code: 'VALIDATION_FAILED' }, 400))
+    }
+
+    const { text, targetLanguages, outputFormat, enablePluralization = true } = request
+    if (typeof text !== 'string' || !text) {
+      return respond(json({ message: 'Text is required', code: 'VALIDATION_FAILED' }, 400))
+    }
+    if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+      return respond(json({ message: 'At least one target language is required', code: 'VALIDATION_FAILED' }, 400))
+    }
+
+    const failing = targetLanguages.find(language => failLanguages.includes(language))
+    if (failing || random() < errorRate) return respond(injectedError(failing))
+
+    let messages = null
+    if (outputFormat === 'json') {
+      try {
+        messages = JSON.parse(text)
+      } catch {
+        return respond(json({ message: 'Text is not valid JSON', code: 'VALIDATION_FAILED' }, 400))
+      }
+    }
+
+    const result = Object.fromEntries(targetLanguages.map(language => [
+      language,
+      messages === null
+        ? [{ original: text, translated: mockTranslate(text, language) }]
+        : translateMessages(messages, language, enablePluralization),
+    ]))
+
+    return respond(json(result))
+  }
+}
+
+/**
+ * Mock options from SHIPI18N_MOCK_* environment variables
+ * SHIPI18N_MOCK_LATENCY_MS is a number of milliseconds or a "min-max" range.
+ */
+export function mockOptionsFromEnv(env = process.env) {
+  const options = {}
+
+  const latency = env.SHIPI18N_MOCK_LATENCY_MS?.split('-').map(Number)
+  if (latency?.every(Number.isFinite)) options.latencyMs = latency.length === 2 ? latency : latency[0]
+  if (env.SHIPI18N_MOCK_ERROR_RATE) options.errorRate = Number(env.SHIPI18N_MOCK_ERROR_RATE)
+  if (env.SHIPI18N_MOCK_ERROR_STATUS) options.errorStatus = Number(env.SHIPI18N_MOCK_ERROR_STATUS)
+  if (env.SHIPI18N_MOCK_FAIL_LANGUAGES) {
+    options.failLanguages = env.SHIPI18N_MOCK_FAIL_LANGUAGES.split(',').map(lang => lang.trim()).filter(Boolean)
+  }
+
+  return options
+}
+
+const mocksByOptions = new WeakMap()
+let envMock = null
+
+/**
+ * The mock fetch for a config: one per `mock` options object, or one shared
+ * instance configured from the environment
+ */
+export function getMockFetch(options) {
+  if (!options) return (envMock ??= createMockFetch(mockOptionsFromEnv()))
+
+  if (!mocksByOptions.has(options)) mocksByOptions.set(options, createMockFetch(options))
+  return mocksByOptions.get(options)
+}
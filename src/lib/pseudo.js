@@ -0,0 +1,149 @@
+/**
+ * Pseudo-localization: fake translations for layout and i18n testing
+ *
+ * The `pseudo` target language never reaches the API. Every message is
+ * accented, padded by about a third and wrapped in brackets, so hardcoded
+ * strings (no accents), truncation (no closing bracket) and concatenation
+ * stand out before paying for real translations. `pseudo-x-rtl` also
+ * mirrors the text with bidi overrides to test right-to-left layouts.
+ *
+ * Placeholders ({{name}}, %s), tags and ICU arguments are kept as they are;
+ * only the option text of plural/select arguments is pseudo-localized.
+ *
+ * @example
+ * pseudoLocalize('Hello <b>{name}</b>!')
+ * // '[Ĥéļļö <b>{name}</b>! ļö]'
+ */
+
+import { DOUBLE_BRACE_PATTERN, PRINTF_PATTERN, TAG_PATTERN } from './integrity'
+
+export const PSEUDO_LANGUAGE = 'pseudo'
+// A private-use subtag keeps the tag valid BCP-47, so Intl APIs accept it
+export const PSEUDO_RTL_LANGUAGE = 'pseudo-x-rtl'
+export const PSEUDO_LANGUAGES = [PSEUDO_LANGUAGE, PSEUDO_RTL_LANGUAGE]
+
+export const isPseudoLanguage = (language) => PSEUDO_LANGUAGES.includes(language)
+
+const ACCENTS = Object.fromEntries(
+  [...'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'].map((char, index) => [
+    char,
+    [...'ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽåƀçđéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýž'][index],
+  ])
+)
+
+// Padding text, so expanded strings still wrap like words
+const FILLER = 'ļöŕéɱ îþšûɱ đöļöŕ šîţ åɱéţ '
+
+const RIGHT_TO_LEFT_OVERRIDE = '\u202E'
+const POP_DIRECTIONAL_FORMATTING = '\u202C'
+
+// Copied verbatim: %% escapes, placeholders, tags and HTML entities
+const PROTECTED_PATTERN = new RegExp(
+  `%%|${DOUBLE_BRACE_PATTERN.source}|${PRINTF_PATTERN.source}|${TAG_PATTERN.source}|&(?:#\\d+|#x[\\da-fA-F]+|[A-Za-z]\\w*);`,
+  'y'
+)
+
+// "{count, plural," - arguments whose options hold text
+const ICU_OPTIONS_HEADER = /^\s*[\w.-]+\s*,\s*(?:plural|selectordinal|select)\s*,/
+
+// Index of the "}" closing the "{" at `start`, or -1
+function closingBrace(text, start) {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++
+    else if (text[i] === '}' && --depth === 0) return i
+  }
+  return -1
+}
+
+function localizeText(text, state) {
+  let result = ''
+  let i = 0
+
+  while (i < text.length) {
+    PROTECTED_PATTERN.lastIndex = i
+    const token = PROTECTED_PATTERN.exec(text)
+    if (token) {
+      result += token[0]
+      i += token[0].length
+      continue
+    }
+
+    const end = text[i] === '{' ? closingBrace(text, i) : -1
+    if (end !== -1) {
+      result += localizeArgument(text.slice(i + 1, end), state)
+      i = end + 1
+      continue
+    }
+
+    if (/\S/.test(text[i])) state.characters++
+    result += ACCENTS[text[i]] ?? text[i]
+    i++
+  }
+
+  return result
+}
+
+// {name} and {n, number} stay as they are; plural/select options are localized
+function localizeArgument(inner, state) {
+  const header = ICU_OPTIONS_HEADER.exec(inner)
+  if (!header) return `{${inner}}`
+
+  let result = header[0]
+  let i = header[0].length
+
+  while (i < inner.length) {
+    const end = inner[i] === '{' ? closingBrace(inner, i) : -1
+    if (end === -1) {
+      result += inner[i++]
+      continue
+    }
+    result += `{${localizeText(inner.slice(i + 1, end), state)}}`
+    i = end + 1
+  }
+
+  return `{${result}}`
+}
+
+/**
+ * Pseudo-localize one message
+ *
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {number} [options.expansion=0.35] - Padding, as a share of the text's length
+ * @param {boolean} [options.brackets=true] - Wrap the message in [ ]
+ * @param {boolean} [options.rtl=false] - Mirror the text with a right-to-left override
+ * @returns {string}
+ */
+export function pseudoLocalize(message, { expansion = 0.35, brackets = true, rtl = false } = {}) {
+  if (typeof message !== 'string' || !message) return message
+
+  const state = { characters: 0 }
+  let result = localizeText(message, state)
+
+  const padding = Math.ceil(state.characters * expansion)
+  if (padding > 1) {
+    result += ` ${FILLER.repeat(Math.ceil(padding / FILLER.length)).slice(0, padding - 1).trimEnd()}`
+  }
+  if (rtl) result = `${RIGHT_TO_LEFT_OVERRIDE}${result}${POP_DIRECTIONAL_FORMATTING}`
+
+  return brackets ? `[${result}]` : result
+}
+
+/**
+ * Pseudo-localize every string of a messages object, keeping its structure
+ */
+export function pseudoLocalizeMessages(messages, options) {
+  if (typeof messages === 'string') return pseudoLocalize(messages, options)
+  if (Array.isArray(messages)) return messages.map(item => pseudoLocalizeMessages(item, options))
+  if (messages === null || typeof messages !== 'object') return messages
+
+  return Object.fromEntries(
+    Object.entries(messages).map(([key, value]) => [key, pseudoLocalizeMessages(value, options)])
+  )
+}
+
+/**
+ * pseudoLocalize options for a pseudo language
+ */
+export const pseudoOptions = (language) => ({ rtl: language === PSEUDO_RTL_LANGUAGE })
@@ -0,0 +1,238 @@
+/**
+ * Per-client rate limiting and daily character quotas for API routes
+ *
+ * Each client (by IP, session cookie, API token or a custom key) gets a token
+ * bucket of `limit` requests per `windowMs`, plus an optional daily budget of
+ * translated characters. State lives in a store: any object with async
+ * `get(key)`, `set(key, value, ttlMs)` and `update(key, fn, ttlMs)` methods,
+ * so the in-memory store can be swapped for Redis or a database when running
+ * more than one instance. `update` must be atomic per key - concurrent
+ * requests would otherwise all start from the same count - e.g. a Lua script
+ * or WATCH/MULTI retry loop in Redis, which may call `fn` more than once.
+ *
+ * Clients are told apart by IP. X-Forwarded-For is only trusted for as many
+ * hops as there are proxies in front of the app (`trustedProxies`), since a
+ * client can send any value it likes.
+ *
+ * @example
+ * const rateLimiter = createRateLimiter({ limit: 10, windowMs: 60_000, dailyCharacters: 50_000 })
+ *
+ * const result = await rateLimiter.check(request, { characters: 120 })
+ * if (!result.allowed) return Response.json(..., { status: 429, headers: rateLimitHeaders(result) })
+ */
+
+import { hashString } from './messages'
+import { SESSION_COOKIE } from './session'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * In-memory store (per server instance)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=10000] - Expired entries are swept beyond this size
+ */
+export function createMemoryStore({ maxEntries = 10000 } = {}) {
+  const entries = new Map()
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key)
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return undefined
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key)
+        return undefined
+      }
+      return entry.value
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+      if (entries.size > maxEntries) sweep(Date.now())
+    },
+
+    /**
+     * Replace a value with `fn(current)` and return it
+     * Reading and writing happen without an await in between, so concurrent
+     * updates of a key apply one after the other.
+     */
+    async update(key, fn, ttlMs) {
+      const now = Date.now()
+      const entry = entries.get(key)
+      const value = fn(entry && entry.expiresAt > now ? entry.value : undefined)
+
+      entries.set(key, { value, expiresAt: now + ttlMs })
+      if (entries.size > maxEntries) sweep(now)
+      return value
+    },
+  }
+}
+
+/**
+ * Client IP, or 'unknown'
+ *
+ * Uses the platform's `request.ip` when there is one. Otherwise, with
+ * `trustedProxies` proxies in front of the app, the address the outermost
+ * of them saw: X-Forwarded-For counted from the right, skipping the hops
+ * added by the other proxies. Anything further left was written by the
+ * client, so it is never used.
+ *
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {number} [options.trustedProxies=0] - Proxies that append to X-Forwarded-For
+ */
+export function getClientIp(request, { trustedProxies = 0 } = {}) {
+  if (request.ip) return request.ip
+  if (trustedProxies < 1) return 'unknown'
+
+  const hops = (request.headers.get('x-forwarded-for') || '').split(',').map(hop => hop.trim()).filter(Boolean)
+  if (hops.length > 0) return hops[Math.max(0, hops.length - trustedProxies)]
+
+  return request.headers.get('x-real-ip') || 'unknown'
+}
+
+function readCookie(request, name) {
+  const header = request.headers.get('cookie') || ''
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`))
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null
+}
+
+/**
+ * Key a request by 'ip', 'session' (cookie), 'token' (Authorization bearer,
+ * else the session cookie, for routes that take both) or a custom function.
+ * Session and token fall back to the IP when missing.
+ *
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {'ip'|'session'|'token'|Function} [options.keyBy='ip']
+ * @param {string} [options.sessionCookie=SESSION_COOKIE] - The cookie the middleware issues
+ * @param {number} [options.trustedProxies=0] - See getClientIp
+ */
+export function clientKey(request, { keyBy = 'ip', sessionCookie = SESSION_COOKIE, trustedProxies = 0 } = {}) {
+  if (typeof keyBy === 'function') return keyBy(request)
+
+  if (keyBy === 'token') {
+    const authorization = request.headers.get('authorization') || ''
+    const token = authorization.replace(/^Bearer\s+/i, '')
+    if (token) return `token:${hashString(token)}`
+  }
+
+  if (keyBy === 'session' || keyBy === 'token') {
+    const session = readCookie(request, sessionCookie)
+    if (session) return `session:${hashString(session)}`
+  }
+
+  return `ip:${getClientIp(request, { trustedProxies })}`
+}
+
+/**
+ * Create a rate limiter for one route
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Requests per window (bucket capacity)
+ * @param {number} [options.windowMs=60000] - Time to refill the bucket completely
+ * @param {number} [options.dailyCharacters] - Characters per client per UTC day (unlimited if unset)
+ * @param {'ip'|'session'|'token'|Function} [options.keyBy='ip'] - How clients are told apart
+ * @param {string} [options.sessionCookie=SESSION_COOKIE] - Cookie used when keyBy is 'session'
+ * @param {number} [options.trustedProxies=0] - Proxies in front of the app (see getClientIp)
+ * @param {string} [options.prefix='ratelimit'] - Store key prefix, one per route
+ * @param {Object} [options.store] - Store backend (defaults to an in-memory store)
+ */
+export function createRateLimiter({
+  limit = 10,
+  windowMs = 60000,
+  dailyCharacters,
+  keyBy = 'ip',
+  sessionCookie = SESSION_COOKIE,
+  trustedProxies = 0,
+  prefix = 'ratelimit',
+  store = createMemoryStore(),
+} = {}) {
+  const refillPerMs = limit / windowMs
+
+  return {
+    /**
+     * Check and count one request
+     *
+     * @param {Request} request
+     * @param {Object} [options]
+     * @param {number} [options.characters=0] - Characters this request translates
+     * @returns {Promise<{ allowed: boolean, reason?: 'rate'|'quota', limit: number,
+     *   remaining: number, reset: number, retryAfter?: number, charactersRemaining?: number }>}
+     *   `reset` and `retryAfter` are in seconds
+     */
+    async check(request, { characters = 0 } = {}) {
+      const now = Date.now()
+      const client = clientKey(request, { keyBy, sessionCookie, trustedProxies })
+      const day = Math.floor(now / DAY_MS)
+      let result
+
+      // Bucket and quota share one key, so a single atomic update decides
+      // the request and counts it
+      await store.update(`${prefix}:${client}`, (state) => {
+        // Token bucket: refill since the last request, then take one token
+        const bucket = state || { tokens: limit, updatedAt: now }
+        const tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+        const rateAllowed = tokens >= 1
+        const tokensLeft = rateAllowed ? tokens - 1 : tokens
+        result = {
+          limit,
+          remaining: Math.floor(tokensLeft),
+          reset: Math.ceil((limit - tokensLeft) / refillPerMs / 1000),
+        }
+
+        // Daily quota: characters per UTC day
+        const used = dailyCharacters && state?.day === day ? state.used : 0
+        const quotaAllowed = !dailyCharacters || used + characters <= dailyCharacters
+
+        if (!rateAllowed) {
+          result = { ...result, allowed: false, reason: 'rate', retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) }
+          return state
+        }
+
+        if (!quotaAllowed) {
+          const untilMidnight = (day + 1) * DAY_MS - now
+          result = {
+            ...result,
+            allowed: false,
+            reason: 'quota',
+            remaining: Math.floor(tokens),
+            retryAfter: Math.ceil(untilMidnight / 1000),
+            charactersRemaining: Math.max(0, dailyCharacters - used),
+          }
+          return state
+        }
+
+        result.allowed = true
+        if (dailyCharacters) result.charactersRemaining = dailyCharacters - used - characters
+        return { tokens: tokensLeft, updatedAt: now, day, used: used + characters }
+      }, dailyCharacters ? DAY_MS : windowMs)
+
+      return result
+    },
+  }
+}
+
+/**
+ * X-RateLimit-* (and Retry-After when blocked) headers for a check result
+ */
+export function rateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.reset),
+  }
+
+  if (result.charactersRemaining !== undefined) {
+    headers['X-RateLimit-Characters-Remaining'] = String(result.charactersRemaining)
+  }
+  if (!result.allowed) headers['Retry-After'] = String(result.retryAfter)
+
+  return headers
+}
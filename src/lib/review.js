@@ -0,0 +1,125 @@
+/**
+ * Side-by-side review of translated locale files
+ *
+ * Lines up the source and every language's translation per key, flags
+ * entries that are missing or fail the integrity checks (see integrity.js),
+ * applies reviewer edits and turns approved entries into a translation
+ * memory (see translation-memory.js) so they're reused next time.
+ *
+ * @example
+ * const rows = reviewRows(source, { es, fr })
+ * // [{ id, path, key, source, translations: { es: { value, issues, missing }, ... } }]
+ */
+
+import { flattenMessages, unflattenMessages, orderMessages, pathToKey } from './messages'
+import { validateMessages } from './integrity'
+
+/**
+ * One row per key: source keys in file order, with keys only the
+ * translations have (generated plural forms) next to their group
+ *
+ * @param {Object} source - Source messages
+ * @param {Object} translations - { lang: messages }
+ * @returns {{ id: string, path: string[], key: string, source?: *, translations: Object<string,
+ *   { value?: *, issues: Object[], missing: boolean }> }[]}
+ */
+export function reviewRows(source, translations) {
+  const paths = new Map()
+  const sourceValues = new Map()
+  const values = {}
+  const issues = {}
+
+  for (const { path, value } of flattenMessages(source)) {
+    paths.set(JSON.stringify(path), path)
+    sourceValues.set(JSON.stringify(path), value)
+  }
+
+  for (const [language, messages] of Object.entries(translations)) {
+    values[language] = new Map()
+    for (const { path, value } of flattenMessages(messages || {})) {
+      if (!paths.has(JSON.stringify(path))) paths.set(JSON.stringify(path), path)
+      values[language].set(JSON.stringify(path), value)
+    }
+
+    const { report } = validateMessages(source, messages || {}, { language })
+    issues[language] = new Map(report.map(row => [row.key, row.issues]))
+  }
+
+  const all = unflattenMessages([...paths.values()].map(path => ({ path, value: null })))
+
+  return flattenMessages(orderMessages(all, source)).map(({ path }) => {
+    const id = JSON.stringify(path)
+    const key = pathToKey(path)
+
+    return {
+      id,
+      path,
+      key,
+      ...(sourceValues.has(id) && { source: sourceValues.get(id) }),
+      translations: Object.fromEntries(Object.keys(translations).map(language => {
+        const value = values[language].get(id)
+        return [language, {
+          ...(value !== undefined && { value }),
+          issues: value === undefined ? [] : issues[language].get(key) || [],
+          missing: value === undefined && sourceValues.has(id),
+        }]
+      })),
+    }
+  })
+}
+
+/**
+ * Whether a row's translation needs a reviewer's attention
+ */
+export const isFlagged = (cell) => cell.missing || cell.issues.length > 0
+
+/**
+ * Short description of an integrity issue, e.g. "Missing {name}"
+ */
+export function describeIssue(issue) {
+  if (issue.error) return issue.error
+  return [
+    issue.missing?.length && `Missing ${issue.missing.join(', ')}`,
+    issue.unexpected?.length && `Unexpected ${issue.unexpected.join(', ')}`,
+  ].filter(Boolean).join('; ')
+}
+
+/**
+ * Messages with the value at `path` replaced (or added), keeping key order
+ */
+export function setMessage(messages, path, value) {
+  const entries = flattenMessages(messages)
+  const index = entries.findIndex(entry => JSON.stringify(entry.path) === JSON.stringify(path))
+
+  if (index === -1) entries.push({ path, value })
+  else entries[index] = { path, value }
+
+  return unflattenMessages(entries)
+}
+
+/**
+ * Approved entries in translation-memory.json format
+ * Only rows with a source string can be reused, so generated keys are skipped.
+ *
+ * @param {Object[]} rows - From reviewRows
+ * @param {Object} approved - { lang: { [row.id]: true } }
+ * @param {Object} [options]
+ * @param {string} [options.sourceLanguage='en']
+ * @returns {Object} { sourceLanguage: { lang: { source: translation } } }
+ */
+export function approvedTranslations(rows, approved, { sourceLanguage = 'en' } = {}) {
+  const memory = {}
+
+  for (const [language, ids] of Object.entries(approved)) {
+    for (const row of rows) {
+      const value = row.translations[language]?.value
+      if (!ids[row.id] || typeof row.source !== 'string' || typeof value !== 'string') continue
+
+      memory[sourceLanguage] ??= {}
+      memory[sourceLanguage][language] ??= {}
+      memory[sourceLanguage][language][row.source] = value
+    }
+  }
+
+  return memory
+}
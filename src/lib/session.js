@@ -0,0 +1,99 @@
+/**
+ * Signed session cookies for the app's own pages
+ *
+ * The middleware gives every visitor an HttpOnly session cookie, and
+ * /api/translate requires it (with sameOrigin() for CSRF) from callers
+ * without an API token. The cookie is `<id>.<issuedAt>.<signature>`, an
+ * HMAC-SHA256 with SESSION_SECRET, so it can't be made up without visiting
+ * the site. Uses Web Crypto only, so it also runs in the Edge middleware.
+ *
+ * @example
+ * // src/middleware.js
+ * const response = i18nMiddleware(request)
+ * await issueSession(request, response, { secret: sessionSecret() })
+ * return response
+ */
+
+export const SESSION_COOKIE = 'shipi18n_session'
+
+// How long a session is accepted after it was issued
+export const DEFAULT_SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Secret sessions are signed with: SESSION_SECRET, else the API key
+ * Outside production a fixed development secret is used when neither is set.
+ */
+export function sessionSecret(env = process.env) {
+  return env.SESSION_SECRET || env.SHIPI18N_API_KEY || (env.NODE_ENV === 'production' ? null : 'development-session-secret')
+}
+
+async function sign(payload, secret) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload))
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * A new signed session token
+ *
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<string>}
+ */
+export async function createSessionToken({ secret, now = Date.now() }) {
+  const payload = `${crypto.randomUUID()}.${now}`
+  return `${payload}.${await sign(payload, secret)}`
+}
+
+/**
+ * Whether a token was signed with `secret` and is younger than `maxAgeMs`
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function verifySessionToken(token, { secret, maxAgeMs = DEFAULT_SESSION_MAX_AGE_MS, now = Date.now() }) {
+  const [id, issuedAt, signature] = String(token ?? '').split('.')
+  if (!secret || !id || !signature) return false
+
+  const age = now - Number(issuedAt)
+  if (!(age >= 0 && age <= maxAgeMs)) return false
+
+  // Both are hex of the same length when valid; compare without exiting early
+  const expected = await sign(`${id}.${issuedAt}`, secret)
+  let difference = expected.length ^ signature.length
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ (signature.charCodeAt(i) || 0)
+  }
+  return difference === 0
+}
+
+/**
+ * Set a fresh session cookie on a middleware response, unless the request
+ * already carries one younger than half its lifetime (so an open page's
+ * session doesn't expire between two visits)
+ *
+ * @param {import('next/server').NextRequest} request
+ * @param {import('next/server').NextResponse} response
+ * @param {Object} options
+ * @param {string|null} options.secret - Nothing is issued without one
+ * @param {string} [options.cookie=SESSION_COOKIE]
+ * @param {number} [options.maxAgeMs=DEFAULT_SESSION_MAX_AGE_MS]
+ */
+export async function issueSession(request, response, {
+  secret,
+  cookie = SESSION_COOKIE,
+  maxAgeMs = DEFAULT_SESSION_MAX_AGE_MS,
+}) {
+  if (!secret) return response
+  if (await verifySessionToken(request.cookies.get(cookie)?.value, { secret, maxAgeMs: maxAgeMs / 2 })) return response
+
+  response.cookies.set(cookie, await createSessionToken({ secret }), {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: request.nextUrl.protocol === 'https:',
+    maxAge: Math.floor(maxAgeMs / 1000),
+  })
+  return response
+}
@@ -5,6 +5,29 @@
  * Uses native fetch API for zero dependencies.
  */
 
+import * as React from 'react'
+import { createCacheKey } from './cache'
+import {
+  chunkMessages,
+  flattenMessages,
+  unflattenMessages,
+  mergeMessages,
+  messageGroupKey,
+  diffMessages,
+  pathToKey,
+} from './messages'
+import {
+  Shipi18nError,
+  ValidationError,
+  NetworkError,
+  TimeoutError,
+  errorFromResponse,
+} from './errors'
+import { validateMessages, INTEGRITY_MODES } from './integrity'
+import { countUsage } from './usage'
+import { MOCK_API_URL, getMockFetch } from './mock-api'
+import { isPseudoLanguage, pseudoLocalize, pseudoLocalizeMessages, pseudoOptions } from './pseudo'
+
 // Configuration - can be overridden for testing
 let testConfig = null
 
@@ -13,6 +36,11 @@ let testConfig = null
  * @param {Object} newConfig - Configuration object
  * @param {string} newConfig.apiKey - API key
  * @param {string} newConfig.apiUrl - API URL
+ * @param {string} [newConfig.messagesDir] - Directory holding <locale>/<namespace>.json files
+ * @param {string} [newConfig.sourceLocale] - Locale the message files are authored in
+ * @param {Object} [newConfig.cache] - Translation cache (see ./cache.js)
+ * @param {Object} [newConfig.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY)
+ * @param {Object} [newConfig.mock] - Mock API options when apiUrl is 'mock' (see ./mock-api.js)
  */
 export function setConfig(newConfig) {
   testConfig = newConfig
@@ -43,38 +71,242 @@ export const getConfig = () => {
   }
 }
 
+// Retry policy for apiRequest - override with setConfig({ ..., retry: { ... } })
+// or per call with apiRequest(endpoint, { retry: { ... } })
+export const DEFAULT_RETRY_POLICY = {
+  retries: 2,               // Retries after the first attempt (0 disables retrying)
+  timeoutMs: 15000,         // Per-attempt timeout
+  baseDelayMs: 300,         // Backoff starts here and doubles per attempt
+  maxDelayMs: 5000,         // Upper bound for a single backoff delay
+  maxRetryAfterMs: 30000,   // Give up instead of waiting longer than this for Retry-After
+  retryOn: [408, 429, 500, 502, 503, 504],
+  retryUnsafe: false,       // Also retry POST/PATCH after timeouts, network errors and 5xx (may bill twice)
+}
+
+// Methods a retry could apply twice: their requests are only repeated when the
+// API said it didn't process them, unless the policy has retryUnsafe
+const UNSAFE_METHODS = ['POST', 'PATCH']
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Milliseconds to wait from a Retry-After header (delta-seconds or HTTP date)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt)
+  return Math.random() * ceiling
+}
+
+/**
+ * The fetch to reach the API with: the offline mock when apiUrl is 'mock'
+ */
+function apiFetch({ apiUrl, mock }) {
+  return apiUrl === MOCK_API_URL ? getMockFetch(mock) : fetch
+}
+
+/**
+ * fetch and read the JSON body with a per-attempt timeout, still honoring a
+ * caller-provided signal
+ *
+ * @returns {Promise<{ response: Response, data: * }>} `data` is {} for an
+ *   error response without a JSON body
+ */
+async function fetchWithTimeout(fetchFn, url, { signal, ...options }, timeoutMs) {
+  // An abort before the request never fires the event
+  if (signal?.aborted) throw signal.reason ?? new DOMException('This operation was aborted', 'AbortError')
+
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeoutMs)
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort)
+
+  let response
+  try {
+    response = await fetchFn(url, { ...options, signal: controller.signal })
+    // Read under the same timeout, so a stalled body can't hang the request
+    const data = await (response.ok ? response.json() : response.json().catch(() => ({})))
+    return { response, data }
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(`Request timed out after ${timeoutMs}ms`, { cause: error })
+    }
+    // Caller aborts and unreadable bodies are passed through untouched and never retried
+    if (signal?.aborted || response) throw error
+    throw new NetworkError(error.message || 'Network request failed', { cause: error })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
 /**
  * Make authenticated API request
+ *
+ * Timeouts, network errors, 408, 429 and 5xx responses are retried with
+ * exponential backoff. A Retry-After header on 429/503 replaces the backoff.
+ * POST and PATCH requests (a translation) are only retried on 429/503 with
+ * Retry-After, where the API didn't run them, unless `retryUnsafe` is set.
+ * Failures are thrown as Shipi18nError subclasses (see ./errors.js).
+ *
+ * @param {string} endpoint - Path below /api, e.g. '/translate'
+ * @param {Object} [options] - fetch options, plus:
+ * @param {Object|false} [options.retry] - Retry policy overrides for this call (false disables retries)
  */
 export async function apiRequest(endpoint, options = {}) {
-  const { apiKey, apiUrl } = getConfig()
+  const config = getConfig()
+  const { apiKey, apiUrl, retry: configRetry } = config
 
-  if (!apiKey) {
-    throw new Error('SHIPI18N_API_KEY is not set. Get your free key at https://shipi18n.com')
+  if (!apiKey && apiUrl !== MOCK_API_URL) {
+    throw new Shipi18nError('SHIPI18N_API_KEY is not set. Get your free key at https://shipi18n.com, or set SHIPI18N_API_URL=mock to work offline', {
+      code: 'MISSING_API_KEY',
+    })
   }
 
-  const url = `${apiUrl}/api${endpoint}`
+  const { retry, ...fetchOptions } = options
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...configRetry,
+    ...(retry === false ? { retries: 0 } : retry),
+  }
 
-  const response = await fetch(url, {
-    ...options,
+  const url = `${apiUrl}/api${endpoint}`
+  const request = {
+    ...fetchOptions,
     headers: {
       'Content-Type': 'application/json',
-      'X-API-Key': apiKey,
-      ...options.headers,
+      ...(apiKey && { 'X-API-Key': apiKey }),
+      ...fetchOptions.headers,
     },
+  }
+  const fetchFn = apiFetch(config)
+  const repeatable = policy.retryUnsafe || !UNSAFE_METHODS.includes((request.method || 'GET').toUpperCase())
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < policy.retries
+    let response, data
+
+    try {
+      ({ response, data } = await fetchWithTimeout(fetchFn, url, request, policy.timeoutMs))
+    } catch (error) {
+      if (!canRetry || !error.retryable || !repeatable) throw error
+      await sleep(backoffDelay(policy, attempt))
+      continue
+    }
+
+    if (response.ok) return data
+
+    if (canRetry && policy.retryOn.includes(response.status)) {
+      const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'))
+      const rejected = retryAfter !== null && (response.status === 429 || response.status === 503)
+
+      if ((repeatable || rejected) && (retryAfter === null || retryAfter <= policy.maxRetryAfterMs)) {
+        await sleep(retryAfter ?? backoffDelay(policy, attempt))
+        continue
+      }
+    }
+
+    throw errorFromResponse(response, data)
+  }
+}
+
+/**
+ * A pseudo language's result, shaped like the API's (see ./pseudo.js)
+ */
+function pseudoTranslation({ text, outputFormat }, language) {
+  const options = pseudoOptions(language)
+  return outputFormat === 'json'
+    ? pseudoLocalizeMessages(JSON.parse(text), options)
+    : [{ original: text, translated: pseudoLocalize(text, options) }]
+}
+
+/**
+ * POST /translate, serving languages from the cache where possible
+ *
+ * Only languages missing from the cache are sent upstream, so only
+ * cache misses are billed. Fresh results are written back per language.
+ * Pseudo languages are generated locally and never sent.
+ */
+async function translateRequest({ cache = getConfig().cache, targetLanguages, ...request }) {
+  const pseudo = targetLanguages.filter(isPseudoLanguage)
+  if (pseudo.length > 0) {
+    const languages = targetLanguages.filter(lang => !isPseudoLanguage(lang))
+    const result = languages.length > 0 ? await translateRequest({ cache, targetLanguages: languages, ...request }) : {}
+    for (const lang of pseudo) result[lang] = pseudoTranslation(request, lang)
+    return result
+  }
+
+  const send = (languages) => apiRequest('/translate', {
+    method: 'POST',
+    body: JSON.stringify({ ...request, targetLanguages: languages }),
   })
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}))
-    throw new Error(errorData.message || `API error: ${response.status}`)
+  if (!cache) return send(targetLanguages)
+
+  const keyFor = (targetLanguage) => createCacheKey({ ...request, targetLanguage })
+  const cached = {}
+  const misses = []
+
+  for (const lang of targetLanguages) {
+    const value = await cache.get(keyFor(lang))
+    if (value === undefined || value === null) {
+      misses.push(lang)
+    } else {
+      cached[lang] = value
+    }
   }
 
-  return response.json()
+  if (misses.length === 0) return cached
+
+  const result = await send(misses)
+
+  await Promise.all(
+    misses
+      .filter(lang => result[lang] !== undefined)
+      .map(lang => cache.set(keyFor(lang), result[lang]))
+  )
+
+  return { ...result, ...cached }
+}
+
+/**
+ * Approved translations of `text` from a translation memory, by language
+ */
+async function memoryHits(memory, text, sourceLanguage, targetLanguages) {
+  const hits = {}
+  if (!memory) return hits
+
+  for (const targetLanguage of targetLanguages) {
+    const hit = await memory.lookup(text, { sourceLanguage, targetLanguage })
+    if (hit !== undefined && hit !== null) hits[targetLanguage] = hit
+  }
+
+  return hits
 }
 
 /**
  * Translate text to one or more languages
  *
+ * Pass a `glossary` (see ./glossary.js) to enforce term translations and a
+ * `memory` (see ./translation-memory.js) to reuse approved translations.
+ *
  * @example
  * const result = await translate({
  *   text: 'Hello, World!',
@@ -87,25 +319,167 @@ export async function translate({
   targetLanguages,
   preservePlaceholders = true,
   enablePluralization = true,
+  cache,
+  glossary,
+  memory,
 }) {
-  if (!text) throw new Error('Text is required')
-  if (!targetLanguages?.length) throw new Error('At least one target language is required')
+  if (!text) throw new ValidationError('Text is required')
+  if (!targetLanguages?.length) throw new ValidationError('At least one target language is required')
 
-  return apiRequest('/translate', {
-    method: 'POST',
-    body: JSON.stringify({
-      text,
-      sourceLanguage,
-      targetLanguages,
-      preservePlaceholders,
-      enablePluralization,
-    }),
+  const request = { sourceLanguage, preservePlaceholders, enablePluralization, cache }
+
+  if (!glossary && !memory) return translateRequest({ text, targetLanguages, ...request })
+
+  const hits = await memoryHits(memory, text, sourceLanguage, targetLanguages)
+  const misses = targetLanguages.filter(lang => hits[lang] === undefined)
+  let result = {}
+
+  if (misses.length > 0) {
+    result = await translateRequest({
+      text: glossary ? glossary.protect(text, misses) : text,
+      targetLanguages: misses,
+      ...request,
+    })
+
+    if (glossary) {
+      for (const lang of misses) {
+        if (!Array.isArray(result[lang])) continue
+        result[lang] = result[lang].map(({ original, translated, ...item }) => ({
+          ...item,
+          original: typeof original === 'string' ? glossary.restore(original, sourceLanguage) : original,
+          translated: typeof translated === 'string' ? glossary.restore(translated, lang) : translated,
+        }))
+      }
+    }
+  }
+
+  for (const [lang, translated] of Object.entries(hits)) {
+    result[lang] = [{ original: text, translated }]
+  }
+
+  return result
+}
+
+// translateJSON splits payloads larger than this many characters into chunks
+export const DEFAULT_CHUNK_SIZE = 20000
+// ...and sends at most this many chunks at once
+export const DEFAULT_CHUNK_CONCURRENCY = 4
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Stops starting new calls after the first failure and rejects with it.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  let failed = false
+
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+function parseJSON(json) {
+  if (typeof json !== 'string') return json
+
+  try {
+    return JSON.parse(json)
+  } catch (error) {
+    throw new ValidationError('JSON to translate is not valid JSON', { cause: error })
+  }
+}
+
+/**
+ * translateJSON with a glossary and/or translation memory
+ *
+ * Strings approved in the memory for every language are not sent; the rest
+ * go out with glossary terms protected. Per language, placeholders are
+ * restored and approved translations override the API's.
+ */
+async function translateMessagesWithRules({ messages, sourceLanguage, targetLanguages, glossary, memory, send }) {
+  const entries = flattenMessages(messages)
+  const hits = new Map()
+  const pending = []
+
+  for (const entry of entries) {
+    const found = typeof entry.value === 'string'
+      ? await memoryHits(memory, entry.value, sourceLanguage, targetLanguages)
+      : {}
+    hits.set(pathToKey(entry.path), found)
+
+    if (Object.keys(found).length < targetLanguages.length) {
+      pending.push({
+        path: entry.path,
+        value: glossary && typeof entry.value === 'string'
+          ? glossary.protect(entry.value, targetLanguages)
+          : entry.value,
+      })
+    }
+  }
+
+  const result = pending.length > 0 ? await send(unflattenMessages(pending), targetLanguages) : {}
+
+  const groupOrder = new Map()
+  entries.forEach(({ path }) => {
+    const group = messageGroupKey(path)
+    if (!groupOrder.has(group)) groupOrder.set(group, groupOrder.size)
   })
+  const position = ({ path }) => groupOrder.get(messageGroupKey(path)) ?? groupOrder.size
+
+  const translations = {}
+  for (const lang of targetLanguages) {
+    if (pending.length > 0 && !result[lang]) continue
+
+    // The API's translations (including generated plural forms)...
+    const values = new Map()
+    for (const { path, value } of flattenMessages(result[lang] || {})) {
+      values.set(pathToKey(path), {
+        path,
+        value: glossary && typeof value === 'string' ? glossary.restore(value, lang) : value,
+      })
+    }
+
+    // ...overridden by approved ones
+    for (const { path } of entries) {
+      const approved = hits.get(pathToKey(path))[lang]
+      if (approved !== undefined) values.set(pathToKey(path), { path, value: approved })
+    }
+
+    translations[lang] = unflattenMessages([...values.values()].sort((a, b) => position(a) - position(b)))
+  }
+
+  return translations
 }
 
 /**
  * Translate JSON while preserving structure
  *
+ * JSON larger than `chunkSize` characters is split into chunks that keep
+ * their key paths, sent `chunkConcurrency` at a time and merged back per
+ * language. If a chunk fails, the thrown error gets a `chunk` property with
+ * its index, the chunk count and the key paths it contained.
+ *
+ * With a `glossary` or translation `memory`, the JSON must be an object;
+ * both apply per string (see translate).
+ *
+ * Pass `integrity: 'flag' | 'repair' | 'reject'` to check placeholders, ICU
+ * arguments and tags in every translated string (see ./integrity.js).
+ * Broken entries are kept, fixed where possible, or dropped, and
+ * `onIntegrityReport` receives one row per broken entry.
+ *
  * @example
  * const result = await translateJSON({
  *   json: { greeting: 'Hello', farewell: 'Goodbye' },
@@ -118,31 +492,140 @@ export async function translateJSON({
   targetLanguages,
   preservePlaceholders = true,
   enablePluralization = true,
+  cache,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  chunkConcurrency = DEFAULT_CHUNK_CONCURRENCY,
+  glossary,
+  memory,
+  integrity,
+  onIntegrityReport,
 }) {
-  const jsonString = typeof json === 'string' ? json : JSON.stringify(json)
+  if (integrity) {
+    if (!INTEGRITY_MODES.includes(integrity)) {
+      throw new ValidationError(`integrity must be one of: ${INTEGRITY_MODES.join(', ')}`)
+    }
+    const messages = parseJSON(json)
+    if (!isObject(messages)) throw new ValidationError('Integrity checks need a JSON object')
 
-  return apiRequest('/translate', {
-    method: 'POST',
-    body: JSON.stringify({
-      text: jsonString,
+    const result = await translateJSON({
+      json: messages,
       sourceLanguage,
       targetLanguages,
       preservePlaceholders,
       enablePluralization,
-      outputFormat: 'json',
-    }),
+      cache,
+      chunkSize,
+      chunkConcurrency,
+      glossary,
+      memory,
+    })
+
+    const translations = {}
+    const report = []
+    for (const lang of targetLanguages) {
+      if (!result[lang]) continue
+      const checked = validateMessages(messages, result[lang], { mode: integrity, language: lang })
+      translations[lang] = checked.messages
+      report.push(...checked.report)
+    }
+
+    onIntegrityReport?.(report)
+    return translations
+  }
+
+  if (glossary || memory) {
+    const messages = parseJSON(json)
+    if (!isObject(messages)) throw new ValidationError('Glossary and translation memory need a JSON object')
+
+    return translateMessagesWithRules({
+      messages,
+      sourceLanguage,
+      targetLanguages,
+      glossary,
+      memory,
+      send: (pending, languages) => translateJSON({
+        json: pending,
+        sourceLanguage,
+        targetLanguages: languages,
+        preservePlaceholders,
+        enablePluralization,
+        cache,
+        chunkSize,
+        chunkConcurrency,
+      }),
+    })
+  }
+
+  const jsonString = typeof json === 'string' ? json : JSON.stringify(json)
+  const request = {
+    sourceLanguage,
+    targetLanguages,
+    preservePlaceholders,
+    enablePluralization,
+    outputFormat: 'json',
+    cache,
+  }
+
+  if (jsonString.length <= chunkSize) {
+    return translateRequest({ text: jsonString, ...request })
+  }
+
+  const messages = parseJSON(json)
+
+  // Only objects can be split along key paths
+  if (!isObject(messages)) {
+    return translateRequest({ text: jsonString, ...request })
+  }
+
+  const chunks = chunkMessages(messages, { maxChars: chunkSize })
+
+  const results = await mapWithConcurrency(chunks, chunkConcurrency, async (chunk, index) => {
+    try {
+      return await translateRequest({ text: JSON.stringify(chunk), ...request })
+    } catch (error) {
+      error.chunk = {
+        index,
+        count: chunks.length,
+        keys: flattenMessages(chunk).map(entry => pathToKey(entry.path)),
+      }
+      error.message = `Chunk ${index + 1} of ${chunks.length} failed: ${error.message}`
+      throw error
+    }
   })
+
+  const merged = {}
+  for (const result of results) {
+    for (const lang of targetLanguages) {
+      if (result[lang]) merged[lang] = mergeMessages(merged[lang] || {}, result[lang])
+    }
+  }
+
+  return merged
 }
 
 /**
  * Translate a locale file (upload JSON, get translated JSONs back)
  *
+ * Pass the current translations as `existing` (and optionally the `lockfile`
+ * from the last run, see hashMessages) to translate incrementally: only keys
+ * that were added, or changed since the lockfile, are sent. Untouched
+ * translations are kept verbatim and keys removed from the source are dropped.
+ * `integrity` and `onIntegrityReport` work as in translateJSON.
+ *
  * @example
  * const translations = await translateLocaleFile({
  *   content: { app: { title: 'My App' } },
  *   targetLanguages: ['es', 'fr']
  * })
  * // Returns: { es: { app: { title: 'Mi aplicación' } }, fr: { ... } }
+ *
+ * @example
+ * const translations = await translateLocaleFile({
+ *   content: en,
+ *   targetLanguages: ['es', 'fr'],
+ *   existing: { es, fr },
+ *   lockfile: previousHashes,
+ * })
  */
 export async function translateLocaleFile({
   content,
@@ -150,49 +633,316 @@ export async function translateLocaleFile({
   targetLanguages,
   preservePlaceholders = true,
   enablePluralization = true,
+  cache,
+  chunkSize,
+  chunkConcurrency,
+  existing,
+  lockfile,
+  glossary,
+  memory,
+  integrity,
+  onIntegrityReport,
 }) {
-  const result = await translateJSON({
-    json: content,
+  // Incremental mode sends several requests: report once, at the end
+  const report = []
+  const options = {
     sourceLanguage,
-    targetLanguages,
     preservePlaceholders,
     enablePluralization,
-  })
+    cache,
+    chunkSize,
+    chunkConcurrency,
+    glossary,
+    memory,
+    integrity,
+    onIntegrityReport: (rows) => report.push(...rows),
+  }
 
-  // Transform to { lang: translatedJson } format
   const translations = {}
+
+  if (existing || lockfile) {
+    Object.assign(translations, await translateLocaleFileDelta({ content, targetLanguages, existing, lockfile, options }))
+  } else {
+    const result = await translateJSON({ json: content, targetLanguages, ...options })
+
+    // Transform to { lang: translatedJson } format
+    for (const lang of targetLanguages) {
+      if (result[lang]) {
+        translations[lang] = result[lang]
+      }
+    }
+  }
+
+  if (integrity) onIntegrityReport?.(report)
+  return translations
+}
+
+/**
+ * Incremental translateLocaleFile: translate only stale key groups per language
+ *
+ * Languages with the same stale keys share one request.
+ */
+async function translateLocaleFileDelta({ content, targetLanguages, existing = {}, lockfile, options }) {
+  const messages = parseJSON(content)
+  const source = flattenMessages(messages)
+  const groupOrder = new Map()
+  source.forEach(({ path }) => {
+    const group = messageGroupKey(path)
+    if (!groupOrder.has(group)) groupOrder.set(group, groupOrder.size)
+  })
+
+  // Plan: stale groups per language, languages grouped by identical plans
+  const plans = new Map()
   for (const lang of targetLanguages) {
-    if (result[lang]) {
-      translations[lang] = result[lang]
+    const { stale } = diffMessages(messages, existing[lang], lockfile)
+
+    const planKey = [...stale].sort().join('\n')
+    if (!plans.has(planKey)) plans.set(planKey, { stale, languages: [] })
+    plans.get(planKey).languages.push(lang)
+  }
+
+  const translations = {}
+  for (const { stale, languages } of plans.values()) {
+    let result = {}
+
+    if (stale.size > 0) {
+      const delta = unflattenMessages(source.filter(({ path }) => stale.has(messageGroupKey(path))))
+      result = await translateJSON({ json: delta, targetLanguages: languages, ...options })
+    }
+
+    for (const lang of languages) {
+      if (stale.size > 0 && !result[lang]) continue
+
+      const kept = existing[lang]
+        ? flattenMessages(existing[lang]).filter(({ path }) => {
+          const group = messageGroupKey(path)
+          return groupOrder.has(group) && !stale.has(group)
+        })
+        : []
+      const fresh = stale.size > 0
+        ? flattenMessages(result[lang]).filter(({ path }) => stale.has(messageGroupKey(path)))
+        : []
+
+      // Keep the source file's key order
+      const entries = [...kept, ...fresh].sort(
+        (a, b) => groupOrder.get(messageGroupKey(a.path)) - groupOrder.get(messageGroupKey(b.path))
+      )
+      translations[lang] = unflattenMessages(entries)
     }
   }
 
   return translations
 }
 
+/**
+ * Estimate what translating a locale file will use, without calling the API
+ *
+ * Takes translateLocaleFile's options and counts the keys, characters and
+ * words each language would be sent. Keys that are up to date (with
+ * `existing`/`lockfile`), approved in the `memory` for every language of
+ * the request, or already in the `cache` are skipped; placeholders, ICU
+ * arguments and tags don't count (see countUsage in ./usage.js).
+ *
+ * @example
+ * const { languages, total } = await estimateUsage({ content: en, targetLanguages: ['es', 'fr'] })
+ * // languages.es: { keys: 12, characters: 340, words: 58, skipped: { upToDate: 0, memory: 0, cache: 0 } }
+ *
+ * @returns {Promise<{ languages: Object<string, { keys: number, characters: number, words: number,
+ *   skipped: { upToDate: number, memory: number, cache: number } }>,
+ *   total: { keys: number, characters: number, words: number } }>}
+ */
+export async function estimateUsage({
+  content,
+  sourceLanguage = 'en',
+  targetLanguages,
+  preservePlaceholders = true,
+  enablePluralization = true,
+  cache = getConfig().cache,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  existing,
+  lockfile,
+  glossary,
+  memory,
+}) {
+  if (!targetLanguages?.length) throw new ValidationError('At least one target language is required')
+  const messages = parseJSON(content)
+  if (!isObject(messages)) throw new ValidationError('Usage estimates need a JSON object')
+
+  const entries = flattenMessages(messages)
+  const incremental = Boolean(existing || lockfile)
+
+  // Languages with the same stale keys share a request (see translateLocaleFileDelta)
+  const plans = new Map()
+  for (const lang of targetLanguages) {
+    const stale = incremental ? diffMessages(messages, existing?.[lang], lockfile).stale : null
+    const planKey = stale ? [...stale].sort().join('\n') : ''
+    if (!plans.has(planKey)) plans.set(planKey, { stale, languages: [] })
+    plans.get(planKey).languages.push(lang)
+  }
+
+  const languages = {}
+  for (const { stale, languages: requestLanguages } of plans.values()) {
+    const sent = stale ? entries.filter(({ path }) => stale.has(messageGroupKey(path))) : entries
+    const skipped = { upToDate: entries.length - sent.length, memory: 0, cache: 0 }
+
+    // Rebuild the JSON translateJSON would send (see translateMessagesWithRules)
+    const pending = []
+    for (const { path, value } of sent) {
+      const hits = typeof value === 'string' ? await memoryHits(memory, value, sourceLanguage, requestLanguages) : {}
+      if (Object.keys(hits).length === requestLanguages.length) {
+        skipped.memory++
+        continue
+      }
+      pending.push({ path, value: glossary && typeof value === 'string' ? glossary.protect(value, requestLanguages) : value })
+    }
+
+    const json = incremental || glossary || memory ? unflattenMessages(pending) : messages
+    const text = typeof content === 'string' && json === messages ? content : JSON.stringify(json)
+    const chunks = pending.length === 0
+      ? []
+      : text.length <= chunkSize
+        ? [{ text, messages: json }]
+        : chunkMessages(json, { maxChars: chunkSize }).map(chunk => ({ text: JSON.stringify(chunk), messages: chunk }))
+
+    for (const lang of requestLanguages) {
+      const usage = { keys: 0, characters: 0, words: 0, skipped: { ...skipped } }
+
+      // Pseudo languages are generated locally and cost nothing
+      if (isPseudoLanguage(lang)) {
+        languages[lang] = usage
+        continue
+      }
+
+      for (const chunk of chunks) {
+        const chunkEntries = flattenMessages(chunk.messages)
+        const cacheKey = createCacheKey({
+          text: chunk.text,
+          sourceLanguage,
+          preservePlaceholders,
+          enablePluralization,
+          outputFormat: 'json',
+          targetLanguage: lang,
+        })
+        const cached = cache ? await cache.get(cacheKey) : undefined
+
+        if (cached !== undefined && cached !== null) {
+          usage.skipped.cache += chunkEntries.length
+          continue
+        }
+
+        for (const { value } of chunkEntries) {
+          const { characters, words } = countUsage(value, sourceLanguage)
+          usage.keys++
+          usage.characters += characters
+          usage.words += words
+        }
+      }
+
+      languages[lang] = usage
+    }
+  }
+
+  const total = { keys: 0, characters: 0, words: 0 }
+  for (const lang of targetLanguages) {
+    total.keys += languages[lang].keys
+    total.characters += languages[lang].characters
+    total.words += languages[lang].words
+  }
+
+  return { languages: Object.fromEntries(targetLanguages.map(lang => [lang, languages[lang]])), total }
+}
+
+/**
+ * Languages the API translates, from GET /api/languages
+ * Feed it to localeRegistry.load() (see ./locale-registry.js).
+ *
+ * @returns {Promise<{ code: string, name: string, nativeName?: string, region?: string }[]>}
+ */
+export async function getSupportedLanguages() {
+  const result = await apiRequest('/languages', { method: 'GET' })
+  return Array.isArray(result) ? result : result.languages
+}
+
 /**
  * Check API health
  */
 export async function healthCheck() {
-  const { apiUrl } = getConfig()
-  const response = await fetch(`${apiUrl}/api/health`)
+  const config = getConfig()
+  const response = await apiFetch(config)(`${config.apiUrl}/api/health`)
   return response.json()
 }
 
+// Locale and namespace end up in a file path, so keep them to simple segments
+const SEGMENT_PATTERN = /^[A-Za-z0-9_-]+$/
+
+// React.cache scopes memoization to a single Server Component request.
+// Outside of React Server Components (tests, scripts) it is not available.
+const requestCache = typeof React.cache === 'function' ? React.cache : (fn) => fn
+
+/**
+ * Read messages/<locale>/<namespace>.json, or null when the file does not exist
+ */
+async function readMessages(messagesDir, locale, namespace) {
+  const { readFile } = await import('fs/promises')
+
+  try {
+    const raw = await readFile(`${messagesDir}/${locale}/${namespace}.json`, 'utf8')
+    return JSON.parse(raw)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// Memoized by its arguments as passed, so both are always given (see getTranslations)
+const loadTranslations = requestCache(async (locale, namespace) => {
+  if (!SEGMENT_PATTERN.test(locale || '')) throw new ValidationError(`Invalid locale: ${locale}`)
+  if (!SEGMENT_PATTERN.test(namespace)) throw new ValidationError(`Invalid namespace: ${namespace}`)
+
+  const config = getConfig()
+  const messagesDir = config.messagesDir || `${process.cwd()}/messages`
+  const sourceLocale = config.sourceLocale || 'en'
+
+  const messages = await readMessages(messagesDir, locale, namespace)
+  if (messages) return messages
+
+  const sourceMessages = locale === sourceLocale
+    ? null
+    : await readMessages(messagesDir, sourceLocale, namespace)
+  if (!sourceMessages) return {}
+
+  const translations = await translateLocaleFile({
+    content: sourceMessages,
+    sourceLanguage: sourceLocale,
+    targetLanguages: [locale],
+  })
+
+  return translations[locale] || {}
+})
+
 /**
- * Server-side helper: Translate at build time or request time
- * Use this in Server Components or getStaticProps/getServerSideProps
+ * Server-side helper: Load the messages for a locale and namespace
+ * Use this in Server Components, Route Handlers or generateMetadata
+ *
+ * Reads messages/<locale>/<namespace>.json. When that file is missing, the
+ * source locale's file is translated on demand with translateLocaleFile.
+ * Results are memoized for the duration of a server request:
+ * getTranslations('fr') and getTranslations('fr', 'common') share one entry.
+ *
+ * @example
+ * const messages = await getTranslations('fr', 'checkout')
+ * // { title: 'Paiement', ... }
  */
-export async function getTranslations(locale, namespace = 'common') {
-  // This is a placeholder - in a real app, you'd fetch from your CMS
-  // or use the translateJSON function to translate on-demand
-  return {}
+export function getTranslations(locale, namespace = 'common') {
+  return loadTranslations(locale, namespace)
 }
 
 export default {
   translate,
   translateJSON,
   translateLocaleFile,
+  estimateUsage,
+  getSupportedLanguages,
   healthCheck,
   getTranslations,
   getConfig,
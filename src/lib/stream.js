@@ -0,0 +1,82 @@
+/**
+ * Per-language streaming for API routes (NDJSON)
+ *
+ * Languages are translated concurrently and each one is written as soon as
+ * it finishes, one JSON object per line:
+ *
+ * {"type":"result","language":"es","result":[...]}
+ * {"type":"error","language":"fr","error":{"error":"...","code":"TIMEOUT"}}
+ * {"type":"done","completed":["es"],"failed":["fr"]}
+ *
+ * Clients opt in with `Accept: application/x-ndjson` (see streamTranslate in
+ * api-client.js).
+ */
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson'
+
+/**
+ * Whether the request asked for an NDJSON stream
+ */
+export function acceptsNDJSON(request) {
+  return (request.headers.get('accept') || '').includes(NDJSON_CONTENT_TYPE)
+}
+
+/**
+ * JSON body for an error event (unknown errors get a generic message)
+ */
+function errorBody(error) {
+  return typeof error?.toJSON === 'function'
+    ? error.toJSON()
+    : { error: 'Translation failed', code: 'INTERNAL_ERROR' }
+}
+
+/**
+ * Stream one event per language as each translation finishes
+ *
+ * @param {string[]} languages - Target languages
+ * @param {(language: string) => Promise<{ result: * }>} translateLanguage - Translates one
+ *   language; the returned fields (`result`, plus anything else) go into the result event
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Languages in flight at once
+ * @param {(error: Error, language: string) => void} [options.onError] - Called for each failed language
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createTranslationStream(languages, translateLanguage, { concurrency = 4, onError } = {}) {
+  const encoder = new TextEncoder()
+  const completed = []
+  const failed = []
+  let cancelled = false
+  let next = 0
+
+  return new ReadableStream({
+    async start(controller) {
+      const write = (event) => {
+        if (!cancelled) controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`))
+      }
+
+      const worker = async () => {
+        while (next < languages.length && !cancelled) {
+          const language = languages[next++]
+          try {
+            const fields = await translateLanguage(language)
+            completed.push(language)
+            write({ type: 'result', language, ...fields })
+          } catch (error) {
+            failed.push(language)
+            onError?.(error, language)
+            write({ type: 'error', language, error: errorBody(error) })
+          }
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.min(concurrency, languages.length) }, worker))
+      write({ type: 'done', completed, failed })
+      if (!cancelled) controller.close()
+    },
+
+    // The client went away: don't start any more languages
+    cancel() {
+      cancelled = true
+    },
+  })
+}
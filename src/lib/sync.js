@@ -0,0 +1,310 @@
+/**
+ * Sync a source locale file or directory to translated files (server-side only)
+ *
+ * Used by `shipi18n sync` and `shipi18n build` (bin/shipi18n.mjs). Reads
+ * shipi18n.config.json, compares every output file with its source and
+ * translates only what is missing or changed, using translateLocaleFile's
+ * incremental mode.
+ *
+ * shipi18n.config.json:
+ * {
+ *   "sourceLanguage": "en",
+ *   "targetLanguages": ["es", "fr", "de"],
+ *   "source": "messages/en",          // a file (locales/en.json) or a directory of namespaces
+ *   "output": "messages/{lang}",      // optional, defaults next to the source
+ *   "lockfile": "messages/.shipi18n-lock.json",  // optional
+ *   "glossary": "glossary.json",      // optional, see glossary.js
+ *   "memory": "translation-memory.json",  // optional, see translation-memory.js
+ *   "missingKeys": "warn"             // optional, or "error" to fail `shipi18n build`
+ * }
+ *
+ * Source files can be in any format from ./formats (JSON, YAML, .po, Android
+ * strings.xml, .strings, .xcstrings, XLIFF), detected from their extension.
+ * Output files use the source's format; an .xcstrings catalog is its own
+ * output, since it holds every language.
+ */
+
+import { readFile, writeFile, readdir, stat, mkdir } from 'fs/promises'
+import path from 'path'
+import { translateLocaleFile, estimateUsage } from './shipi18n'
+import { diffMessages, hashMessages } from './messages'
+import { ValidationError } from './errors'
+import { loadGlossary, glossaryReport } from './glossary'
+import { loadTranslationMemory } from './translation-memory'
+import { detectFormat, isMultiLanguage, parseLocaleFile, serializeTranslations, translatedFileName } from './formats'
+
+export const DEFAULT_CONFIG_FILE = 'shipi18n.config.json'
+
+// What `shipi18n build` does when a locale is still missing keys
+export const MISSING_KEYS_MODES = ['warn', 'error']
+
+async function readJSON(filePath, fallback) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback
+    if (error instanceof SyntaxError) {
+      throw new ValidationError(`${filePath} is not valid JSON: ${error.message}`, { cause: error })
+    }
+    throw error
+  }
+}
+
+async function writeText(filePath, content) {
+  await mkdir(path.dirname(filePath), { recursive: true })
+  await writeFile(filePath, content)
+}
+
+const writeJSON = (filePath, data) => writeText(filePath, `${JSON.stringify(data, null, 2)}\n`)
+
+/**
+ * Parse a locale file in any supported format, or null when it doesn't exist
+ */
+async function readLocaleFile(filePath, options) {
+  try {
+    return parseLocaleFile(await readFile(filePath, 'utf8'), options)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    if (error instanceof ValidationError) {
+      throw new ValidationError(`${filePath}: ${error.message}`, { cause: error })
+    }
+    throw error
+  }
+}
+
+/**
+ * Load the sync config and resolve its paths against the config file's directory
+ */
+export async function loadSyncConfig(configPath = DEFAULT_CONFIG_FILE) {
+  const config = await readJSON(configPath)
+  const root = path.dirname(path.resolve(configPath))
+
+  if (!config.source) throw new ValidationError(`${configPath}: "source" is required`)
+  if (!config.targetLanguages?.length) {
+    throw new ValidationError(`${configPath}: "targetLanguages" must list at least one language`)
+  }
+
+  const missingKeys = config.missingKeys || 'warn'
+  if (!MISSING_KEYS_MODES.includes(missingKeys)) {
+    throw new ValidationError(`${configPath}: "missingKeys" must be one of: ${MISSING_KEYS_MODES.join(', ')}`)
+  }
+
+  const source = path.resolve(root, config.source)
+  const isDirectory = (await stat(source)).isDirectory()
+  const format = isDirectory ? null : detectFormat(source)
+  if (!isDirectory && !format) {
+    throw new ValidationError(`${configPath}: unsupported source file format "${path.extname(source)}"`)
+  }
+
+  const output = config.output
+    ? path.resolve(root, config.output)
+    : path.join(path.dirname(source), isDirectory ? '{lang}' : translatedFileName(path.basename(source), format, '{lang}'))
+
+  return {
+    sourceLanguage: config.sourceLanguage || 'en',
+    targetLanguages: config.targetLanguages,
+    source,
+    output,
+    isDirectory,
+    lockfile: path.resolve(root, config.lockfile || path.join(path.dirname(config.source), '.shipi18n-lock.json')),
+    glossary: config.glossary ? path.resolve(root, config.glossary) : null,
+    memory: config.memory ? path.resolve(root, config.memory) : null,
+    missingKeys,
+  }
+}
+
+/**
+ * Source files with their format and output path per language
+ * A directory source maps messages/en/<namespace>.json to <output>/<namespace>.json
+ * (any supported format), and an .xcstrings catalog to itself.
+ */
+async function listSourceFiles(config) {
+  if (!config.isDirectory) {
+    return [{
+      name: path.basename(config.source),
+      format: detectFormat(config.source),
+      sourcePath: config.source,
+      outputPath: (lang) => config.output.replaceAll('{lang}', lang),
+    }]
+  }
+
+  const names = (await readdir(config.source)).filter(name => detectFormat(name)).sort()
+
+  return names.map(name => {
+    const format = detectFormat(name)
+    const sourcePath = path.join(config.source, name)
+
+    return {
+      name,
+      format,
+      sourcePath,
+      outputPath: (lang) => isMultiLanguage(format) ? sourcePath : path.join(config.output.replaceAll('{lang}', lang), name),
+    }
+  })
+}
+
+/**
+ * Source hashes per language for one file's lockfile entry
+ * Lockfiles written before hashes were kept per language hold one set of
+ * hashes for every language.
+ */
+function lockfileByLanguage(entry, languages) {
+  if (!entry) return {}
+  const legacy = Object.values(entry).some(value => typeof value === 'string')
+  return legacy ? Object.fromEntries(languages.map(lang => [lang, entry])) : entry
+}
+
+/**
+ * Languages grouped by identical lockfile hashes, so each group can share
+ * one incremental translateLocaleFile request
+ */
+function groupByLockfile(languages, lockfile) {
+  const groups = new Map()
+  for (const lang of languages) {
+    const key = JSON.stringify(lockfile[lang] ?? null)
+    if (!groups.has(key)) groups.set(key, { lockfile: lockfile[lang], languages: [] })
+    groups.get(key).languages.push(lang)
+  }
+  return [...groups.values()]
+}
+
+/**
+ * Compare and (unless dryRun or check) translate every source file
+ *
+ * The lockfile keeps the source hashes each language was last synced from
+ * (`{ [file]: { [lang]: hashes } }`). A run updates the languages it synced
+ * and keeps the others, so a partial `--langs` run never hides changes from
+ * the rest.
+ *
+ * @param {Object} config - From loadSyncConfig
+ * @param {Object} [options]
+ * @param {string[]} [options.languages] - Subset of config.targetLanguages; others are a ValidationError
+ * @param {boolean} [options.dryRun] - Report what would change, write nothing; stale rows
+ *   get the estimated `usage` ({ keys, characters, words }, see estimateUsage)
+ * @param {boolean} [options.check] - Same as dryRun; callers fail when `stale` is true
+ * @returns {Promise<{ stale: boolean, report: Object[], violations: Object[] }>} One report row
+ *   per file and language, and glossary violations ({ file, language, key, term, expected })
+ *   in the files as they are after the run
+ */
+export async function syncMessages(config, { languages, dryRun = false, check = false } = {}) {
+  const unknown = (languages || []).filter(lang => !config.targetLanguages.includes(lang))
+  if (unknown.length) {
+    throw new ValidationError(`Not in targetLanguages: ${unknown.join(', ')} (configured: ${config.targetLanguages.join(', ')})`)
+  }
+
+  const targetLanguages = languages?.length ? languages : config.targetLanguages
+  const write = !dryRun && !check
+  const lockfile = await readJSON(config.lockfile, {})
+  const glossary = config.glossary ? await loadGlossary(config.glossary) : undefined
+  const memory = config.memory ? await loadTranslationMemory(config.memory) : undefined
+  const files = await listSourceFiles(config)
+  const report = []
+  const violations = []
+
+  // Languages this run doesn't sync keep their previous hashes
+  const nextLockfile = {}
+  const locks = {}
+  for (const file of files) {
+    locks[file.name] = lockfileByLanguage(lockfile[file.name], config.targetLanguages)
+    nextLockfile[file.name] = Object.fromEntries(config.targetLanguages
+      .filter(lang => locks[file.name][lang])
+      .map(lang => [lang, locks[file.name][lang]]))
+  }
+
+  try {
+    for (const file of files) {
+      const options = { format: file.format, sourceLanguage: config.sourceLanguage }
+      const document = await readLocaleFile(file.sourcePath, options)
+      if (!document) throw new ValidationError(`${file.sourcePath} does not exist`)
+      const source = document.messages
+      const lock = locks[file.name]
+      const existing = {}
+      const staleLanguages = []
+
+      for (const lang of targetLanguages) {
+        existing[lang] = (await readLocaleFile(file.outputPath(lang), { ...options, language: lang }))?.messages ?? null
+
+        const { added, changed, removed } = diffMessages(source, existing[lang], lock[lang])
+        const stale = added.length + changed.length + removed.length > 0
+        report.push({ file: file.name, lang, output: file.outputPath(lang), added, changed, removed, stale })
+        if (stale) staleLanguages.push(lang)
+      }
+
+      // One request per set of languages last synced from the same source
+      const requests = groupByLockfile(staleLanguages, lock).map(group => ({
+        content: source,
+        sourceLanguage: config.sourceLanguage,
+        targetLanguages: group.languages,
+        existing,
+        lockfile: group.lockfile,
+        glossary,
+        memory,
+      }))
+
+      if (dryRun) {
+        for (const request of requests) {
+          const estimate = await estimateUsage(request)
+          for (const row of report) {
+            if (row.file !== file.name || !estimate.languages[row.lang]) continue
+            const { keys, characters, words } = estimate.languages[row.lang]
+            row.usage = { keys, characters, words }
+          }
+        }
+      }
+
+      if (write && staleLanguages.length > 0) {
+        const translations = {}
+        for (const request of requests) {
+          Object.assign(translations, await translateLocaleFile(request))
+        }
+
+        for (const lang of staleLanguages) {
+          if (!translations[lang]) throw new Error(`No ${lang} translation returned for ${file.name}`)
+          existing[lang] = translations[lang]
+        }
+
+        // Written in the source file's format and layout (one catalog for .xcstrings)
+        for (const { languages, content } of serializeTranslations(document, translations)) {
+          await writeText(file.outputPath(languages[0]), content)
+        }
+      }
+
+      const hashes = hashMessages(source)
+      for (const lang of targetLanguages) nextLockfile[file.name][lang] = hashes
+
+      if (glossary) {
+        const current = Object.fromEntries(Object.entries(existing).filter(([, messages]) => messages))
+        violations.push(...glossaryReport(glossary, source, current).map(row => ({ file: file.name, ...row })))
+      }
+    }
+  } finally {
+    // Also after a failure, so the files already written aren't translated (and billed) again
+    if (write) await writeJSON(config.lockfile, nextLockfile)
+  }
+
+  return { stale: report.some(row => row.stale), report, violations }
+}
+
+/**
+ * Generate every locale's message files ahead of `next build`
+ *
+ * Translates what is missing or changed (unless `translate` is false, e.g.
+ * without an API key), then lists the keys each output file still lacks, so
+ * the build can stop or warn before locale pages are prerendered with gaps.
+ *
+ * @param {Object} config - From loadSyncConfig
+ * @param {Object} [options]
+ * @param {boolean} [options.translate=true] - Sync before checking
+ * @returns {Promise<{ updated: Object[], missing: { file: string, lang: string, output: string, keys: string[] }[] }>}
+ *   `updated` are the report rows of files that were written
+ */
+export async function buildMessages(config, { translate = true } = {}) {
+  const updated = translate ? (await syncMessages(config)).report.filter(row => row.stale) : []
+  const { report } = await syncMessages(config, { check: true })
+
+  const missing = report
+    .filter(row => row.added.length > 0)
+    .map(({ file, lang, output, added }) => ({ file, lang, output, keys: added }))
+
+  return { updated, missing }
+}
@@ -0,0 +1,78 @@
+/**
+ * Translation memory: approved translations reused for exact matches
+ *
+ * Strings with an approved translation in every target language are not
+ * sent to the API at all; for the rest the approved translation replaces
+ * whatever the API returns. Like caches, any object with async `lookup` and
+ * `approve` methods works, so the file-backed memory can be swapped for a
+ * database.
+ *
+ * translation-memory.json:
+ * {
+ *   "en": {
+ *     "es": { "Save changes": "Guardar cambios" }
+ *   }
+ * }
+ */
+
+import { ValidationError } from './errors'
+
+/**
+ * In-memory translation memory, optionally seeded with entries
+ *
+ * @param {Object} [entries] - { sourceLanguage: { targetLanguage: { source: translation } } }
+ */
+export function createTranslationMemory(entries = {}) {
+  const data = JSON.parse(JSON.stringify(entries))
+
+  return {
+    /**
+     * Approved translation of `text`, or undefined
+     */
+    async lookup(text, { sourceLanguage = 'en', targetLanguage }) {
+      const translations = data[sourceLanguage]?.[targetLanguage]
+      return translations && Object.hasOwn(translations, text) ? translations[text] : undefined
+    },
+
+    /**
+     * Record an approved translation
+     */
+    async approve(text, translation, { sourceLanguage = 'en', targetLanguage }) {
+      data[sourceLanguage] ??= {}
+      data[sourceLanguage][targetLanguage] ??= {}
+      data[sourceLanguage][targetLanguage][text] = translation
+    },
+
+    toJSON() {
+      return data
+    },
+  }
+}
+
+/**
+ * Load a translation memory file (server-side only); a missing file is empty
+ */
+export async function loadTranslationMemory(filePath) {
+  const { readFile } = await import('fs/promises')
+
+  try {
+    return createTranslationMemory(JSON.parse(await readFile(filePath, 'utf8')))
+  } catch (error) {
+    if (error.code === 'ENOENT') return createTranslationMemory()
+    if (error instanceof SyntaxError) {
+      throw new ValidationError(`${filePath} is not valid JSON: ${error.message}`, { cause: error })
+    }
+    throw error
+  }
+}
+
+/**
+ * Write a translation memory back to disk (server-side only)
+ */
+export async function saveTranslationMemory(memory, filePath) {
+  const { mkdir, writeFile } = await import('fs/promises')
+  const path = await import('path')
+
+  await mkdir(path.dirname(filePath), { recursive: true })
+  await writeFile(filePath, `${JSON.stringify(memory, null, 2)}\n`)
+}
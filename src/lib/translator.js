@@ -0,0 +1,83 @@
+/**
+ * Message lookup and formatting shared by server and client code
+ *
+ * Messages are formatted as ICU MessageFormat (see ./icu.js). i18next-style
+ * messages are supported too: {{name}} placeholders and plural keys
+ * (item_one, item_few, ...) picked with Intl.PluralRules from `count`.
+ *
+ * @example
+ * const t = createTranslator(messages, { namespace: 'checkout', locale: 'pl' })
+ * t('items', { count: 3 }) // '3 produkty w koszyku'
+ */
+
+import { formatMessage } from './icu'
+
+/**
+ * Read a dotted key path ('nav.home') from nested messages
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce(
+    (node, segment) => (node !== null && typeof node === 'object' ? node[segment] : undefined),
+    messages
+  )
+}
+
+/**
+ * Replace {name} and {{name}} placeholders with values
+ * Placeholders without a value are left as they are.
+ */
+export function interpolate(message, values = {}) {
+  return message.replace(/\{\{\s*(\w+)\s*\}\}|\{\s*(\w+)\s*\}/g, (match, double, single) => {
+    const name = double || single
+    return values[name] === undefined || values[name] === null ? match : String(values[name])
+  })
+}
+
+/**
+ * Format one message: ICU syntax, or {{name}} interpolation for i18next messages
+ * Malformed ICU messages fall back to plain interpolation instead of throwing.
+ */
+function formatTranslation(message, values, locale) {
+  if (message.includes('{{')) return interpolate(message, values)
+
+  try {
+    return formatMessage(message, values, locale)
+  } catch (error) {
+    return interpolate(message, values)
+  }
+}
+
+/**
+ * Resolve an i18next plural key (key_zero, key_one, ... key_other) for a count
+ */
+function lookupPlural(messages, key, count, locale) {
+  if (count === 0 && typeof lookup(messages, `${key}_zero`) === 'string') {
+    return lookup(messages, `${key}_zero`)
+  }
+
+  const category = new Intl.PluralRules(locale).select(count)
+  return lookup(messages, `${key}_${category}`) ?? lookup(messages, `${key}_other`)
+}
+
+/**
+ * Create a t(key, values) function over nested messages
+ *
+ * Missing keys return the full key path, so they stand out in the UI.
+ *
+ * @param {Object} messages - Messages by namespace: { common: { ... }, checkout: { ... } }
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Prefix for every key passed to t()
+ * @param {string} [options.locale='en'] - Locale for plural rules, numbers and dates
+ */
+export function createTranslator(messages, { namespace, locale = 'en' } = {}) {
+  return function t(key, values = {}) {
+    const fullKey = namespace ? `${namespace}.${key}` : key
+    let message = lookup(messages, fullKey)
+
+    if (typeof message !== 'string' && typeof values.count === 'number') {
+      message = lookupPlural(messages, fullKey, values.count, locale)
+    }
+
+    return typeof message === 'string' ? formatTranslation(message, values, locale) : fullKey
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Translation usage: counting billable text and logging it per client
+ *
+ * countUsage() measures what a message costs to translate: characters and
+ * words of its translatable text (see translatableText in integrity.js).
+ * A usage log keeps running totals per client - by API token, falling back
+ * to the IP like the rate limiter - plus its most recent entries, in the
+ * same kind of store as rate-limit.js.
+ *
+ * @example
+ * const usageLog = createUsageLog()
+ * await usageLog.record(request, { language: 'es', ...countUsage('Hello {name}') })
+ * await usageLog.read(request)
+ * // { translations: 1, characters: 5, words: 1, languages: { es: {...} }, entries: [...] }
+ */
+
+import { translatableText } from './integrity'
+import { flattenMessages } from './messages'
+import { clientKey, createMemoryStore } from './rate-limit'
+import { SESSION_COOKIE } from './session'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function countWords(text, language) {
+  if (typeof Intl.Segmenter !== 'function') return text.split(/\s+/).filter(Boolean).length
+
+  let words = 0
+  for (const segment of new Intl.Segmenter(language, { granularity: 'word' }).segment(text)) {
+    if (segment.isWordLike) words++
+  }
+  return words
+}
+
+/**
+ * Characters and words of a message's translatable text
+ * Arrays count every string they hold; other values count as nothing.
+ *
+ * @param {*} message
+ * @param {string} [language='en'] - Source language, for word boundaries
+ * @returns {{ characters: number, words: number }}
+ */
+export function countUsage(message, language = 'en') {
+  if (Array.isArray(message)) {
+    return message.reduce((total, item) => {
+      const { characters, words } = countUsage(item, language)
+      return { characters: total.characters + characters, words: total.words + words }
+    }, { characters: 0, words: 0 })
+  }
+
+  const text = translatableText(message)
+  return { characters: text.length, words: countWords(text, language) }
+}
+
+/**
+ * countUsage over every message of a nested messages object
+ */
+export function countMessagesUsage(messages, language = 'en') {
+  return countUsage(flattenMessages(messages).map(({ value }) => value), language)
+}
+
+const emptyTotals = () => ({ translations: 0, characters: 0, words: 0 })
+
+/**
+ * Create a per-client usage log for one route
+ *
+ * @param {Object} [options]
+ * @param {'ip'|'session'|'token'|Function} [options.keyBy='token'] - How clients are told apart
+ * @param {string} [options.sessionCookie=SESSION_COOKIE] - Session cookie for keyBy 'session' or 'token'
+ * @param {number} [options.trustedProxies=0] - Proxies in front of the app (see getClientIp)
+ * @param {string} [options.prefix='usage'] - Store key prefix
+ * @param {number} [options.maxEntries=50] - Recent entries kept per client
+ * @param {number} [options.retentionMs=30 days] - How long an idle client's log is kept
+ * @param {Object} [options.store] - Store backend (defaults to an in-memory store)
+ */
+export function createUsageLog({
+  keyBy = 'token',
+  sessionCookie = SESSION_COOKIE,
+  trustedProxies = 0,
+  prefix = 'usage',
+  maxEntries = 50,
+  retentionMs = 30 * DAY_MS,
+  store = createMemoryStore(),
+} = {}) {
+  const keyFor = (request) => `${prefix}:${clientKey(request, { keyBy, sessionCookie, trustedProxies })}`
+
+  return {
+    /**
+     * Add one translated language to the client's totals
+     *
+     * @param {Request} request
+     * @param {{ language: string, characters: number, words: number }} usage
+     */
+    async record(request, { language, characters, words }) {
+      const at = new Date().toISOString()
+      const add = (totals) => ({
+        translations: totals.translations + 1,
+        characters: totals.characters + characters,
+        words: totals.words + words,
+      })
+
+      await store.update(keyFor(request), (log = { ...emptyTotals(), languages: {}, entries: [] }) => ({
+        ...add(log),
+        languages: { ...log.languages, [language]: add(log.languages[language] || emptyTotals()) },
+        entries: [...log.entries, { at, language, characters, words }].slice(-maxEntries),
+      }), retentionMs)
+    },
+
+    /**
+     * The client's running totals, per language, and most recent entries
+     *
+     * @param {Request} request
+     * @returns {Promise<{ translations: number, characters: number, words: number,
+     *   languages: Object, entries: { at: string, language: string, characters: number, words: number }[] }>}
+     */
+    async read(request) {
+      return (await store.get(keyFor(request))) || { ...emptyTotals(), languages: {}, entries: [] }
+    },
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Request body validation for API routes
+ *
+ * Validators collect every problem instead of stopping at the first, and
+ * throw one ValidationError whose `details.fields` lists them:
+ *
+ * { "error": "Invalid request body", "code": "VALIDATION_FAILED",
+ *   "details": { "fields": [{ "field": "targetLanguages[1]", "message": "..." }] } }
+ */
+
+import { ValidationError } from './errors'
+import { localeRegistry } from './locale-registry'
+import { INTEGRITY_MODES } from './integrity'
+
+export const OUTPUT_FORMATS = ['text', 'json']
+
+export const TRANSLATE_LIMITS = {
+  maxTextLength: 50000,
+  maxLanguages: 10,
+}
+
+const TRANSLATE_FIELDS = ['text', 'targetLanguages', 'sourceLanguage', 'outputFormat', 'preservePlaceholders', 'integrity']
+
+// language[-script][-region][-variant...], e.g. en, zh-Hant-TW, de-CH-1996
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?(?:-(?:[a-z\d]{5,8}|\d[a-z\d]{3}))*$/i
+
+/**
+ * Canonical form of a well-formed BCP-47 tag ('zh-tw' → 'zh-TW'), or null
+ */
+export function canonicalLanguageTag(tag) {
+  if (typeof tag !== 'string' || !LANGUAGE_TAG_PATTERN.test(tag)) return null
+
+  try {
+    return Intl.getCanonicalLocales(tag)[0]
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Validate and normalize a /api/translate request body
+ *
+ * @param {*} body - Parsed JSON body
+ * @param {Object} [options]
+ * @param {string[]} [options.languages] - Supported language codes (defaults to the locale registry's)
+ * @param {number} [options.maxTextLength=50000] - Characters in `text`
+ * @param {number} [options.maxLanguages=10] - Entries in `targetLanguages`
+ * @returns {{ text: string, targetLanguages: string[], sourceLanguage: string,
+ *   outputFormat: 'text'|'json', preservePlaceholders: boolean, integrity?: 'flag'|'repair'|'reject' }}
+ * @throws {ValidationError} With `details.fields` listing every failing field
+ */
+export function validateTranslateRequest(body, {
+  languages = localeRegistry.codes(),
+  maxTextLength = TRANSLATE_LIMITS.maxTextLength,
+  maxLanguages = TRANSLATE_LIMITS.maxLanguages,
+} = {}) {
+  const fields = []
+  const fail = (field, message) => fields.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object')
+  }
+
+  const {
+    text,
+    targetLanguages,
+    sourceLanguage = 'en',
+    outputFormat = 'text',
+    preservePlaceholders = true,
+    integrity,
+  } = body
+
+  for (const field of Object.keys(body)) {
+    if (!TRANSLATE_FIELDS.includes(field)) fail(field, 'Unknown field')
+  }
+
+  const language = (field, value) => {
+    const tag = canonicalLanguageTag(value)
+    if (!tag) {
+      fail(field, `${JSON.stringify(value)} is not a valid BCP-47 language code`)
+      return null
+    }
+    if (!languages.includes(tag)) {
+      fail(field, `"${tag}" is not a supported language`)
+      return null
+    }
+    return tag
+  }
+
+  // text
+  if (typeof text !== 'string' || !text.trim()) {
+    fail('text', 'Text is required')
+  } else if (text.length > maxTextLength) {
+    fail('text', `Text must be at most ${maxTextLength} characters (got ${text.length})`)
+  }
+
+  // outputFormat
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    fail('outputFormat', `Must be one of: ${OUTPUT_FORMATS.join(', ')}`)
+  } else if (outputFormat === 'json' && typeof text === 'string' && text.trim()) {
+    let parsed
+    try {
+      parsed = JSON.parse(text)
+    } catch {
+      // reported below
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      fail('text', 'Text must be a JSON object when outputFormat is "json"')
+    }
+  }
+
+  // sourceLanguage
+  const source = language('sourceLanguage', sourceLanguage)
+
+  // targetLanguages
+  const targets = []
+  if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+    fail('targetLanguages', 'At least one target language is required')
+  } else if (targetLanguages.length > maxLanguages) {
+    fail('targetLanguages', `At most ${maxLanguages} target languages are allowed (got ${targetLanguages.length})`)
+  } else {
+    targetLanguages.forEach((value, index) => {
+      const tag = language(`targetLanguages[${index}]`, value)
+      if (!tag) return
+      if (tag === source) {
+        fail(`targetLanguages[${index}]`, 'Target language is the same as the source language')
+      } else if (!targets.includes(tag)) {
+        targets.push(tag)
+      }
+    })
+  }
+
+  // preservePlaceholders
+  if (typeof preservePlaceholders !== 'boolean') {
+    fail('preservePlaceholders', 'Must be a boolean')
+  }
+
+  // integrity (optional)
+  if (integrity !== undefined && !INTEGRITY_MODES.includes(integrity)) {
+    fail('integrity', `Must be one of: ${INTEGRITY_MODES.join(', ')}`)
+  }
+
+  if (fields.length > 0) {
+    throw new ValidationError('Invalid request body', { details: { fields } })
+  }
+
+  return { text, targetLanguages: targets, sourceLanguage: source, outputFormat, preservePlaceholders, integrity }
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Bundles files into a ZIP archive without compression (the "stored"
+ * method), which every unzip tool reads. Enough for downloading a set of
+ * translated locale files at once without adding a dependency.
+ *
+ * @example
+ * const zip = createZip([{ path: 'locales/es/common.json', content: '{}' }])
+ * const blob = new Blob([zip], { type: 'application/zip' })
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+/**
+ * CRC-32 of a byte array
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * Create a ZIP archive
+ *
+ * @param {{ path: string, content: string|Uint8Array }[]} files - Paths use "/"
+ *   separators; strings are written as UTF-8
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Modification time of every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder()
+  const { time, date: day } = dosDateTime(date)
+  const local = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.path.replace(/^\/+/, ''))
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content
+    const crc = crc32(data)
+
+    // Fields shared by the local and central headers, from "version needed" on
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true) // version needed: 2.0
+      view.setUint16(at + 2, 0x0800, true) // flags: UTF-8 names
+      view.setUint16(at + 4, 0, true) // method: stored
+      view.setUint16(at + 6, time, true)
+      view.setUint16(at + 8, day, true)
+      view.setUint32(at + 10, crc, true)
+      view.setUint32(at + 14, data.length, true) // compressed size
+      view.setUint32(at + 18, data.length, true)
+      view.setUint16(at + 22, name.length, true)
+    }
+
+    const header = new Uint8Array(30 + name.length)
+    const headerView = new DataView(header.buffer)
+    headerView.setUint32(0, 0x04034b50, true)
+    fields(headerView, 4)
+    header.set(name, 30)
+    local.push(header, data)
+
+    const entry = new Uint8Array(46 + name.length)
+    const entryView = new DataView(entry.buffer)
+    entryView.setUint32(0, 0x02014b50, true)
+    entryView.setUint16(4, 20, true) // version made by
+    fields(entryView, 6)
+    entryView.setUint32(42, offset, true)
+    entry.set(name, 46)
+    central.push(entry)
+
+    offset += header.length + data.length
+  }
+
+  const centralSize = central.reduce((size, entry) => size + entry.length, 0)
+  const end = new Uint8Array(22)
+  const endView = new DataView(end.buffer)
+  endView.setUint32(0, 0x06054b50, true)
+  endView.setUint16(8, files.length, true)
+  endView.setUint16(10, files.length, true)
+  endView.setUint32(12, centralSize, true)
+  endView.setUint32(16, offset, true)
+
+  const zip = new Uint8Array(offset + centralSize + end.length)
+  let position = 0
+  for (const part of [...local, ...central, end]) {
+    zip.set(part, position)
+    position += part.length
+  }
+
+  return zip
+}
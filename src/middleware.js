@@ -0,0 +1,18 @@
+import { createI18nMiddleware } from '@/lib/middleware'
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '@/lib/locales'
+import { issueSession, sessionSecret } from '@/lib/session'
+
+const i18nMiddleware = createI18nMiddleware({
+  locales: SUPPORTED_LOCALES,
+  defaultLocale: DEFAULT_LOCALE,
+})
+
+// Every page visit also gets the session cookie /api/translate requires
+export async function middleware(request) {
+  return issueSession(request, i18nMiddleware(request), { secret: sessionSecret() })
+}
+
+export const config = {
+  // Skip API routes, Next.js internals and static files
+  matcher: ['/((?!api|_next|.*\\..*).*)'],
+}